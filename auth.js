@@ -1,5 +1,7 @@
 // auth.js
 
+const { BLOCKED_LOGIN_MESSAGES, siteBlockReason } = require('./services/siteStatus');
+
 // ---- Login-based admin/auth ----
 function attachCurrentUser(req, res, next) {
   if (req.session && req.session.user) {
@@ -43,7 +45,15 @@ function requireAccountUser(req, res, next) {
     return res.status(400).send('User is not associated with a site.');
   }
 
-  next();
+  // Sessions started before the site was suspended or deleted end here
+  siteBlockReason(siteId, (err, reason) => {
+    if (err) return next(err);
+    if (reason) {
+      req.session.user = null;
+      return res.status(403).render('login', { pageTitle: 'Login', activePage: null, error: BLOCKED_LOGIN_MESSAGES[reason] });
+    }
+    next();
+  });
 }
 
 // (Old token-based admin code kept here as a comment for reference)
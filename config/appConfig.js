@@ -7,5 +7,14 @@ module.exports = {
     PORT: process.env.PORT || 3000,
     SESSION_SECRET: process.env.SESSION_SECRET || 'dev-secret-change-me',
     CNAME_URL: process.env.CNAME_URL || 'localhost',
-    OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4.1-mini'
+    OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4.1-mini',
+    INBOUND_SMS_TOKEN: process.env.INBOUND_SMS_TOKEN || '',
+    // Business hours time zone for sites that haven't picked one
+    DEFAULT_TIMEZONE: process.env.DEFAULT_TIMEZONE || 'America/New_York',
+    // Requests for hostnames that aren't a site: 'parking' (domain not connected page), 'not_found' or 'redirect'
+    UNKNOWN_HOST_MODE: process.env.UNKNOWN_HOST_MODE || 'parking',
+    // Where 'redirect' sends visitors (e.g. the reseller's website)
+    UNKNOWN_HOST_REDIRECT_URL: process.env.UNKNOWN_HOST_REDIRECT_URL || '',
+    // Days a deleted site can still be restored before it is purged for good
+    SITE_RETENTION_DAYS: parseInt(process.env.SITE_RETENTION_DAYS, 10) || 30
 };
@@ -2,10 +2,79 @@
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
+const { pickHostedSlug } = require('./services/hostedDomains');
 
 const dbPath = path.join(__dirname, 'data.sqlite');
 const db = new sqlite3.Database(dbPath);
 
+// How long a write waits for another connection's transaction to finish before failing (ms)
+const BUSY_TIMEOUT = 10000;
+db.configure('busyTimeout', BUSY_TIMEOUT);
+
+// Multi-statement transactions get their own connection (see withTransaction): a BEGIN on the
+// shared `db` would also take in whatever other requests write meanwhile, and a ROLLBACK would undo it.
+const txDb = new sqlite3.Database(dbPath);
+txDb.configure('busyTimeout', BUSY_TIMEOUT);
+
+const txQueue = [];
+let txRunning = false;
+
+/**
+ * Runs work(tx, done) between BEGIN IMMEDIATE and COMMIT on the transaction connection; every
+ * statement of the transaction must go through `tx`. done(err) rolls back instead.
+ * Transactions run one at a time; writes on `db` wait (busyTimeout) until the COMMIT.
+ * cb(err, result) — result is what work passed to done.
+ */
+function withTransaction(work, cb) {
+  txQueue.push({ work, cb });
+  if (!txRunning) runNextTransaction();
+}
+
+function runNextTransaction() {
+  const next = txQueue.shift();
+  txRunning = Boolean(next);
+  if (!next) return;
+
+  const finish = (err, result) => {
+    setImmediate(runNextTransaction);
+    next.cb(err, result);
+  };
+
+  txDb.run('BEGIN IMMEDIATE', (beginErr) => {
+    if (beginErr) return finish(beginErr);
+
+    next.work(txDb, (workErr, result) => {
+      if (workErr) {
+        return txDb.run('ROLLBACK', (rollbackErr) => {
+          if (rollbackErr) console.error('Error rolling back transaction:', rollbackErr);
+          return finish(workErr);
+        });
+      }
+
+      txDb.run('COMMIT', (commitErr) => {
+        if (!commitErr) return finish(null, result);
+        return txDb.run('ROLLBACK', () => finish(commitErr));
+      });
+    });
+  });
+}
+
+// Runs [sql, params] statements in one transaction (withTransaction). cb(err)
+function runInTransaction(statements, cb) {
+  withTransaction((tx, done) => {
+    const queue = statements.slice();
+
+    const next = (err) => {
+      if (err) return done(err);
+      const statement = queue.shift();
+      if (!statement) return done(null);
+      return tx.run(statement[0], statement[1], (runErr) => next(runErr));
+    };
+
+    next(null);
+  }, cb);
+}
+
 function initDb() {
   db.serialize(() => {
     db.run(`
@@ -45,6 +114,11 @@ function initDb() {
         phone TEXT,
         message TEXT NOT NULL,
         sms_consent INTEGER NOT NULL DEFAULT 0,
+        contact_consent INTEGER NOT NULL DEFAULT 0,
+        sms_consent_status TEXT,
+        sms_consent_confirmed_at TEXT,
+        sms_consent_confirmed_ip TEXT,
+        extra_fields_json TEXT,
         created_at TEXT NOT NULL
       )
     `);
@@ -64,6 +138,32 @@ function initDb() {
       )
     `);
 
+    // SMS consent audit trail (one row per contact form submission, hash-chained per site)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS consent_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER,
+        site_domain TEXT NOT NULL,
+        submission_id INTEGER,
+        event TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        sms_consent INTEGER NOT NULL DEFAULT 0,
+        contact_consent INTEGER NOT NULL DEFAULT 0,
+        ip_address TEXT,
+        user_agent TEXT,
+        disclosure_text TEXT NOT NULL,
+        terms_version TEXT,
+        terms_document_id INTEGER,
+        privacy_version TEXT,
+        privacy_document_id INTEGER,
+        page_url TEXT,
+        created_at TEXT NOT NULL,
+        prev_hash TEXT,
+        hash TEXT NOT NULL
+      )
+    `);
+
     db.run(`ALTER TABLE sites ADD COLUMN domain_status TEXT`, (err) => {
       if (err && !String(err.message).includes('duplicate column name')) {
         console.error('Error adding domain_status to sites:', err);
@@ -76,6 +176,448 @@ function initDb() {
       }
     });
 
+    // Versioned SMS Terms / Privacy Policy per site
+    db.run(`
+      CREATE TABLE IF NOT EXISTS policy_documents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        doc_type TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        overrides_json TEXT,
+        sections_json TEXT NOT NULL,
+        effective_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        created_by TEXT,
+        UNIQUE (site_id, doc_type, version)
+      )
+    `);
+
+    db.run(`ALTER TABLE consent_records ADD COLUMN terms_document_id INTEGER`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding terms_document_id to consent_records:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE consent_records ADD COLUMN privacy_version TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding privacy_version to consent_records:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE consent_records ADD COLUMN privacy_document_id INTEGER`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding privacy_document_id to consent_records:', err);
+      }
+    });
+
+    // Per-site SMS opt-out list (maintained by the inbound STOP/START webhook)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS sms_suppressions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        phone TEXT NOT NULL,
+        status TEXT NOT NULL,
+        last_keyword TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (site_id, phone)
+      )
+    `);
+
+    db.run(`ALTER TABLE sites ADD COLUMN sms_number TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding sms_number to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN help_reply TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding help_reply to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN contact_consent INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding contact_consent to form_submissions:', err);
+      }
+    });
+
+    // Double opt-in: per-site flag + confirmation state on each submission
+    db.run(`ALTER TABLE sites ADD COLUMN double_opt_in INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding double_opt_in to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN sms_consent_status TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding sms_consent_status to form_submissions:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN sms_consent_confirmed_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding sms_consent_confirmed_at to form_submissions:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN sms_consent_confirmed_ip TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding sms_consent_confirmed_ip to form_submissions:', err);
+      }
+    });
+
+    // Contact form spam protection: per-site strictness + daily rejection counts
+    db.run(`ALTER TABLE sites ADD COLUMN spam_protection TEXT NOT NULL DEFAULT 'standard'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding spam_protection to sites:', err);
+      }
+    });
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS spam_rejections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        day TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        UNIQUE (site_id, day, reason)
+      )
+    `);
+
+    // Custom contact form fields: schema per site, answers per submission
+    db.run(`ALTER TABLE sites ADD COLUMN form_schema_json TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding form_schema_json to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN extra_fields_json TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding extra_fields_json to form_submissions:', err);
+      }
+    });
+
+    // Custom content pages per site (About, Services, FAQ, ...)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS site_pages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        slug TEXT NOT NULL,
+        title TEXT NOT NULL,
+        body TEXT NOT NULL DEFAULT '',
+        body_format TEXT NOT NULL DEFAULT 'html',
+        is_published INTEGER NOT NULL DEFAULT 0,
+        show_in_nav INTEGER NOT NULL DEFAULT 1,
+        nav_order INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (site_id, slug)
+      )
+    `);
+
+    // Public page languages: enabled locales (comma list) + default, per site
+    db.run(`ALTER TABLE sites ADD COLUMN enabled_locales TEXT NOT NULL DEFAULT 'en'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding enabled_locales to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN default_locale TEXT NOT NULL DEFAULT 'en'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding default_locale to sites:', err);
+      }
+    });
+
+    // Policy versions are published per language
+    db.run(`ALTER TABLE policy_documents ADD COLUMN locale TEXT NOT NULL DEFAULT 'en'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding locale to policy_documents:', err);
+      }
+    });
+
+    // Which language's disclosure the visitor saw
+    db.run(`ALTER TABLE consent_records ADD COLUMN locale TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding locale to consent_records:', err);
+      }
+    });
+
+    // Layout theme per site (views/themes/<id>)
+    db.run(`ALTER TABLE sites ADD COLUMN theme TEXT NOT NULL DEFAULT 'classic'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding theme to sites:', err);
+      }
+    });
+
+    // SEO: meta description, Open Graph image, canonical base URL, noindex
+    db.run(`ALTER TABLE sites ADD COLUMN seo_description TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding seo_description to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN og_image_url TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding og_image_url to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN seo_canonical_url TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding seo_canonical_url to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN seo_noindex INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding seo_noindex to sites:', err);
+      }
+    });
+
+    // Structured business hours (services/businessHours.js); business_hours keeps a text summary
+    db.run(`ALTER TABLE sites ADD COLUMN hours_json TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding hours_json to sites:', err);
+      }
+    });
+
+    // Last 10DLC readiness report (services/readiness.js)
+    db.run(`ALTER TABLE sites ADD COLUMN readiness_status TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding readiness_status to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN readiness_score INTEGER`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding readiness_score to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN readiness_checked_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding readiness_checked_at to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN readiness_json TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding readiness_json to sites:', err);
+      }
+    });
+
+    // Sample messages for the TCR campaign package (services/campaignPackage.js)
+    db.run(`ALTER TABLE sites ADD COLUMN sample_messages_json TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding sample_messages_json to sites:', err);
+      }
+    });
+
+    // Embeddable contact widget: allowed embedding origins per site, embedding origin per submission
+    db.run(`ALTER TABLE sites ADD COLUMN embed_origins TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding embed_origins to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN embed_origin TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding embed_origin to form_submissions:', err);
+      }
+    });
+
+    // JSON API idempotency keys (services/idempotency.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS api_idempotency_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        idem_key TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        response_status INTEGER,
+        response_json TEXT,
+        submission_id INTEGER,
+        created_at TEXT NOT NULL,
+        UNIQUE (site_id, idem_key)
+      )
+    `);
+
+    // Domain aliases: extra hostnames per site, each with its own validation status
+    db.run(`
+      CREATE TABLE IF NOT EXISTS site_domains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        domain TEXT UNIQUE NOT NULL,
+        domain_status TEXT NOT NULL DEFAULT 'pending',
+        domain_check_detail TEXT,
+        domain_last_checked_at TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`ALTER TABLE sites ADD COLUMN redirect_aliases INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding redirect_aliases to sites:', err);
+      }
+    });
+
+    // Hosted hostname <hosted_slug>.<CNAME_URL>, reachable before the customer's DNS is set up
+    db.run(`ALTER TABLE sites ADD COLUMN hosted_slug TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding hosted_slug to sites:', err);
+      }
+    });
+
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sites_hosted_slug ON sites (hosted_slug)`);
+
+    // Give sites created before hosted hostnames existed their slug
+    db.all('SELECT id, domain, hosted_slug FROM sites ORDER BY id ASC', (err, rows) => {
+      if (err) {
+        console.error('Error loading sites for hosted slugs:', err);
+        return;
+      }
+
+      const taken = new Set(rows.filter((r) => r.hosted_slug).map((r) => r.hosted_slug));
+      rows
+        .filter((r) => !r.hosted_slug)
+        .forEach((r) => {
+          const slug = pickHostedSlug(r.domain, taken);
+          taken.add(slug);
+          db.run('UPDATE sites SET hosted_slug = ? WHERE id = ?', [slug, r.id], (err2) => {
+            if (err2) console.error('Error assigning hosted slug to site:', err2);
+          });
+        });
+    });
+
+    // Requests for hostnames that aren't a site (DNS pointed at us before the site exists)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS unknown_host_hits (
+        host TEXT PRIMARY KEY,
+        hit_count INTEGER NOT NULL DEFAULT 0,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        last_path TEXT,
+        last_ip TEXT,
+        last_user_agent TEXT
+      )
+    `);
+
+    // Unpublished site settings (one draft per site, see services/siteDrafts.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS site_drafts (
+        site_id INTEGER PRIMARY KEY,
+        values_json TEXT NOT NULL,
+        base_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'draft',
+        review_note TEXT,
+        submitted_at TEXT,
+        updated_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Portal drafts on these sites need an admin's approval before they go live
+    db.run(`ALTER TABLE sites ADD COLUMN publish_requires_review INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding publish_requires_review to sites:', err);
+      }
+    });
+
+    // Site settings history: a snapshot after every admin / portal change (services/siteRevisions.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS site_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        site_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        snapshot_json TEXT NOT NULL,
+        changed_fields_json TEXT NOT NULL,
+        restored_from_id INTEGER,
+        user_email TEXT,
+        user_role TEXT,
+        created_at TEXT NOT NULL
+      )
+    `);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_site_revisions_site ON site_revisions (site_id, id)`);
+
+    // Reusable starting points for new sites (services/siteTemplates.js)
+    db.run(`
+      CREATE TABLE IF NOT EXISTS site_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        settings_json TEXT NOT NULL,
+        pages_json TEXT NOT NULL DEFAULT '[]',
+        form_schema_json TEXT,
+        logo_url TEXT,
+        favicon_url TEXT,
+        source_site_id INTEGER,
+        created_by TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+
+    // Lifecycle status: active / suspended / maintenance, with an optional window (services/siteStatus.js)
+    db.run(`ALTER TABLE sites ADD COLUMN status TEXT NOT NULL DEFAULT 'active'`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding status to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN status_starts_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding status_starts_at to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN status_ends_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding status_ends_at to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN status_message TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding status_message to sites:', err);
+      }
+    });
+
+    // Soft delete: deleted sites are kept for SITE_RETENTION_DAYS, then purged (services/siteDeletion.js)
+    db.run(`ALTER TABLE sites ADD COLUMN deleted_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding deleted_at to sites:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE sites ADD COLUMN deleted_by TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding deleted_by to sites:', err);
+      }
+    });
+
+    // Users deactivated because their site was deleted (reactivated when it is restored)
+    db.run(`ALTER TABLE users ADD COLUMN disabled_with_site INTEGER NOT NULL DEFAULT 0`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding disabled_with_site to users:', err);
+      }
+    });
+
+    db.run(`ALTER TABLE form_submissions ADD COLUMN archived_at TEXT`, (err) => {
+      if (err && !String(err.message).includes('duplicate column name')) {
+        console.error('Error adding archived_at to form_submissions:', err);
+      }
+    });
+
+    // One site per receiving number (inbound STOP / HELP are routed by it)
+    db.run(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_sites_sms_number ON sites(sms_number) WHERE sms_number IS NOT NULL`,
+      (err) => {
+        if (err) console.error('Error adding unique index on sites.sms_number (duplicate numbers?):', err);
+      }
+    );
+
     // Try to add site_id for older DBs where it doesn't exist yet
     db.run(`ALTER TABLE users ADD COLUMN site_id INTEGER`, (err) => {
       if (err && !String(err.message).includes('duplicate column name')) {
@@ -172,8 +714,9 @@ function initDb() {
             dark_color,
             light_color, 
             domain_status, 
-            domain_last_checked_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NULL)
+            domain_last_checked_at,
+            hosted_slug
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NULL, ?)
         `,
           [
             'localhost',
@@ -193,7 +736,8 @@ function initDb() {
             '#1b1464',
             '#007dc5',
             '#282829',
-            '#f1f2f2'
+            '#f1f2f2',
+            pickHostedSlug('localhost', new Set())
           ],
           (err2) => {
             if (err2) {
@@ -210,6 +754,8 @@ function initDb() {
 
 function mapRowToSite(row) {
   return {
+    id: row.id,
+    domain: row.domain,
     companyName: row.company_name,
     companyDetails: row.company_details,
     contactPhone: row.contact_phone,
@@ -223,6 +769,20 @@ function mapRowToSite(row) {
       country: row.country
     },
     businessHours: row.business_hours,
+    hoursJson: row.hours_json || null,
+    doubleOptIn: Boolean(row.double_opt_in),
+    spamProtection: row.spam_protection || 'standard',
+    formSchemaJson: row.form_schema_json || null,
+    embedOrigins: String(row.embed_origins || '').split('\n').map((origin) => origin.trim()).filter(Boolean),
+    enabledLocales: String(row.enabled_locales || 'en').split(',').map((code) => code.trim()).filter(Boolean),
+    defaultLocale: row.default_locale || 'en',
+    theme: row.theme || 'classic',
+    seo: {
+      description: row.seo_description || null,
+      ogImageUrl: row.og_image_url || null,
+      canonicalUrl: row.seo_canonical_url || null,
+      noindex: Boolean(row.seo_noindex)
+    },
     branding: {
       logoUrl: row.logo_url,
       faviconUrl: row.favicon_url,
@@ -236,6 +796,8 @@ function mapRowToSite(row) {
 
 module.exports = {
   db,
+  withTransaction,
+  runInTransaction,
   initDb,
   mapRowToSite
 };
@@ -26,6 +26,14 @@ function isSmtpConfigured() {
   );
 }
 
+function escapeHtml(str) {
+  return String(str === undefined || str === null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // Contact form email
 function sendContactEmail({ site, form }) {
   const brandName =
@@ -34,9 +42,15 @@ function sendContactEmail({ site, form }) {
   const toEmail = site && site.contactEmail ? site.contactEmail : fromAddress;
 
   const subject = `New contact form submission – ${brandName}`;
-  const smsText = form.sms_consent ? 'YES' : 'NO';
+  let smsText = form.sms_consent ? 'YES' : 'NO';
+  if (form.sms_consent && form.sms_consent_status === 'pending') {
+    smsText = 'PENDING (awaiting email confirmation)';
+  }
   const contactText = form.contact_consent ? 'YES' : 'NO';
 
+  // Answers to the site's custom form fields
+  const extraFields = (form.extra_fields || []).filter((f) => f.value !== '');
+
   const textBody = [
     `You have received a new contact form submission for ${brandName}.`,
     '',
@@ -47,6 +61,8 @@ function sendContactEmail({ site, form }) {
     `Message:`,
     form.message,
     '',
+    ...extraFields.map((f) => `${f.label}: ${f.value}`),
+    ...(extraFields.length ? [''] : []),
     `SMS consent: ${smsText}`,
     '',
     `Contact consent: ${contactText}`,
@@ -88,6 +104,15 @@ function sendContactEmail({ site, form }) {
           <td style="font-weight:bold; padding-right:8px; vertical-align:top;">Message:</td>
           <td style="white-space:pre-wrap;">${(form.message || '').replace(/\n/g, '<br>')}</td>
         </tr>
+        ${extraFields
+      .map(
+        (f) => `
+        <tr>
+          <td style="font-weight:bold; padding-right:8px; vertical-align:top;">${escapeHtml(f.label)}:</td>
+          <td style="white-space:pre-wrap;">${escapeHtml(f.value)}</td>
+        </tr>`
+      )
+      .join('')}
         <tr>
           <td style="font-weight:bold; padding-right:8px;">SMS consent:</td>
           <td>${smsText}</td>
@@ -303,6 +328,87 @@ function sendPasswordResetEmail({ user, site, token }) {
   );
 }
 
+// Double opt-in: asks the submitter to confirm their SMS consent
+function sendConsentConfirmationEmail({ site, form, confirmUrl }) {
+  const brandName =
+    (site && (site.company_name || site.companyName)) || 'Website Contact';
+  const fromAddress = process.env.FROM_EMAIL || (site && site.contactEmail) || '';
+
+  const primaryColor =
+    (site &&
+      (site.primary_color ||
+        (site.branding && site.branding.primaryColor))) ||
+    '#1b1464';
+
+  const subject = `Please confirm your text message sign-up – ${brandName}`;
+
+  const textBody = [
+    `Hi ${form.name || ''},`,
+    '',
+    `You asked to receive SMS/MMS messages from ${brandName} at ${form.phone || 'the number you provided'}.`,
+    'Please confirm by opening this link:',
+    '',
+    confirmUrl,
+    '',
+    'If you did not request this, you can ignore this email and you will not be signed up.'
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; font-size:14px; line-height:1.5; color:#333;">
+      <div style="border-bottom:4px solid ${primaryColor}; padding-bottom:8px; margin-bottom:16px;">
+        <h1 style="margin:0; font-size:18px; color:${primaryColor};">
+          ${brandName}
+        </h1>
+      </div>
+
+      <p>Hi ${form.name || ''},</p>
+
+      <p>
+        You asked to receive SMS/MMS messages from ${brandName}
+        at ${form.phone || 'the number you provided'}. Please confirm your sign-up:
+      </p>
+
+      <p style="margin:16px 0;">
+        <a href="${confirmUrl}"
+           style="background:${primaryColor}; color:#fff; text-decoration:none; padding:10px 16px; border-radius:4px; display:inline-block;">
+          Confirm Text Messages
+        </a>
+      </p>
+
+      <p style="font-size:12px; color:#666;">
+        Msg & data rates may apply. Msg frequency varies. Reply STOP to any message to opt out.
+      </p>
+
+      <p style="margin-top:24px; font-size:12px; color:#999;">
+        If you did not request this, you can ignore this email and you will not be signed up.
+      </p>
+    </div>
+  `;
+
+  if (!isSmtpConfigured()) {
+    console.warn('SMTP not configured. Skipping consent confirmation email.');
+    console.log('Would send consent confirmation to:', form.email, 'url:', confirmUrl);
+    return;
+  }
+
+  mailTransport.sendMail(
+    {
+      from: fromAddress ? `"${brandName}" <${fromAddress}>` : undefined,
+      to: form.email,
+      subject,
+      text: textBody,
+      html
+    },
+    (err, info) => {
+      if (err) {
+        console.error('Error sending consent confirmation email:', err);
+      } else {
+        console.log('Consent confirmation email sent:', info.response || info);
+      }
+    }
+  );
+}
+
 function generateToken() {
   return crypto.randomBytes(32).toString('hex');
 }
@@ -311,5 +417,6 @@ module.exports = {
   sendContactEmail,
   sendUserInviteEmail,
   sendPasswordResetEmail,
+  sendConsentConfirmationEmail,
   generateToken
 };
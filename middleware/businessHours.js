@@ -0,0 +1,11 @@
+/**
+ * The current site's business hours for the public views into res.locals.hours
+ * (display rows, "open now" status, upcoming closures). Runs after the locale middleware.
+ */
+
+const { buildHoursView } = require('../services/businessHours');
+
+module.exports = function businessHoursMiddleware(req, res, next) {
+    res.locals.hours = res.locals.site ? buildHoursView(res.locals.site, req.locale) : null;
+    return next();
+};
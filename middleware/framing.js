@@ -0,0 +1,21 @@
+/**
+ * Clickjacking protection: no page may be framed by another origin, the control panel included.
+ * - Every response starts with X-Frame-Options: DENY + CSP frame-ancestors 'none'
+ * - allowSameOriginFraming: for pages the panel shows in its own iframes (theme previews)
+ * - The embeddable widget (routes/embed.js) replaces both with the site's origin allowlist
+ */
+
+function framingMiddleware(req, res, next) {
+    res.set('X-Frame-Options', 'DENY');
+    res.set('Content-Security-Policy', "frame-ancestors 'none'");
+    next();
+}
+
+function allowSameOriginFraming(req, res, next) {
+    res.set('X-Frame-Options', 'SAMEORIGIN');
+    res.set('Content-Security-Policy', "frame-ancestors 'self'");
+    next();
+}
+
+module.exports = framingMiddleware;
+module.exports.allowSameOriginFraming = allowSameOriginFraming;
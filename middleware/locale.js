@@ -0,0 +1,55 @@
+/**
+ * Picks the page language for the current site. Runs after siteResolver.
+ * - A leading enabled locale segment wins (/es/contact -> "es", routed as /contact)
+ * - Otherwise the browser's Accept-Language (among the site's enabled locales), then the site default
+ * - Exposes t / tHtml / link / localeLinks to the views, and req.locale / req.t to the routes
+ */
+
+const { LOCALES, translate, translateHtml, siteLocales } = require('../services/i18n');
+
+module.exports = function localeMiddleware(req, res, next) {
+    const { enabled, defaultLocale } = siteLocales(res.locals.site);
+
+    let locale = null;
+    let prefix = '';
+
+    const match = req.url.match(/^\/([a-z]{2})(?=[/?]|$)/);
+    if (match && enabled.includes(match[1])) {
+        locale = match[1];
+        prefix = '/' + locale;
+
+        req.url = req.url.slice(prefix.length);
+        if (!req.url.startsWith('/')) req.url = '/' + req.url;
+    }
+
+    if (!locale) {
+        res.vary('Accept-Language');
+        const negotiated = enabled.length > 1 && req.get('Accept-Language') ? req.acceptsLanguages(enabled) : false;
+        locale = negotiated || defaultLocale;
+    }
+
+    req.locale = locale;
+    req.localePrefix = prefix;
+    req.t = (key, vars) => translate(locale, key, vars);
+
+    res.locals.locale = locale;
+    res.locals.t = req.t;
+    res.locals.tHtml = (key, vars) => translateHtml(locale, key, vars);
+
+    // Internal links keep the prefix the visitor came in with (after /preview/:siteId in preview mode)
+    const base = (req.previewBase || '') + prefix;
+    res.locals.link = (path) => base + (path === '/' && base ? '' : path);
+
+    // Language switcher: explicit prefix so it overrides Accept-Language
+    res.locals.localeLinks =
+        enabled.length > 1
+            ? enabled.map((code) => ({
+                code,
+                label: LOCALES[code],
+                url: `${req.previewBase || ''}/${code}${req.path === '/' ? '' : req.path}`,
+                active: code === locale
+            }))
+            : [];
+
+    return next();
+};
@@ -2,6 +2,8 @@
  * res.locals helpers:
  * - Phone formatting helpers used in EJS
  * - Flash support (req.session.flash)
+ *
+ * The phone/host helpers are also exported for use outside templates.
  */
 
 function normalizeUsPhone(raw) {
@@ -50,7 +52,7 @@ function normalizeHost(rawHost) {
   return host;
 }
 
-module.exports = function localsMiddleware(req, res, next) {
+function localsMiddleware(req, res, next) {
     res.locals.formatPhoneE164 = formatPhoneE164;
     res.locals.formatPhoneNational = formatPhoneNational;
     res.locals.normalizeHost = normalizeHost;
@@ -60,4 +62,9 @@ module.exports = function localsMiddleware(req, res, next) {
     if (req.session && req.session.flash) delete req.session.flash;
 
     next();
-};
+}
+
+module.exports = localsMiddleware;
+module.exports.formatPhoneE164 = formatPhoneE164;
+module.exports.formatPhoneNational = formatPhoneNational;
+module.exports.normalizeHost = normalizeHost;
@@ -0,0 +1,36 @@
+/**
+ * Maintenance mode (services/siteStatus.js): public pages show a branded notice with 503,
+ * while the policy pages and the control panel stay reachable. Runs after the locale / theme
+ * middleware so the notice uses the site's language and branding.
+ */
+
+const { isPanelPath } = require('../services/unknownHosts');
+const { isMaintenanceOpenPath } = require('../services/siteStatus');
+
+module.exports = function maintenanceMiddleware(req, res, next) {
+    const siteStatus = res.locals.siteStatus;
+    if (!siteStatus || siteStatus.effective !== 'maintenance') return next();
+    if (isPanelPath(req.path) || isMaintenanceOpenPath(req.path)) return next();
+
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    if (siteStatus.endsAt) {
+        res.set('Retry-After', String(Math.max(60, Math.ceil((Date.parse(siteStatus.endsAt) - Date.now()) / 1000))));
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(503).send(req.t('maintenance.body'));
+    }
+
+    const until = siteStatus.endsAt
+        ? new Intl.DateTimeFormat(req.locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: siteStatus.timezone }).format(
+              new Date(siteStatus.endsAt)
+          )
+        : null;
+
+    return res.status(503).render('site-maintenance', {
+        pageTitle: req.t('maintenance.pageTitle'),
+        activePage: null,
+        message: siteStatus.message,
+        until
+    });
+};
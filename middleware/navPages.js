@@ -0,0 +1,24 @@
+/**
+ * Loads the current site's published custom pages for the header nav into res.locals.navPages.
+ * Runs after siteResolver.
+ */
+
+const { listNavPages } = require('../services/sitePages');
+
+module.exports = function navPagesMiddleware(req, res, next) {
+    res.locals.navPages = [];
+
+    const site = res.locals.site;
+    if (!site || !site.id) return next();
+
+    listNavPages(site.id, (err, pages) => {
+        if (err) {
+            // Nav links are not worth failing the request over
+            console.error('Error loading nav pages:', err);
+            return next();
+        }
+
+        res.locals.navPages = pages;
+        return next();
+    });
+};
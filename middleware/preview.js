@@ -0,0 +1,83 @@
+/**
+ * Authenticated preview of a site's public pages on any hostname: /preview/:siteId/<page>
+ * - /preview/draft/:siteId/<page> shows the site with its unpublished draft applied (services/siteDrafts.js)
+ * - Admins can preview any site, account users only their own, and not while it is suspended or
+ *   deleted (same as the portal's account-user guard)
+ * - The rest of the path is routed as usual (/preview/5/es/contact -> /es/contact for site 5);
+ *   internal links keep the /preview/:siteId prefix (see middleware/locale.js)
+ * - Read-only (GET / HEAD) and never indexed
+ * Runs before siteResolver, which skips requests this has already resolved.
+ */
+
+const { db, mapRowToSite } = require('../db');
+const { loadDraft, applyDraft } = require('../services/siteDrafts');
+const { BLOCKED_LOGIN_MESSAGES, siteBlockReason } = require('../services/siteStatus');
+
+// Account users can't preview a suspended / deleted site (requireAccountUser signs them out of the portal)
+function checkSiteAccess(res, user, siteId, cb) {
+    if (user.role === 'admin') return cb();
+
+    siteBlockReason(siteId, (err, reason) => {
+        if (err) return cb(err);
+        if (reason) return res.status(403).send(BLOCKED_LOGIN_MESSAGES[reason]);
+        return cb();
+    });
+}
+
+module.exports = function previewMiddleware(req, res, next) {
+    const match = req.url.match(/^\/preview\/(draft\/)?(\d+)(?=[/?]|$)/);
+    if (!match) return next();
+
+    const user = req.session && req.session.user;
+    if (!user) return res.redirect('/login');
+
+    const siteId = parseInt(match[2], 10);
+    const wantsDraft = Boolean(match[1]);
+    if (user.role !== 'admin' && user.site_id !== siteId) return res.status(403).send('Forbidden');
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).send('Forms can’t be submitted in preview. Use the live site to test them.');
+    }
+
+    checkSiteAccess(res, user, siteId, (accessErr) => {
+        if (accessErr) {
+            console.error('DB error checking site status for preview:', accessErr);
+            return next(accessErr);
+        }
+
+        db.get('SELECT * FROM sites WHERE id = ?', [siteId], (err, row) => {
+            if (err) {
+                console.error('DB error loading site for preview:', err);
+                return next(err);
+            }
+            // Deleted sites stay previewable for admins only
+            if (!row || (row.deleted_at && user.role !== 'admin')) return res.status(404).send('Site not found.');
+
+            const show = (draft) => {
+                const site = mapRowToSite(applyDraft(row, draft));
+                site.seo.noindex = true;
+
+                const base = match[0];
+                req.url = req.url.slice(base.length);
+                if (!req.url.startsWith('/')) req.url = '/' + req.url;
+
+                req.previewBase = base;
+                res.locals.preview = { siteId, domain: row.domain, base, draft: wantsDraft, hasDraft: Boolean(draft) };
+                res.locals.lookupHost = row.domain;
+                res.locals.site = site;
+                res.set('Cache-Control', 'private, no-store');
+                return next();
+            };
+
+            if (!wantsDraft) return show(null);
+
+            loadDraft(row, (draftErr, { draft } = {}) => {
+                if (draftErr) {
+                    console.error('DB error loading draft for preview:', draftErr);
+                    return next(draftErr);
+                }
+                return show(draft);
+            });
+        });
+    });
+};
@@ -0,0 +1,18 @@
+/**
+ * Head tags for the current page into res.locals.seo (description, canonical, hreflang, Open Graph).
+ * Sites flagged noindex (and the admin / portal pages) also get an X-Robots-Tag header.
+ * Runs after the locale and theme middleware.
+ */
+
+const { buildPageSeo } = require('../services/seo');
+
+module.exports = function seoMiddleware(req, res, next) {
+    const site = res.locals.site;
+    if (!site) return next();
+
+    const seo = buildPageSeo({ site, brand: res.locals.brand, prefix: req.localePrefix, path: req.path });
+
+    res.locals.seo = seo;
+    if (seo.noindex) res.set('X-Robots-Tag', 'noindex, nofollow');
+    return next();
+};
@@ -1,11 +1,52 @@
 /**
  * Loads a "site" record based on req.hostname into res.locals.site
- * Falls back to localhost if a domain isn't configured.
+ * - Matches the site's primary domain, then its aliases (site_domains)
+ * - Alias hits are 301-redirected to the primary domain when the site asks for it
+ * - Then the hosted hostname <slug>.<CNAME_URL>, which always serves the site (no redirect)
+ * Suspended sites (services/siteStatus.js) get a neutral "unavailable" page instead of their public pages;
+ * the site's status is left in res.locals.siteStatus (maintenance: middleware/maintenance.js).
+ * Deleted sites (services/siteDeletion.js) don't resolve, so their hostnames count as unknown.
+ * Unknown hostnames are logged and answered per UNKNOWN_HOST_MODE (services/unknownHosts.js);
+ * control panel paths fall back to the localhost site on any hostname.
  */
 
 const { db, mapRowToSite } = require('../db');
+const { findSiteByHost } = require('../services/siteDomains');
+const { isPanelPath, unknownHostMode, recordUnknownHost } = require('../services/unknownHosts');
+const { describeStatus } = require('../services/siteStatus');
+const { UNKNOWN_HOST_REDIRECT_URL } = require('../config/appConfig');
+
+// Served on the alias itself even when redirecting (per-alias HTTPS validation calls /health)
+const NO_REDIRECT_PATHS = ['/health', '/caddy-ask'];
+
+// Public pages on a hostname that isn't a site
+function respondUnknownHost(req, res, next, host) {
+    const mode = unknownHostMode();
+
+    if (mode === 'redirect') return res.redirect(302, UNKNOWN_HOST_REDIRECT_URL);
+
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    if (mode === 'not_found') return res.status(404).send('Site not found.');
+
+    // Parking page, branded like the localhost (platform) site
+    db.get('SELECT * FROM sites WHERE domain = ?', ['localhost'], (err, brandRow) => {
+        if (err) {
+            console.error('DB error loading parking page branding:', err);
+            return next(err);
+        }
+
+        const brand = brandRow
+            ? mapRowToSite(brandRow)
+            : { companyName: '', logoUrl: '', faviconUrl: '/assets/favicon.png', primaryColor: '#1b1464', contactEmail: '' };
+
+        return res.status(404).render('unknown-host', { host, brand });
+    });
+}
 
 module.exports = function siteResolverMiddleware(req, res, next) {
+    // Already resolved by /preview/:siteId (middleware/preview.js)
+    if (res.locals.preview) return next();
+
     const requestHost = (req.hostname || '').toLowerCase();
     const lookupHost = res.locals.normalizeHost(requestHost);
 
@@ -13,27 +54,59 @@ module.exports = function siteResolverMiddleware(req, res, next) {
     res.locals.requestHost = requestHost; // e.g. "www.customer.com"
     res.locals.lookupHost = lookupHost;   // e.g. "customer.com"
 
-    db.get('SELECT * FROM sites WHERE domain = ?', [lookupHost], (err, row) => {
+    findSiteByHost(lookupHost, (err, match) => {
         if (err) {
             console.error('DB error loading site:', err);
             return next(err);
         }
 
-        if (!row) {
-            // Fallback to localhost
-            db.get('SELECT * FROM sites WHERE domain = ?', ['localhost'], (err2, fallbackRow) => {
-                if (err2) {
-                    console.error('DB error loading fallback site:', err2);
-                    return next(err2);
-                }
-                if (!fallbackRow) return res.status(404).send('No site configured yet.');
-                res.locals.site = mapRowToSite(fallbackRow);
-                return next();
-            });
-            return;
+        if (!match) {
+            // Control panel on any hostname: localhost site as context
+            if (isPanelPath(req.path)) {
+                db.get('SELECT * FROM sites WHERE domain = ?', ['localhost'], (err2, fallbackRow) => {
+                    if (err2) {
+                        console.error('DB error loading fallback site:', err2);
+                        return next(err2);
+                    }
+                    if (!fallbackRow) return res.status(404).send('No site configured yet.');
+                    res.locals.site = mapRowToSite(fallbackRow);
+                    return next();
+                });
+                return;
+            }
+
+            recordUnknownHost(req, lookupHost);
+            return respondUnknownHost(req, res, next, lookupHost);
+        }
+
+        const siteStatus = describeStatus(match.row);
+        res.locals.siteStatus = siteStatus;
+
+        // Suspended: nothing about the site is shown (the control panel still works)
+        if (siteStatus.effective === 'suspended' && !isPanelPath(req.path)) {
+            res.set('X-Robots-Tag', 'noindex, nofollow');
+            return res.status(503).render('site-unavailable', { host: lookupHost });
+        }
+
+        if (match.alias) {
+            const row = match.row;
+            const redirectable = req.method === 'GET' || req.method === 'HEAD';
+
+            if (row.redirect_aliases && redirectable && !NO_REDIRECT_PATHS.includes(req.path)) {
+                return res.redirect(301, `${req.protocol}://${row.domain}${req.originalUrl}`);
+            }
+
+            // Alias hits are stored and listed under the primary domain (form_submissions.site_domain)
+            res.locals.lookupHost = row.domain;
+            res.locals.aliasDomain = match.alias.domain;
+        }
+
+        if (match.hosted) {
+            res.locals.lookupHost = match.row.domain;
+            res.locals.hostedDomain = lookupHost;
         }
 
-        res.locals.site = mapRowToSite(row);
+        res.locals.site = mapRowToSite(match.row);
         return next();
     });
 };
@@ -0,0 +1,15 @@
+/**
+ * Resolves the current site's theme into res.locals.theme, and the branding values the theme
+ * uses into res.locals.brand (header colours, logo, favicon). Runs after siteResolver.
+ */
+
+const { getTheme, themeBranding } = require('../services/themes');
+
+module.exports = function themeMiddleware(req, res, next) {
+    const site = res.locals.site;
+    const theme = getTheme(site && site.theme);
+
+    res.locals.theme = theme;
+    res.locals.brand = themeBranding(theme, site && site.branding);
+    return next();
+};
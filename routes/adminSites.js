@@ -1,8 +1,23 @@
 /**
  * routes/adminSites.js
  * Admin-only routes for:
- * - Sites CRUD
+ * - Sites CRUD (edits are saved as a draft, then published / sent back)
+ * - New sites from a duplicated site or a named site template
+ * - Bulk CSV export / import of sites (dry run, then all-or-nothing apply)
+ * - Revision history of site settings (diff + restore)
+ * - Site status: active / suspended / maintenance, optionally scheduled
+ * - Deleting sites (soft delete), deleted sites list: restore / delete permanently
  * - Form submissions list
+ * - SMS consent records (audit trail)
+ * - Contact form spam rejections per site
+ * - SMS Terms / Privacy Policy versions
+ * - Custom contact form fields
+ * - Custom content pages
+ * - 10DLC readiness report
+ * - TCR campaign registration package (JSON + printable HTML)
+ * - Embeddable contact widget: allowed origins + snippets
+ * - Domain aliases (+ per-alias DNS/HTTPS validation)
+ * - Unknown hosts log (hostnames pointed at us that aren't a site)
  * - Domain validation (DNS + HTTPS /health)
  * - Upload logo/favicon
  * - AI generate company_details (HTML fragment)
@@ -11,11 +26,108 @@
 const express = require('express');
 const router = express.Router();
 
-const { db } = require('../db');
+const { db, runInTransaction, mapRowToSite } = require('../db');
 const { requireAdminSession } = require('../auth');
-const { upload } = require('../services/upload');
-const { checkDnsCname, checkHttpsHealth, EXPECTED_CNAME_TARGET } = require('../services/domainValidation');
+const { upload, csvUpload } = require('../services/upload');
+const { validateDomain, validationFlashType } = require('../services/domainValidation');
+const {
+    listSiteDomains,
+    getSiteDomain,
+    addSiteDomain,
+    checkPrimaryDomain,
+    primaryDomainStatements,
+    removeSiteDomain,
+    saveAliasValidation,
+    findDomainOwner,
+    reservedDomainError,
+    nextHostedSlug
+} = require('../services/siteDomains');
+const { hostedHostname } = require('../services/hostedDomains');
+const { normalizeHost } = require('../middleware/locals');
+const { allowSameOriginFraming } = require('../middleware/framing');
+const {
+    STATUS_LABELS: DRAFT_STATUS_LABELS,
+    loadDraft,
+    applyDraft,
+    saveDraft,
+    saveDraftStatement,
+    publishDraft,
+    discardDraft,
+    rejectDraft
+} = require('../services/siteDrafts');
+const {
+    FIELD_LABELS: REVISION_FIELD_LABELS,
+    ACTION_LABELS: REVISION_ACTION_LABELS,
+    recordRevision,
+    trackSiteChange,
+    listRevisions,
+    loadRevisionDiff,
+    restoreRevision
+} = require('../services/siteRevisions');
+const {
+    CLONE_FIELDS,
+    loadSiteBlueprint,
+    listTemplates,
+    getTemplate,
+    readTemplateInput,
+    createTemplateFromSite,
+    updateTemplate,
+    deleteTemplate,
+    finishNewSite
+} = require('../services/siteTemplates');
+const {
+    STATUS_LABELS: SITE_STATUS_LABELS,
+    describeStatus,
+    toLocalInput,
+    readStatusInput,
+    saveSiteStatus
+} = require('../services/siteStatus');
+const {
+    SITE_RETENTION_DAYS,
+    softDeleteSite,
+    restoreSite,
+    listDeletedSites,
+    purgeSite
+} = require('../services/siteDeletion');
+const { SITE_COLUMNS, ADMIN_COLUMNS, MAX_ROWS, exportSitesCsv, planImport, applyImport } = require('../services/siteImport');
+const { RETENTION_DAYS, unknownHostMode, listUnknownHosts, dismissUnknownHost } = require('../services/unknownHosts');
 const { generateCompanyDetailsHTML } = require('../services/ai');
+const { listConsentRecords } = require('../services/consent');
+const {
+    normalizeSmsNumber,
+    findSmsNumberOwner,
+    loadOptOuts,
+    annotateOptOuts,
+    filterConsentedContacts,
+    CONSENTED_CONTACT_COLUMNS
+} = require('../services/smsKeywords');
+const { toCsv, filenamePart } = require('../services/csv');
+const { LEVELS, REASONS, normalizeLevel, listRejectionStats } = require('../services/spamGuard');
+const { isValidDocType, parseEffectiveDate, publishPolicyVersion, loadPolicyEditor } = require('../services/policies');
+const { LOCALES, siteLocales, pickSiteLocale, readLocaleInput } = require('../services/i18n');
+const { BRANDING_FIELDS, CONTENT_BLOCKS, listThemes, normalizeTheme, buildThemePreview } = require('../services/themes');
+const { readSeoInput } = require('../services/seo');
+const { readEmbedOriginsInput, buildEmbedSnippets } = require('../services/embed');
+const { buildHoursEditor, readHoursInput } = require('../services/businessHours');
+const { STATUS_LABELS, runReadinessCheck, saveReadinessReport, loadReadinessReport } = require('../services/readiness');
+const { readSampleMessagesInput, sampleMessageSlots, buildCampaignPackage } = require('../services/campaignPackage');
+const {
+    FIELD_TYPES,
+    PATTERN_PRESETS,
+    MAX_FIELDS,
+    parseSchema,
+    buildSchemaFromInput,
+    parseAnswers
+} = require('../services/formSchema');
+const {
+    BODY_FORMATS,
+    listPages,
+    listNavPages,
+    getPage,
+    readPageInput,
+    savePage,
+    deletePage
+} = require('../services/sitePages');
 const { CNAME_URL } = require('../config/appConfig');
 
 // ------------------------------
@@ -23,19 +135,26 @@ const { CNAME_URL } = require('../config/appConfig');
 // ------------------------------
 router.get('/admin/forms', requireAdminSession, (req, res) => {
     const domainFilter = req.query.domain;
+    // Submissions of deleted sites are archived; they're only listed when asked for
+    const showArchived = req.query.archived === '1';
 
     let sql = `
-    SELECT id, site_domain, name, email, phone, message, sms_consent, created_at
-    FROM form_submissions
+    SELECT f.id, f.site_domain, f.name, f.email, f.phone, f.message, f.extra_fields_json, f.sms_consent, f.created_at,
+           f.embed_origin, f.archived_at,
+           f.sms_consent_status, f.sms_consent_confirmed_at, f.sms_consent_confirmed_ip,
+           s.id AS site_id
+    FROM form_submissions f
+    LEFT JOIN sites s ON s.domain = f.site_domain
+    WHERE f.archived_at IS ${showArchived ? 'NOT NULL' : 'NULL'}
   `;
     const params = [];
 
     if (domainFilter) {
-        sql += ' WHERE site_domain = ?';
+        sql += ' AND f.site_domain = ?';
         params.push(domainFilter.toLowerCase());
     }
 
-    sql += ' ORDER BY datetime(created_at) DESC LIMIT 100';
+    sql += ' ORDER BY datetime(f.created_at) DESC LIMIT 100';
 
     db.all(sql, params, (err, rows) => {
         if (err) {
@@ -43,260 +162,1476 @@ router.get('/admin/forms', requireAdminSession, (req, res) => {
             return res.status(500).send('Error loading submissions.');
         }
 
-        res.render('admin-forms', {
-            pageTitle: 'Form Submissions',
-            activePage: 'admin-forms',
-            submissions: rows,
-            domainFilter: domainFilter || '',
-            query: req.query
+        loadOptOuts(null, (err2, optOuts) => {
+            if (err2) {
+                console.error('Error fetching SMS opt-outs:', err2);
+                return res.status(500).send('Error loading submissions.');
+            }
+
+            res.render('admin-forms', {
+                pageTitle: 'Form Submissions',
+                activePage: 'admin-forms',
+                submissions: annotateOptOuts(rows, optOuts).map((row) =>
+                    Object.assign(row, { extra_fields: parseAnswers(row.extra_fields_json) })
+                ),
+                domainFilter: domainFilter || '',
+                showArchived,
+                query: req.query
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Admin: export consented contacts (CSV, opted-out numbers excluded)
+// ------------------------------
+router.get('/admin/forms/consented.csv', requireAdminSession, (req, res) => {
+    const domainFilter = (req.query.domain || '').trim().toLowerCase();
+
+    // site: the filtered site (its stored domain names the file), null for every site
+    const send = (site) => {
+        let sql = `
+      SELECT f.id, f.site_domain, f.name, f.email, f.phone, f.sms_consent, f.sms_consent_status, f.created_at,
+             s.id AS site_id
+      FROM form_submissions f
+      LEFT JOIN sites s ON s.domain = f.site_domain
+      WHERE f.sms_consent = 1 AND f.archived_at IS NULL
+    `;
+        const params = [];
+
+        if (domainFilter) {
+            sql += ' AND f.site_domain = ?';
+            params.push(domainFilter);
+        }
+
+        sql += ' ORDER BY datetime(f.created_at) DESC';
+
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                console.error('Error exporting consented contacts:', err);
+                return res.status(500).send('Error exporting contacts.');
+            }
+
+            loadOptOuts(null, (err2, optOuts) => {
+                if (err2) {
+                    console.error('Error fetching SMS opt-outs for export:', err2);
+                    return res.status(500).send('Error exporting contacts.');
+                }
+
+                const suffix = site ? filenamePart(site.domain) : '';
+                res.set('Content-Disposition', `attachment; filename="consented-contacts${suffix ? '-' + suffix : ''}.csv"`);
+                res.type('text/csv');
+                return res.send(toCsv(filterConsentedContacts(rows, optOuts), CONSENTED_CONTACT_COLUMNS));
+            });
+        });
+    };
+
+    if (!domainFilter) return send(null);
+
+    db.get('SELECT id, domain FROM sites WHERE domain = ?', [domainFilter], (err, siteRow) => {
+        if (err) {
+            console.error('Error loading site for contacts export:', err);
+            return res.status(500).send('Error exporting contacts.');
+        }
+        return send(siteRow || null);
+    });
+});
+
+// ------------------------------
+// Admin: list SMS consent records (with hash-chain verification)
+// ------------------------------
+router.get('/admin/consents', requireAdminSession, (req, res) => {
+    const domainFilter = (req.query.domain || '').trim().toLowerCase();
+
+    const render = (siteId) => {
+        listConsentRecords({ siteId }, (err, result) => {
+            if (err) {
+                console.error('Error fetching consent records:', err);
+                return res.status(500).send('Error loading consent records.');
+            }
+
+            res.render('admin-consents', {
+                pageTitle: 'Consent Records',
+                activePage: 'admin-consents',
+                records: result.records,
+                chainOk: result.chainOk,
+                domainFilter
+            });
+        });
+    };
+
+    if (!domainFilter) return render(null);
+
+    db.get('SELECT id FROM sites WHERE domain = ?', [domainFilter], (err, siteRow) => {
+        if (err) {
+            console.error('Error loading site for consent filter:', err);
+            return res.status(500).send('Error loading consent records.');
+        }
+
+        // Unknown domain -> empty list rather than every site's records
+        return render(siteRow ? siteRow.id : -1);
+    });
+});
+
+// ------------------------------
+// Admin: contact form spam rejections per site (last 30 days)
+// ------------------------------
+router.get('/admin/spam', requireAdminSession, (req, res) => {
+    const days = 30;
+
+    listRejectionStats({ days }, (err, stats) => {
+        if (err) {
+            console.error('Error loading spam rejection stats:', err);
+            return res.status(500).send('Error loading spam stats.');
+        }
+
+        res.render('admin-spam', {
+            pageTitle: 'Spam Protection',
+            activePage: 'admin-spam',
+            stats,
+            days,
+            levels: LEVELS,
+            reasons: REASONS
+        });
+    });
+});
+
+// ------------------------------
+// Admin: unknown hosts (hostnames pointed at us that aren't a site yet)
+// ------------------------------
+router.get('/admin/unknown-hosts', requireAdminSession, (req, res) => {
+    listUnknownHosts((err, hosts) => {
+        if (err) {
+            console.error('Error loading unknown hosts:', err);
+            return res.status(500).send('Error loading unknown hosts.');
+        }
+
+        res.render('admin-unknown-hosts', {
+            pageTitle: 'Unknown Hosts',
+            activePage: 'admin-sites',
+            hosts,
+            mode: unknownHostMode(),
+            retentionDays: RETENTION_DAYS
+        });
+    });
+});
+
+router.post('/admin/unknown-hosts/dismiss', requireAdminSession, (req, res) => {
+    dismissUnknownHost(String(req.body.host || ''), (err) => {
+        if (err) {
+            console.error('Error dismissing unknown host:', err);
+            return res.status(500).send('Error dismissing host.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Host removed from the list.' };
+        return res.redirect('/admin/unknown-hosts');
+    });
+});
+
+// ------------------------------
+// Admin: list sites
+// ------------------------------
+router.get('/admin/sites', requireAdminSession, (req, res) => {
+    db.all(
+        `
+      SELECT id, domain, company_name, contact_email, contact_phone,
+             primary_color, secondary_color, domain_status, domain_last_checked_at,
+             readiness_status, readiness_score, readiness_checked_at, hosted_slug,
+             status, status_starts_at, status_ends_at,
+             (SELECT status FROM site_drafts WHERE site_id = sites.id) AS draft_status
+      FROM sites
+      WHERE deleted_at IS NULL
+      ORDER BY domain ASC
+    `,
+        [],
+        (err, rows) => {
+            if (err) {
+                console.error('Error fetching sites:', err);
+                return res.status(500).send('Error loading sites.');
+            }
+
+            db.get('SELECT COUNT(*) AS count FROM sites WHERE deleted_at IS NOT NULL', [], (countErr, deleted) => {
+                if (countErr) {
+                    console.error('Error counting deleted sites:', countErr);
+                    return res.status(500).send('Error loading sites.');
+                }
+
+                res.render('admin-sites-list', {
+                    pageTitle: 'Sites',
+                    activePage: 'admin-sites',
+                    sites: rows.map((r) => Object.assign(r, { hosted_host: hostedHostname(r), site_status: describeStatus(r) })),
+                    deletedCount: deleted.count,
+                    retentionDays: SITE_RETENTION_DAYS,
+                    query: req.query,
+                    readinessLabels: STATUS_LABELS,
+                    draftLabels: DRAFT_STATUS_LABELS
+                });
+            });
+        }
+    );
+});
+
+// ------------------------------
+// Admin: deleted sites (restore within the retention window, or purge right away)
+// ------------------------------
+router.get('/admin/sites/deleted', requireAdminSession, (req, res) => {
+    listDeletedSites((err, sites) => {
+        if (err) {
+            console.error('Error fetching deleted sites:', err);
+            return res.status(500).send('Error loading deleted sites.');
+        }
+
+        res.render('admin-sites-deleted', {
+            pageTitle: 'Deleted Sites',
+            activePage: 'admin-sites',
+            sites,
+            retentionDays: SITE_RETENTION_DAYS
+        });
+    });
+});
+
+router.post('/admin/sites/deleted/:id/restore', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    restoreSite(id, (err, restored) => {
+        if (err) {
+            console.error('Error restoring site:', err);
+            return res.status(500).send('Error restoring site.');
+        }
+        if (!restored) return res.status(404).send('Deleted site not found.');
+
+        req.session.flash = {
+            type: 'success',
+            message: 'Site restored. Its users can sign in again and its form submissions are back in the list.'
+        };
+        return res.redirect(`/admin/sites/${id}/edit`);
+    });
+});
+
+router.post('/admin/sites/deleted/:id/purge', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    purgeSite(id, (err, purged) => {
+        if (err) {
+            console.error('Error purging site:', err);
+            return res.status(500).send('Error deleting site permanently.');
+        }
+        if (!purged) return res.status(404).send('Deleted site not found.');
+
+        req.session.flash = { type: 'success', message: 'Site deleted permanently, with its users, submissions and files.' };
+        return res.redirect('/admin/sites/deleted');
+    });
+});
+
+// Deleted sites are read-only until restored
+router.use('/admin/sites/:id(\\d+)', requireAdminSession, (req, res, next) => {
+    db.get('SELECT deleted_at FROM sites WHERE id = ?', [parseInt(req.params.id, 10)], (err, row) => {
+        if (err) {
+            console.error('Error checking whether site is deleted:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row || !row.deleted_at) return next();
+
+        req.session.flash = { type: 'info', message: 'That site has been deleted. Restore it to view or change it.' };
+        return res.redirect('/admin/sites/deleted');
+    });
+});
+
+// ------------------------------
+// Admin: CSV export of all sites
+// ------------------------------
+router.get('/admin/sites/export.csv', requireAdminSession, (req, res) => {
+    exportSitesCsv((err, csv) => {
+        if (err) {
+            console.error('Error exporting sites:', err);
+            return res.status(500).send('Error exporting sites.');
+        }
+
+        res.set('Content-Disposition', `attachment; filename="sites-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.type('text/csv');
+        return res.send(csv);
+    });
+});
+
+// ------------------------------
+// Admin: CSV import of sites
+// Upload / paste -> dry run preview (per-row errors, create or update by domain) -> apply.
+// The preview posts the same CSV back, and apply plans it again before writing anything.
+// ------------------------------
+function renderSiteImport(res, { plan = null, csvText = '', createAdmins = false, status = 200 } = {}) {
+    return res.status(status).render('admin-site-import', {
+        pageTitle: 'Import Sites',
+        activePage: 'admin-sites',
+        siteColumns: SITE_COLUMNS,
+        adminColumns: ADMIN_COLUMNS,
+        maxRows: MAX_ROWS,
+        plan,
+        csvText,
+        createAdmins
+    });
+}
+
+router.get('/admin/sites/import', requireAdminSession, (req, res) => {
+    return renderSiteImport(res);
+});
+
+router.post('/admin/sites/import', requireAdminSession, csvUpload.single('csv_file'), (req, res) => {
+    const csvText = req.file ? req.file.buffer.toString('utf8') : String(req.body.csv_text || '');
+    const createAdmins = Boolean(req.body.create_admins);
+
+    if (!csvText.trim()) return res.status(400).send('Choose a CSV file or paste its contents.');
+
+    planImport(csvText, { createAdmins }, (err, plan) => {
+        if (err) {
+            console.error('Error checking site import:', err);
+            return res.status(500).send('Error checking import.');
+        }
+
+        return renderSiteImport(res, { plan, csvText, createAdmins });
+    });
+});
+
+router.post('/admin/sites/import/apply', requireAdminSession, csvUpload.none(), (req, res) => {
+    const csvText = String(req.body.csv_text || '');
+    const createAdmins = Boolean(req.body.create_admins);
+
+    planImport(csvText, { createAdmins }, (err, plan) => {
+        if (err) {
+            console.error('Error checking site import before applying:', err);
+            return res.status(500).send('Error importing sites.');
+        }
+
+        // Something changed since the preview (or the file was edited): show the new preview instead
+        if (!plan.ok) return renderSiteImport(res, { plan, csvText, createAdmins, status: 400 });
+
+        applyImport(plan, req.session.user, (applyErr, result) => {
+            if (applyErr) {
+                console.error('Error applying site import:', applyErr);
+                return res.status(500).send('Error importing sites. Nothing was changed.');
+            }
+
+            req.session.flash = {
+                type: 'success',
+                message:
+                    `Import done: ${result.created} site(s) created, ${result.updated} updated` +
+                    (createAdmins ? `, ${result.invited} account admin invite(s) sent.` : '.')
+            };
+            return res.redirect('/admin/sites');
+        });
+    });
+});
+
+// ------------------------------
+// Admin: new site starting point (?from=<siteId> duplicates a site, ?template=<id> uses a template)
+// The same keys are posted back as hidden fields so the create step copies pages / form fields too.
+// ------------------------------
+function resolveBlueprint(source, cb) {
+    const fromId = parseInt(source.from, 10);
+    const templateId = parseInt(source.template, 10);
+
+    if (fromId) {
+        return loadSiteBlueprint(fromId, CLONE_FIELDS, (err, blueprint) => {
+            if (err || !blueprint) return cb(err, null);
+            return cb(null, Object.assign(blueprint, { source: { key: 'from', id: fromId, label: `a copy of ${blueprint.domain}` } }));
+        });
+    }
+
+    if (templateId) {
+        return getTemplate(templateId, (err, template) => {
+            if (err || !template) return cb(err, null);
+            return cb(null, Object.assign(template, { source: { key: 'template', id: templateId, label: `the "${template.name}" template` } }));
+        });
+    }
+
+    return cb(null, null);
+}
+
+// ------------------------------
+// Admin: new site (GET)
+// ------------------------------
+router.get('/admin/sites/new', requireAdminSession, (req, res) => {
+    resolveBlueprint(req.query, (err, blueprint) => {
+        if (err) {
+            console.error('Error loading new site starting point:', err);
+            return res.status(500).send('Error loading site.');
+        }
+
+        listTemplates((templatesErr, templates) => {
+            if (templatesErr) {
+                console.error('Error loading site templates:', templatesErr);
+                return res.status(500).send('Error loading site templates.');
+            }
+
+            return renderNewSiteForm(req, res, blueprint, templates);
+        });
+    });
+});
+
+function renderNewSiteForm(req, res, blueprint, templates) {
+    const emptySite = {
+        id: null,
+        // Prefilled from the unknown hosts list
+        domain: normalizeHost(req.query.domain),
+        company_name: '',
+        company_details: '',
+        contact_phone: '',
+        contact_email: '',
+        address_line1: '',
+        address_line2: '',
+        city: '',
+        state: '',
+        zip: '',
+        country: '',
+        business_hours: '',
+        logo_url: '/assets/logo.png',
+        favicon_url: '/assets/favicon.png',
+        primary_color: '#1b1464',
+        secondary_color: '#007dc5',
+        dark_color: '#282829',
+        light_color: '#f1f2f2',
+        sms_number: '',
+        help_reply: '',
+        double_opt_in: 0,
+        spam_protection: 'standard',
+        enabled_locales: 'en',
+        default_locale: 'en',
+        theme: 'classic'
+    };
+
+    if (blueprint) {
+        Object.assign(emptySite, blueprint.settings);
+        emptySite.logo_url = blueprint.logo_url || emptySite.logo_url;
+        emptySite.favicon_url = blueprint.favicon_url || emptySite.favicon_url;
+    }
+
+    res.render('admin-site-form', {
+        pageTitle: 'New Site',
+        activePage: null,
+        siteRecord: emptySite,
+        query: req.query,
+        isEdit: false,
+        cnameUrl: CNAME_URL,
+        hostedHost: null,
+        spamLevels: LEVELS,
+        locales: LOCALES,
+        themes: listThemes(),
+        brandingFields: BRANDING_FIELDS,
+        contentBlocks: CONTENT_BLOCKS,
+        themePreviewUrl: null,
+        hoursEditor: buildHoursEditor(emptySite),
+        sampleMessages: sampleMessageSlots(emptySite),
+        embedSnippets: null,
+        blueprint,
+        templates
+    });
+}
+
+// ------------------------------
+// Admin: new site (POST)
+// ------------------------------
+router.post('/admin/sites/new', requireAdminSession, (req, res) => {
+    const body = req.body;
+
+    const domain = (body.domain || '').trim().toLowerCase();
+    if (!domain) return res.status(400).send('Domain is required.');
+    if (reservedDomainError(domain)) return res.status(400).send(reservedDomainError(domain));
+
+    const localeSettings = readLocaleInput(body);
+
+    const seo = readSeoInput(body);
+    if (seo.errors.length) return res.status(400).send(seo.errors.join(' '));
+
+    const hours = readHoursInput(body);
+    if (hours.errors.length) return res.status(400).send(hours.errors.join(' '));
+
+    const samples = readSampleMessagesInput(body);
+    if (samples.errors.length) return res.status(400).send(samples.errors.join(' '));
+
+    const embed = readEmbedOriginsInput(body);
+    if (embed.errors.length) return res.status(400).send(embed.errors.join(' '));
+
+    const smsNumber = normalizeSmsNumber(body.sms_number);
+
+    const params = [
+        domain,
+        (body.company_name || '').trim(),
+        (body.company_details || '').trim(),
+        (body.contact_phone || '').trim(),
+        (body.contact_email || '').trim(),
+        (body.address_line1 || '').trim(),
+        (body.address_line2 || '').trim(),
+        (body.city || '').trim(),
+        (body.state || '').trim(),
+        (body.zip || '').trim(),
+        (body.country || '').trim(),
+        hours.summary,
+        (body.logo_url || '').trim() || '/assets/logo.png',
+        (body.favicon_url || '').trim() || '/assets/favicon.png',
+        (body.primary_color || '').trim() || '#1b1464',
+        (body.secondary_color || '').trim() || '#007dc5',
+        (body.dark_color || '').trim() || '#282829',
+        (body.light_color || '').trim() || '#f1f2f2',
+        'pending',
+        null,
+        smsNumber,
+        (body.help_reply || '').trim() || null,
+        body.double_opt_in ? 1 : 0,
+        normalizeLevel(body.spam_protection),
+        localeSettings.enabled_locales,
+        localeSettings.default_locale,
+        normalizeTheme(body.theme),
+        seo.values.seo_description,
+        seo.values.og_image_url,
+        seo.values.seo_canonical_url,
+        seo.values.seo_noindex,
+        hours.json,
+        samples.json,
+        embed.value
+    ];
+
+    // A hostname belongs to one site only, as its domain or as an alias
+    findDomainOwner(domain, (ownerErr, owner) => {
+        if (ownerErr) {
+            console.error('Error checking domain before creating site:', ownerErr);
+            return res.status(500).send('Error creating site.');
+        }
+        if (owner) {
+            return res.status(400).send(`${domain} is already used by another site${owner.kind === 'alias' ? ' (as an alias)' : ''}.`);
+        }
+
+        findSmsNumberOwner(smsNumber, null, (numberErr, numberOwner) => {
+            if (numberErr) {
+                console.error('Error checking SMS number before creating site:', numberErr);
+                return res.status(500).send('Error creating site.');
+            }
+            if (numberOwner) return res.status(400).send(`SMS number ${smsNumber} is already used by ${numberOwner.domain}.`);
+
+            nextHostedSlug(domain, (slugErr, hostedSlug) => {
+                if (slugErr) {
+                    console.error('Error picking hosted slug for new site:', slugErr);
+                    return res.status(500).send('Error creating site.');
+                }
+
+                db.run(
+                    `
+                  INSERT INTO sites (
+                    domain,
+                    company_name,
+                    company_details,
+                    contact_phone,
+                    contact_email,
+                    address_line1,
+                    address_line2,
+                    city,
+                    state,
+                    zip,
+                    country,
+                    business_hours,
+                    logo_url,
+                    favicon_url,
+                    primary_color,
+                    secondary_color,
+                    dark_color,
+                    light_color,
+                    domain_status,
+                    domain_last_checked_at,
+                    sms_number,
+                    help_reply,
+                    double_opt_in,
+                    spam_protection,
+                    enabled_locales,
+                    default_locale,
+                    theme,
+                    seo_description,
+                    og_image_url,
+                    seo_canonical_url,
+                    seo_noindex,
+                    hours_json,
+                    sample_messages_json,
+                    embed_origins,
+                    hosted_slug
+                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                    params.concat(hostedSlug),
+                    function (err) {
+                        if (err) {
+                            console.error('Error inserting site:', err);
+                            return res.status(500).send('Error creating site.');
+                        }
+
+                        const siteId = this.lastID;
+
+                        // Own copies of the logo / favicon, plus the starting point's pages and form fields
+                        resolveBlueprint(body, (bpErr, blueprint) => {
+                            if (bpErr) console.error('Error loading new site starting point:', bpErr);
+
+                            finishNewSite(siteId, blueprint, (finishErr) => {
+                                if (bpErr || finishErr) {
+                                    if (finishErr) console.error('Error copying starting point into new site:', finishErr);
+                                    req.session.flash = {
+                                        type: 'error',
+                                        message: 'The site was created, but some pages, form fields or images could not be copied.'
+                                    };
+                                }
+
+                                recordRevision(siteId, { action: 'created', user: req.session.user }, (revErr) => {
+                                    if (revErr) console.error('Error recording site revision:', revErr);
+                                    return res.redirect('/admin/sites/' + siteId + '/edit');
+                                });
+                            });
+                        });
+                    }
+                );
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Admin: site templates (list, save a site as a template, rename, delete)
+// ------------------------------
+router.get('/admin/templates', requireAdminSession, (req, res) => {
+    listTemplates((err, templates) => {
+        if (err) {
+            console.error('Error loading site templates:', err);
+            return res.status(500).send('Error loading site templates.');
+        }
+
+        db.all('SELECT id, domain, company_name FROM sites WHERE deleted_at IS NULL ORDER BY domain ASC', [], (err2, sites) => {
+            if (err2) {
+                console.error('Error loading sites for templates:', err2);
+                return res.status(500).send('Error loading sites.');
+            }
+
+            return res.render('admin-templates', {
+                pageTitle: 'Site Templates',
+                activePage: 'admin-sites',
+                templates,
+                sites,
+                query: req.query
+            });
+        });
+    });
+});
+
+router.post('/admin/templates', requireAdminSession, (req, res) => {
+    const siteId = parseInt(req.body.site_id, 10);
+    const { values, errors } = readTemplateInput(req.body);
+    if (!siteId) errors.push('Pick the site to take the template from.');
+    if (errors.length) return res.status(400).send(errors.join(' '));
+
+    createTemplateFromSite(siteId, values, req.session.user, (err, templateId) => {
+        if (err) {
+            console.error('Error creating site template:', err);
+            return res.status(500).send('Error creating site template.');
+        }
+        if (!templateId) return res.status(404).send('Site not found.');
+
+        req.session.flash = { type: 'success', message: `Template "${values.name}" saved.` };
+        return res.redirect('/admin/templates');
+    });
+});
+
+router.post('/admin/templates/:templateId/edit', requireAdminSession, (req, res) => {
+    const { values, errors } = readTemplateInput(req.body);
+    if (errors.length) return res.status(400).send(errors.join(' '));
+
+    updateTemplate(parseInt(req.params.templateId, 10), values, (err) => {
+        if (err) {
+            console.error('Error updating site template:', err);
+            return res.status(500).send('Error updating site template.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Template updated.' };
+        return res.redirect('/admin/templates');
+    });
+});
+
+router.post('/admin/templates/:templateId/delete', requireAdminSession, (req, res) => {
+    deleteTemplate(parseInt(req.params.templateId, 10), (err) => {
+        if (err) {
+            console.error('Error deleting site template:', err);
+            return res.status(500).send('Error deleting site template.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Template deleted. Sites created from it are not affected.' };
+        return res.redirect('/admin/templates');
+    });
+});
+
+// ------------------------------
+// Admin: edit site (GET)
+// ------------------------------
+router.get('/admin/sites/:id/edit', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        loadDraft(row, (draftErr, { draft, discarded } = {}) => {
+            if (draftErr) {
+                console.error('Error loading site draft:', draftErr);
+                return res.status(500).send('Error loading site.');
+            }
+
+            // The form edits the draft when there is one
+            const formRow = applyDraft(row, draft);
+
+            res.render('admin-site-form', {
+                pageTitle: `Edit Site: ${row.domain}`,
+                activePage: null,
+                siteRecord: formRow,
+                query: req.query,
+                isEdit: true,
+                cnameUrl: CNAME_URL,
+                hostedHost: hostedHostname(row),
+                spamLevels: LEVELS,
+                locales: LOCALES,
+                themes: listThemes(),
+                brandingFields: BRANDING_FIELDS,
+                contentBlocks: CONTENT_BLOCKS,
+                themePreviewUrl: `/admin/sites/${id}/theme-preview`,
+                hoursEditor: buildHoursEditor(formRow),
+                sampleMessages: sampleMessageSlots(formRow),
+                embedSnippets: buildEmbedSnippets(mapRowToSite(formRow)),
+                draftPanel: {
+                    draft,
+                    discarded,
+                    statusLabels: DRAFT_STATUS_LABELS,
+                    actionBase: `/admin/sites/${id}/draft`,
+                    previewUrl: `/preview/draft/${id}/`,
+                    canPublish: true,
+                    canSubmit: false,
+                    canReview: true,
+                    requiresReview: Boolean(row.publish_requires_review)
+                },
+                statusPanel: {
+                    siteStatus: describeStatus(row),
+                    labels: SITE_STATUS_LABELS,
+                    startsAt: toLocalInput(row.status_starts_at),
+                    endsAt: toLocalInput(row.status_ends_at)
+                }
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Admin: edit site (POST) -> saves the draft
+// ------------------------------
+router.post('/admin/sites/:id/edit', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const body = req.body;
+
+    const localeSettings = readLocaleInput(body);
+
+    const seo = readSeoInput(body);
+    if (seo.errors.length) return res.status(400).send(seo.errors.join(' '));
+
+    const hours = readHoursInput(body);
+    if (hours.errors.length) return res.status(400).send(hours.errors.join(' '));
+
+    const samples = readSampleMessagesInput(body);
+    if (samples.errors.length) return res.status(400).send(samples.errors.join(' '));
+
+    const embed = readEmbedOriginsInput(body);
+    if (embed.errors.length) return res.status(400).send(embed.errors.join(' '));
+
+    const values = {
+        company_name: (body.company_name || '').trim(),
+        company_details: (body.company_details || '').trim(),
+        contact_phone: (body.contact_phone || '').trim(),
+        contact_email: (body.contact_email || '').trim(),
+        address_line1: (body.address_line1 || '').trim(),
+        address_line2: (body.address_line2 || '').trim(),
+        city: (body.city || '').trim(),
+        state: (body.state || '').trim(),
+        zip: (body.zip || '').trim(),
+        country: (body.country || '').trim(),
+        business_hours: hours.summary,
+        primary_color: (body.primary_color || '').trim() || '#1b1464',
+        secondary_color: (body.secondary_color || '').trim() || '#007dc5',
+        dark_color: (body.dark_color || '').trim() || '#282829',
+        light_color: (body.light_color || '').trim() || '#f1f2f2',
+        sms_number: normalizeSmsNumber(body.sms_number),
+        help_reply: (body.help_reply || '').trim() || null,
+        double_opt_in: body.double_opt_in ? 1 : 0,
+        spam_protection: normalizeLevel(body.spam_protection),
+        enabled_locales: localeSettings.enabled_locales,
+        default_locale: localeSettings.default_locale,
+        theme: normalizeTheme(body.theme),
+        seo_description: seo.values.seo_description,
+        og_image_url: seo.values.og_image_url,
+        seo_canonical_url: seo.values.seo_canonical_url,
+        seo_noindex: seo.values.seo_noindex,
+        hours_json: hours.json,
+        sample_messages_json: samples.json,
+        embed_origins: embed.value
+    };
+
+    // Edits go into the site's draft; the live row changes on publish.
+    // Logo / favicon (uploads) and the domain are not part of drafts: a new domain applies right away,
+    // together with the draft, once the whole form is valid.
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site before saving draft:', err);
+            return res.status(500).send('Error updating site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        findSmsNumberOwner(values.sms_number, id, (numberErr, numberOwner) => {
+            if (numberErr) {
+                console.error('Error checking SMS number before saving draft:', numberErr);
+                return res.status(500).send('Error updating site.');
+            }
+            if (numberOwner) {
+                return res.status(400).send(`SMS number ${values.sms_number} is already used by ${numberOwner.domain}.`);
+            }
+
+            checkPrimaryDomain(row, body.domain, (domainErr, domainCheck) => {
+                if (domainErr) {
+                    console.error('Error checking site domain before saving draft:', domainErr);
+                    return res.status(500).send('Error updating site.');
+                }
+                if (domainCheck.errors.length) return res.status(400).send(domainCheck.errors.join(' '));
+
+                const done = (saveErr) => {
+                    // Another site took the domain since it was checked
+                    if (saveErr && /UNIQUE constraint failed: sites\.domain/.test(saveErr.message)) {
+                        return res.status(400).send(`${domainCheck.domain} is already used by another site.`);
+                    }
+                    if (saveErr) {
+                        console.error('Error saving site draft:', saveErr);
+                        return res.status(500).send('Error updating site.');
+                    }
+
+                    const domainNote = domainCheck.domain
+                        ? `Domain changed to ${domainCheck.domain}; point it at ${CNAME_URL}, then validate it. `
+                        : '';
+                    req.session.flash = {
+                        type: 'success',
+                        message: `${domainNote}Draft saved. Preview it, then publish it to make it live.`
+                    };
+                    return res.redirect('/admin/sites/' + id + '/edit');
+                };
+
+                if (!domainCheck.domain) return saveDraft(row, values, req.session.user, done);
+
+                const statements = primaryDomainStatements(row, domainCheck.domain).concat([
+                    saveDraftStatement(row, values, req.session.user)
+                ]);
+                const meta = { action: 'domain', user: req.session.user };
+
+                return trackSiteChange(id, meta, (change) => runInTransaction(statements, change), done);
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Admin: draft actions (publish / discard / send back) + review setting
+// ------------------------------
+router.post('/admin/sites/:id/draft/publish', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    const meta = { action: 'published', user: req.session.user };
+
+    trackSiteChange(id, meta, (done) => publishDraft(id, done), (err, result) => {
+        // Another site took the draft's SMS number after the draft was saved
+        if (err && /UNIQUE constraint failed: sites\.sms_number/.test(err.message)) {
+            return res.status(400).send('The draft’s SMS number is already used by another site. Change it and save the draft again.');
+        }
+        if (err) {
+            console.error('Error publishing site draft:', err);
+            return res.status(500).send('Error publishing draft.');
+        }
+
+        req.session.flash = result.published
+            ? { type: 'success', message: 'Draft published. The changes are live.' }
+            : {
+                  type: 'error',
+                  message: result.stale
+                      ? 'The live site changed since the draft was saved, so the draft was discarded.'
+                      : 'There is no draft to publish.'
+              };
+        return res.redirect('/admin/sites/' + id + '/edit');
+    });
+});
+
+router.post('/admin/sites/:id/draft/discard', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    discardDraft(id, (err) => {
+        if (err) {
+            console.error('Error discarding site draft:', err);
+            return res.status(500).send('Error discarding draft.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Draft discarded.' };
+        return res.redirect('/admin/sites/' + id + '/edit');
+    });
+});
+
+router.post('/admin/sites/:id/draft/reject', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const note = String(req.body.review_note || '').trim().slice(0, 1000);
+
+    rejectDraft(id, note, (err, rejected) => {
+        if (err) {
+            console.error('Error sending site draft back:', err);
+            return res.status(500).send('Error updating draft.');
+        }
+
+        req.session.flash = rejected
+            ? { type: 'success', message: 'Draft sent back to the account.' }
+            : { type: 'error', message: 'There is no draft awaiting approval.' };
+        return res.redirect('/admin/sites/' + id + '/edit');
+    });
+});
+
+router.post('/admin/sites/:id/review-setting', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.run(
+        'UPDATE sites SET publish_requires_review = ? WHERE id = ?',
+        [req.body.publish_requires_review ? 1 : 0, id],
+        (err) => {
+            if (err) {
+                console.error('Error saving publish review setting:', err);
+                return res.status(500).send('Error saving setting.');
+            }
+
+            req.session.flash = { type: 'success', message: 'Approval setting saved.' };
+            return res.redirect('/admin/sites/' + id + '/edit');
+        }
+    );
+});
+
+// ------------------------------
+// Admin: revision history (list, diff, restore)
+// ------------------------------
+router.get('/admin/sites/:id/revisions', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT id, domain FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for revisions:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        listRevisions(id, (err2, revisions) => {
+            if (err2) {
+                console.error('Error loading site revisions:', err2);
+                return res.status(500).send('Error loading revisions.');
+            }
+
+            return res.render('site-revisions', {
+                pageTitle: `History: ${row.domain}`,
+                activePage: 'admin-sites',
+                siteRecord: row,
+                revisions,
+                fieldLabels: REVISION_FIELD_LABELS,
+                actionLabels: REVISION_ACTION_LABELS,
+                baseUrl: `/admin/sites/${id}/revisions`,
+                backUrl: `/admin/sites/${id}/edit`,
+                canRestore: true
+            });
+        });
+    });
+});
+
+router.get('/admin/sites/:id/revisions/:revId', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT id, domain FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for revision:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        loadRevisionDiff(id, parseInt(req.params.revId, 10), (err2, result) => {
+            if (err2) {
+                console.error('Error loading site revision:', err2);
+                return res.status(500).send('Error loading revision.');
+            }
+            if (!result) return res.status(404).send('Revision not found.');
+
+            return res.render('site-revision', Object.assign(result, {
+                pageTitle: `Revision #${result.revision.id}: ${row.domain}`,
+                activePage: 'admin-sites',
+                siteRecord: row,
+                actionLabels: REVISION_ACTION_LABELS,
+                baseUrl: `/admin/sites/${id}/revisions`,
+                canRestore: true
+            }));
+        });
+    });
+});
+
+router.post('/admin/sites/:id/revisions/:revId/restore', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    loadRevisionDiff(id, parseInt(req.params.revId, 10), (err, result) => {
+        if (err) {
+            console.error('Error loading site revision to restore:', err);
+            return res.status(500).send('Error restoring revision.');
+        }
+        if (!result) return res.status(404).send('Revision not found.');
+
+        restoreRevision(id, result.revision, req.session.user, (err2) => {
+            if (err2) {
+                console.error('Error restoring site revision:', err2);
+                return res.status(500).send('Error restoring revision.');
+            }
+
+            req.session.flash = { type: 'success', message: `Revision #${result.revision.id} restored. The changes are live.` };
+            return res.redirect(`/admin/sites/${id}/revisions`);
+        });
+    });
+});
+
+// ------------------------------
+// Admin: theme preview (home page with unsaved theme/colour choices, shown in the site form)
+// ------------------------------
+router.get('/admin/sites/:id/theme-preview', requireAdminSession, allowSameOriginFraming, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for theme preview:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        listNavPages(row.id, (err2, navPages) => {
+            if (err2) console.error('Error loading nav pages for theme preview:', err2);
+
+            return res.render('home', Object.assign(buildThemePreview(row, req.query, req.locale), {
+                pageTitle: req.t('home.pageTitle'),
+                activePage: 'home',
+                navPages: navPages || [],
+                currentUser: null
+            }));
+        });
+    });
+});
+
+// ------------------------------
+// Admin: site status (active / suspended / maintenance + optional window); applies right away, no draft
+// ------------------------------
+router.post('/admin/sites/:id/status', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const { values, errors } = readStatusInput(req.body);
+    if (errors.length) return res.status(400).send(errors.join(' '));
+
+    const meta = { action: 'status', user: req.session.user };
+
+    trackSiteChange(id, meta, (done) => saveSiteStatus(id, values, done), (err) => {
+        if (err) {
+            console.error('Error saving site status:', err);
+            return res.status(500).send('Error saving site status.');
+        }
+
+        req.session.flash = { type: 'success', message: `Site status set to ${SITE_STATUS_LABELS[values.status]}.` };
+        return res.redirect(`/admin/sites/${id}/edit`);
+    });
+});
+
+// ------------------------------
+// Admin: delete site (POST) — soft delete, purged after SITE_RETENTION_DAYS (services/siteDeletion.js)
+// ------------------------------
+router.post('/admin/sites/:id/delete', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT domain FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error reading site to delete:', err);
+            return res.status(500).send('Error.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+        if (row.domain === 'localhost') return res.status(400).send('Cannot delete localhost site.');
+
+        softDeleteSite(id, req.session.user, (delErr) => {
+            if (delErr) {
+                console.error('Error deleting site:', delErr);
+                return res.status(500).send('Error deleting site.');
+            }
+
+            req.session.flash = {
+                type: 'success',
+                message: `Site ${row.domain} deleted. Its users were deactivated and its submissions archived; it can be restored from Deleted sites for ${SITE_RETENTION_DAYS} days.`
+            };
+            return res.redirect('/admin/sites');
+        });
+    });
+});
+
+// ------------------------------
+// Admin: policy documents (view versions + publish)
+// ------------------------------
+router.get('/admin/sites/:id/policies/:docType', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const docType = req.params.docType;
+    if (!isValidDocType(docType)) return res.status(404).send('Unknown policy document.');
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for policies:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const locale = pickSiteLocale(row, req.query.locale);
+
+        loadPolicyEditor(row, docType, locale, (err2, editor) => {
+            if (err2) {
+                console.error('Error loading policy versions:', err2);
+                return res.status(500).send('Error loading policy versions.');
+            }
+
+            res.render('policy-editor', Object.assign(editor, {
+                pageTitle: `${editor.docInfo.title}: ${row.domain}`,
+                activePage: null,
+                siteRecord: row,
+                canEdit: true,
+                formAction: `/admin/sites/${id}/policies/${docType}?locale=${locale}`,
+                localeOptions: siteLocales(row).enabled.map((code) => ({ code, label: LOCALES[code] })),
+                editorBase: `/admin/sites/${id}/policies`,
+                backUrl: `/admin/sites/${id}/edit`
+            }));
+        });
+    });
+});
+
+router.post('/admin/sites/:id/policies/:docType', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const docType = req.params.docType;
+    if (!isValidDocType(docType)) return res.status(404).send('Unknown policy document.');
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for policy publish:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const meta = { action: 'policy', user: req.session.user };
+        const change = (done) =>
+            publishPolicyVersion(
+                {
+                    siteRow: row,
+                    docType,
+                    locale: pickSiteLocale(row, req.query.locale),
+                    overrides: req.body.overrides || {},
+                    effectiveAt: parseEffectiveDate(req.body.effective_date),
+                    createdBy: req.session.user.email
+                },
+                done
+            );
+
+        trackSiteChange(id, meta, change, (err2, result) => {
+            if (err2) {
+                console.error('Error publishing policy version:', err2);
+                return res.status(500).send('Error publishing policy.');
+            }
+
+            req.session.flash = {
+                type: 'success',
+                message: `Published version ${result.version} (effective ${result.effectiveAt.slice(0, 10)}).`
+            };
+            return res.redirect(`/admin/sites/${id}/policies/${docType}?locale=${result.locale}`);
+        });
+    });
+});
+
+// ------------------------------
+// Admin: custom contact form fields
+// ------------------------------
+function renderFormBuilder(res, row, { fields, errors = [], status = 200 }) {
+    return res.status(status).render('form-builder', {
+        pageTitle: `Contact Form Fields: ${row.domain}`,
+        activePage: null,
+        siteRecord: row,
+        fields,
+        errors,
+        fieldTypes: FIELD_TYPES,
+        patternPresets: PATTERN_PRESETS,
+        maxFields: MAX_FIELDS,
+        canEdit: true,
+        formAction: `/admin/sites/${row.id}/form`,
+        backUrl: `/admin/sites/${row.id}/edit`
+    });
+}
+
+router.get('/admin/sites/:id/form', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for form builder:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        return renderFormBuilder(res, row, { fields: parseSchema(row.form_schema_json) });
+    });
+});
+
+router.post('/admin/sites/:id/form', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for form builder save:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const { fields, errors } = buildSchemaFromInput(req.body.fields);
+        if (errors.length) return renderFormBuilder(res, row, { fields, errors, status: 400 });
+
+        const meta = { action: 'form', user: req.session.user };
+        const change = (done) =>
+            db.run(
+                'UPDATE sites SET form_schema_json = ? WHERE id = ?',
+                [fields.length ? JSON.stringify(fields) : null, id],
+                (runErr) => done(runErr)
+            );
+
+        trackSiteChange(id, meta, change, (err2) => {
+            if (err2) {
+                console.error('Error saving form schema:', err2);
+                return res.status(500).send('Error saving form fields.');
+            }
+
+            req.session.flash = { type: 'success', message: 'Contact form fields saved.' };
+            return res.redirect(`/admin/sites/${id}/form`);
         });
     });
 });
 
 // ------------------------------
-// Admin: list sites
+// Admin: custom content pages
 // ------------------------------
-router.get('/admin/sites', requireAdminSession, (req, res) => {
-    db.all(
-        `
-      SELECT id, domain, company_name, contact_email, contact_phone,
-             primary_color, secondary_color, domain_status, domain_last_checked_at
-      FROM sites
-      ORDER BY domain ASC
-    `,
-        [],
-        (err, rows) => {
+function loadSiteForPages(req, res, cb) {
+    const id = parseInt(req.params.id, 10);
+
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for pages:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+        return cb(row);
+    });
+}
+
+function renderAdminPageForm(res, row, { page, errors = [], status = 200 }) {
+    return res.status(status).render('site-page-form', {
+        pageTitle: `${page.id ? 'Edit' : 'New'} Page: ${row.domain}`,
+        activePage: null,
+        siteRecord: row,
+        page,
+        errors,
+        isEdit: Boolean(page.id),
+        canEdit: true,
+        bodyFormats: BODY_FORMATS,
+        basePath: `/admin/sites/${row.id}/pages`
+    });
+}
+
+function saveAdminPage(req, res, row, pageId) {
+    const { page, errors } = readPageInput(req.body);
+    if (pageId) page.id = pageId;
+    if (errors.length) return renderAdminPageForm(res, row, { page, errors, status: 400 });
+
+    const meta = { action: 'page_saved', user: req.session.user };
+
+    trackSiteChange(row.id, meta, (done) => savePage(row.id, pageId, page, done), (err) => {
+        if (err && err.code === 'SLUG_TAKEN') {
+            return renderAdminPageForm(res, row, { page, errors: [err.message], status: 400 });
+        }
+        if (err) {
+            console.error('Error saving page:', err);
+            return res.status(500).send('Error saving page.');
+        }
+
+        req.session.flash = { type: 'success', message: `Page "${page.title}" saved.` };
+        return res.redirect(`/admin/sites/${row.id}/pages`);
+    });
+}
+
+router.get('/admin/sites/:id/pages', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) => {
+        listPages(row.id, (err, pages) => {
             if (err) {
-                console.error('Error fetching sites:', err);
-                return res.status(500).send('Error loading sites.');
+                console.error('Error loading pages:', err);
+                return res.status(500).send('Error loading pages.');
             }
 
-            res.render('admin-sites-list', {
-                pageTitle: 'Sites',
-                activePage: 'admin-sites',
-                sites: rows,
-                query: req.query
+            res.render('site-pages', {
+                pageTitle: `Pages: ${row.domain}`,
+                activePage: null,
+                siteRecord: row,
+                pages,
+                canEdit: true,
+                basePath: `/admin/sites/${row.id}/pages`,
+                backUrl: `/admin/sites/${row.id}/edit`
             });
-        }
+        });
+    });
+});
+
+router.get('/admin/sites/:id/pages/new', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) =>
+        renderAdminPageForm(res, row, { page: { body_format: 'html', show_in_nav: 1, nav_order: 0 } })
     );
 });
 
-// ------------------------------
-// Admin: new site (GET)
-// ------------------------------
-router.get('/admin/sites/new', requireAdminSession, (req, res) => {
-    const emptySite = {
-        id: null,
-        domain: '',
-        company_name: '',
-        company_details: '',
-        contact_phone: '',
-        contact_email: '',
-        address_line1: '',
-        address_line2: '',
-        city: '',
-        state: '',
-        zip: '',
-        country: '',
-        business_hours: '',
-        logo_url: '/assets/logo.png',
-        favicon_url: '/assets/favicon.png',
-        primary_color: '#1b1464',
-        secondary_color: '#007dc5',
-        dark_color: '#282829',
-        light_color: '#f1f2f2'
-    };
+router.post('/admin/sites/:id/pages/new', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) => saveAdminPage(req, res, row, null));
+});
 
-    res.render('admin-site-form', {
-        pageTitle: 'New Site',
-        activePage: null,
-        siteRecord: emptySite,
-        query: req.query,
-        isEdit: false,
-        cnameUrl: CNAME_URL
+router.get('/admin/sites/:id/pages/:pageId/edit', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) => {
+        getPage(row.id, parseInt(req.params.pageId, 10), (err, page) => {
+            if (err) {
+                console.error('Error loading page:', err);
+                return res.status(500).send('Error loading page.');
+            }
+            if (!page) return res.status(404).send('Page not found.');
+            return renderAdminPageForm(res, row, { page });
+        });
     });
 });
 
-// ------------------------------
-// Admin: new site (POST)
-// ------------------------------
-router.post('/admin/sites/new', requireAdminSession, (req, res) => {
-    const body = req.body;
+router.post('/admin/sites/:id/pages/:pageId/edit', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) => {
+        const pageId = parseInt(req.params.pageId, 10);
 
-    const domain = (body.domain || '').trim().toLowerCase();
-    if (!domain) return res.status(400).send('Domain is required.');
+        getPage(row.id, pageId, (err, existing) => {
+            if (err) {
+                console.error('Error loading page:', err);
+                return res.status(500).send('Error loading page.');
+            }
+            if (!existing) return res.status(404).send('Page not found.');
+            return saveAdminPage(req, res, row, pageId);
+        });
+    });
+});
 
-    const params = [
-        domain,
-        (body.company_name || '').trim(),
-        (body.company_details || '').trim(),
-        (body.contact_phone || '').trim(),
-        (body.contact_email || '').trim(),
-        (body.address_line1 || '').trim(),
-        (body.address_line2 || '').trim(),
-        (body.city || '').trim(),
-        (body.state || '').trim(),
-        (body.zip || '').trim(),
-        (body.country || '').trim(),
-        (body.business_hours || '').trim(),
-        (body.logo_url || '').trim() || '/assets/logo.png',
-        (body.favicon_url || '').trim() || '/assets/favicon.png',
-        (body.primary_color || '').trim() || '#1b1464',
-        (body.secondary_color || '').trim() || '#007dc5',
-        (body.dark_color || '').trim() || '#282829',
-        (body.light_color || '').trim() || '#f1f2f2',
-        'pending',
-        null
-    ];
+router.post('/admin/sites/:id/pages/:pageId/delete', requireAdminSession, (req, res) => {
+    loadSiteForPages(req, res, (row) => {
+        const meta = { action: 'page_deleted', user: req.session.user };
+        const change = (done) => deletePage(row.id, parseInt(req.params.pageId, 10), done);
 
-    db.run(
-        `
-      INSERT INTO sites (
-        domain,
-        company_name,
-        company_details,
-        contact_phone,
-        contact_email,
-        address_line1,
-        address_line2,
-        city,
-        state,
-        zip,
-        country,
-        business_hours,
-        logo_url,
-        favicon_url,
-        primary_color,
-        secondary_color,
-        dark_color,
-        light_color,
-        domain_status,
-        domain_last_checked_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-        params,
-        function (err) {
+        trackSiteChange(row.id, meta, change, (err) => {
             if (err) {
-                console.error('Error inserting site:', err);
-                return res.status(500).send('Error creating site.');
+                console.error('Error deleting page:', err);
+                return res.status(500).send('Error deleting page.');
             }
-            return res.redirect('/admin/sites/' + this.lastID + '/edit');
-        }
-    );
+
+            req.session.flash = { type: 'success', message: 'Page deleted.' };
+            return res.redirect(`/admin/sites/${row.id}/pages`);
+        });
+    });
 });
 
 // ------------------------------
-// Admin: edit site (GET)
+// Admin: 10DLC readiness report (last stored run)
 // ------------------------------
-router.get('/admin/sites/:id/edit', requireAdminSession, (req, res) => {
+router.get('/admin/sites/:id/readiness', requireAdminSession, (req, res) => {
     const id = parseInt(req.params.id, 10);
 
     db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
         if (err) {
-            console.error('Error loading site:', err);
+            console.error('Error loading site for readiness report:', err);
             return res.status(500).send('Error loading site.');
         }
         if (!row) return res.status(404).send('Site not found.');
 
-        res.render('admin-site-form', {
-            pageTitle: `Edit Site: ${row.domain}`,
-            activePage: null,
+        return res.render('readiness-report', {
+            pageTitle: `10DLC Readiness: ${row.domain}`,
+            activePage: 'admin-sites',
             siteRecord: row,
-            query: req.query,
-            isEdit: true,
-            cnameUrl: CNAME_URL
+            report: loadReadinessReport(row),
+            statusLabels: STATUS_LABELS,
+            runUrl: `/admin/sites/${id}/readiness`,
+            backUrl: '/admin/sites',
+            editUrl: `/admin/sites/${id}/edit`
         });
     });
 });
 
 // ------------------------------
-// Admin: edit site (POST)
-// FIX: include logo_url + favicon_url params correctly (prevents corruption)
+// Admin: run the 10DLC readiness check
 // ------------------------------
-router.post('/admin/sites/:id/edit', requireAdminSession, (req, res) => {
+router.post('/admin/sites/:id/readiness', requireAdminSession, (req, res) => {
     const id = parseInt(req.params.id, 10);
-    const body = req.body;
 
-    const domain = (body.domain || '').trim().toLowerCase();
-    if (!domain) return res.status(400).send('Domain is required.');
+    db.get('SELECT * FROM sites WHERE id = ?', [id], async (err, row) => {
+        if (err) {
+            console.error('Error loading site for readiness check:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
 
-    const params = [
-        domain,
-        (body.company_name || '').trim(),
-        (body.company_details || '').trim(),
-        (body.contact_phone || '').trim(),
-        (body.contact_email || '').trim(),
-        (body.address_line1 || '').trim(),
-        (body.address_line2 || '').trim(),
-        (body.city || '').trim(),
-        (body.state || '').trim(),
-        (body.zip || '').trim(),
-        (body.country || '').trim(),
-        (body.business_hours || '').trim(),
-        (body.logo_url || '').trim(),     // ✅ FIX
-        (body.favicon_url || '').trim(),  // ✅ FIX
-        (body.primary_color || '').trim() || '#1b1464',
-        (body.secondary_color || '').trim() || '#007dc5',
-        (body.dark_color || '').trim() || '#282829',
-        (body.light_color || '').trim() || '#f1f2f2',
-        id
-    ];
+        try {
+            const report = await runReadinessCheck(row);
 
-    db.run(
-        `
-      UPDATE sites
-      SET
-        domain = ?,
-        company_name = ?,
-        company_details = ?,
-        contact_phone = ?,
-        contact_email = ?,
-        address_line1 = ?,
-        address_line2 = ?,
-        city = ?,
-        state = ?,
-        zip = ?,
-        country = ?,
-        business_hours = ?,
-        logo_url = ?,         -- ✅ FIX
-        favicon_url = ?,      -- ✅ FIX
-        primary_color = ?,
-        secondary_color = ?,
-        dark_color = ?,
-        light_color = ?
-      WHERE id = ?
-    `,
-        params,
-        (err) => {
-            if (err) {
-                console.error('Error updating site:', err);
-                return res.status(500).send('Error updating site.');
-            }
-            return res.redirect('/admin/sites/' + id + '/edit');
+            saveReadinessReport(id, report, (saveErr) => {
+                if (saveErr) {
+                    console.error('Error saving readiness report:', saveErr);
+                    return res.status(500).send('Error saving readiness report.');
+                }
+                return res.redirect(`/admin/sites/${id}/readiness`);
+            });
+        } catch (e) {
+            console.error('Unexpected error during readiness check:', e);
+            req.session.flash = { type: 'error', message: `Readiness check failed: ${e.message || 'Unknown error'}` };
+            return res.redirect(`/admin/sites/${id}/readiness`);
         }
-    );
+    });
 });
 
 // ------------------------------
-// Admin: delete site (POST)
+// Admin: TCR campaign package (printable HTML, or JSON download)
 // ------------------------------
-router.post('/admin/sites/:id/delete', requireAdminSession, (req, res) => {
+router.get(['/admin/sites/:id/campaign-package', '/admin/sites/:id/campaign-package.json'], requireAdminSession, (req, res) => {
     const id = parseInt(req.params.id, 10);
 
-    db.get('SELECT domain FROM sites WHERE id = ?', [id], (err, row) => {
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
         if (err) {
-            console.error('Error reading site to delete:', err);
-            return res.status(500).send('Error.');
+            console.error('Error loading site for campaign package:', err);
+            return res.status(500).send('Error loading site.');
         }
         if (!row) return res.status(404).send('Site not found.');
-        if (row.domain === 'localhost') return res.status(400).send('Cannot delete localhost site.');
 
-        db.run('DELETE FROM sites WHERE id = ?', [id], (delErr) => {
-            if (delErr) {
-                console.error('Error deleting site:', delErr);
-                return res.status(500).send('Error deleting site.');
+        buildCampaignPackage(row, (pkgErr, pkg) => {
+            if (pkgErr) {
+                console.error('Error building campaign package:', pkgErr);
+                return res.status(500).send('Error building campaign package.');
             }
-            return res.redirect('/admin/sites');
+
+            if (req.path.endsWith('.json')) {
+                res.setHeader('Content-Disposition', `attachment; filename="campaign-package-${row.domain}.json"`);
+                return res.json(pkg);
+            }
+
+            return res.render('campaign-package', {
+                pageTitle: `Campaign Package: ${row.domain}`,
+                activePage: 'admin-sites',
+                siteRecord: row,
+                pkg,
+                jsonUrl: `/admin/sites/${id}/campaign-package.json`,
+                backUrl: `/admin/sites/${id}/edit`
+            });
         });
     });
 });
@@ -304,7 +1639,7 @@ router.post('/admin/sites/:id/delete', requireAdminSession, (req, res) => {
 // ------------------------------
 // Admin: validate domain (DNS + HTTPS)
 // ------------------------------
-router.post('/admin/sites/:id/validate-domain', requireAdminSession, async (req, res) => {
+router.post('/admin/sites/:id/validate-domain', requireAdminSession, (req, res) => {
     const id = parseInt(req.params.id, 10);
 
     db.get('SELECT * FROM sites WHERE id = ?', [id], async (err, site) => {
@@ -320,51 +1655,111 @@ router.post('/admin/sites/:id/validate-domain', requireAdminSession, async (req,
         // Always store check timestamp
         db.run('UPDATE sites SET domain_last_checked_at = ? WHERE id = ?', [new Date().toISOString(), id]);
 
-        try {
-            // 1) DNS check
-            const dnsResult = await checkDnsCname(domain);
+        const result = await validateDomain(domain);
 
-            if (!dnsResult.ok) {
-                db.run('UPDATE sites SET domain_status = ? WHERE id = ?', ['dns_error', id], () => {
-                    req.session.flash = {
-                        type: 'error',
-                        message: `DNS validation failed for ${domain}: ${dnsResult.detail} (expected: ${EXPECTED_CNAME_TARGET})`
-                    };
-                    return res.redirect('/admin/sites');
-                });
-                return;
-            }
+        db.run('UPDATE sites SET domain_status = ? WHERE id = ?', [result.status, id], () => {
+            req.session.flash = { type: validationFlashType(result.status), message: result.detail };
+            return res.redirect('/admin/sites');
+        });
+    });
+});
 
-            // 2) HTTPS /health
-            let httpsResult;
-            try {
-                httpsResult = await checkHttpsHealth(domain);
-            } catch (httpsErr) {
-                httpsResult = { ok: false, detail: httpsErr.message || 'HTTPS /health check failed' };
-            }
+// ------------------------------
+// Admin: domain aliases (list, add, remove, validate, redirect setting)
+// ------------------------------
+router.get('/admin/sites/:id/domains', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
 
-            const newStatus = httpsResult.ok ? 'active' : 'dns_ok_ssl_error';
+    db.get('SELECT * FROM sites WHERE id = ?', [id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for domain aliases:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
 
-            db.run('UPDATE sites SET domain_status = ? WHERE id = ?', [newStatus, id], () => {
-                req.session.flash = {
-                    type: httpsResult.ok ? 'success' : 'warning',
-                    message: httpsResult.ok
-                        ? `Domain ${domain} is active.`
-                        : `Domain ${domain} DNS is OK but HTTPS check had issues: ${httpsResult.detail}`
-                };
-                return res.redirect('/admin/sites');
-            });
-        } catch (e) {
-            console.error('Unexpected error during domain validation:', e);
+        listSiteDomains(id, (err2, aliases) => {
+            if (err2) {
+                console.error('Error loading domain aliases:', err2);
+                return res.status(500).send('Error loading domain aliases.');
+            }
 
-            db.run('UPDATE sites SET domain_status = ? WHERE id = ?', ['error_generic', id], () => {
-                req.session.flash = {
-                    type: 'error',
-                    message: `Validation failed for ${domain}: ${e.message || 'Unknown validation error'}`
-                };
-                return res.redirect('/admin/sites');
+            return res.render('site-domains', {
+                pageTitle: `Domains: ${row.domain}`,
+                activePage: 'admin-sites',
+                siteRecord: row,
+                aliases,
+                hostedHost: hostedHostname(row),
+                cnameUrl: CNAME_URL,
+                canEdit: true,
+                baseUrl: `/admin/sites/${id}/domains`,
+                backUrl: `/admin/sites/${id}/edit`
             });
+        });
+    });
+});
+
+router.post('/admin/sites/:id/domains', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    addSiteDomain(id, req.body.domain, (err, result) => {
+        if (err) {
+            console.error('Error adding domain alias:', err);
+            return res.status(500).send('Error adding domain alias.');
+        }
+
+        req.session.flash = result.errors.length
+            ? { type: 'error', message: result.errors.join(' ') }
+            : { type: 'success', message: `Alias ${result.alias.domain} added. Point it at ${CNAME_URL}, then validate it.` };
+        return res.redirect(`/admin/sites/${id}/domains`);
+    });
+});
+
+router.post('/admin/sites/:id/domains/settings', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    db.run('UPDATE sites SET redirect_aliases = ? WHERE id = ?', [req.body.redirect_aliases ? 1 : 0, id], (err) => {
+        if (err) {
+            console.error('Error saving alias redirect setting:', err);
+            return res.status(500).send('Error saving setting.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Alias setting saved.' };
+        return res.redirect(`/admin/sites/${id}/domains`);
+    });
+});
+
+router.post('/admin/sites/:id/domains/:aliasId/validate', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    getSiteDomain(id, parseInt(req.params.aliasId, 10), async (err, alias) => {
+        if (err) {
+            console.error('Error loading domain alias for validation:', err);
+            return res.status(500).send('Error loading domain alias.');
+        }
+        if (!alias) return res.status(404).send('Alias not found.');
+
+        const result = await validateDomain(alias.domain);
+
+        saveAliasValidation(alias.id, result, () => {
+            req.session.flash = { type: validationFlashType(result.status), message: result.detail };
+            return res.redirect(`/admin/sites/${id}/domains`);
+        });
+    });
+});
+
+router.post('/admin/sites/:id/domains/:aliasId/delete', requireAdminSession, (req, res) => {
+    const id = parseInt(req.params.id, 10);
+
+    removeSiteDomain(id, parseInt(req.params.aliasId, 10), (err, removed) => {
+        if (err) {
+            console.error('Error removing domain alias:', err);
+            return res.status(500).send('Error removing domain alias.');
         }
+
+        req.session.flash = removed
+            ? { type: 'success', message: 'Alias removed.' }
+            : { type: 'error', message: 'Alias not found.' };
+        return res.redirect(`/admin/sites/${id}/domains`);
     });
 });
 
@@ -381,7 +1776,10 @@ router.post(
 
         const publicPath = '/uploads/' + req.file.filename;
 
-        db.run('UPDATE sites SET logo_url = ? WHERE id = ?', [publicPath, id], (err) => {
+        const meta = { action: 'logo', user: req.session.user };
+        const change = (done) => db.run('UPDATE sites SET logo_url = ? WHERE id = ?', [publicPath, id], done);
+
+        trackSiteChange(id, meta, change, (err) => {
             if (err) {
                 console.error('Error setting logo_url:', err);
                 return res.status(500).send('Error updating logo.');
@@ -404,7 +1802,10 @@ router.post(
 
         const publicPath = '/uploads/' + req.file.filename;
 
-        db.run('UPDATE sites SET favicon_url = ? WHERE id = ?', [publicPath, id], (err) => {
+        const meta = { action: 'favicon', user: req.session.user };
+        const change = (done) => db.run('UPDATE sites SET favicon_url = ? WHERE id = ?', [publicPath, id], done);
+
+        trackSiteChange(id, meta, change, (err) => {
             if (err) {
                 console.error('Error setting favicon_url:', err);
                 return res.status(500).send('Error updating favicon.');
@@ -62,7 +62,7 @@ router.get('/admin/account-users', requireAdminSession, (req, res) => {
 // Admin: new account user (GET)
 // ------------------------------
 router.get('/admin/account-users/new', requireAdminSession, (req, res) => {
-    db.all('SELECT id, domain FROM sites ORDER BY domain ASC', [], (err, sites) => {
+    db.all('SELECT id, domain FROM sites WHERE deleted_at IS NULL ORDER BY domain ASC', [], (err, sites) => {
         if (err) {
             console.error('Error loading sites for user form:', err);
             return res.status(500).send('Error loading sites.');
@@ -139,7 +139,7 @@ router.post('/admin/account-users/new', requireAdminSession, (req, res) => {
                     ? 'A user with this email address already exists.'
                     : 'Error creating user. Please try again.';
 
-                return db.all('SELECT id, domain FROM sites ORDER BY domain ASC', [], (err2, sites) => {
+                return db.all('SELECT id, domain FROM sites WHERE deleted_at IS NULL ORDER BY domain ASC', [], (err2, sites) => {
                     if (err2) {
                         console.error('Error loading sites for user form after failure:', err2);
                         return res.status(500).send(errorMsg);
@@ -209,7 +209,7 @@ router.get('/admin/account-users/:id/edit', requireAdminSession, (req, res) => {
         if (!user) return res.status(404).send('User not found.');
         if (user.role === 'admin') return res.status(400).send('Cannot edit admin via this screen.');
 
-        db.all('SELECT id, domain FROM sites ORDER BY domain ASC', [], (err2, sites) => {
+        db.all('SELECT id, domain FROM sites WHERE deleted_at IS NULL ORDER BY domain ASC', [], (err2, sites) => {
             if (err2) {
                 console.error('Error loading sites for user form:', err2);
                 return res.status(500).send('Error loading sites.');
@@ -0,0 +1,210 @@
+/**
+ * Versioned JSON API for the public contact form (served on each site's own domain).
+ * - GET  /api/v1/contact: what a client needs to show the form: disclosure, policy links,
+ *   custom fields and a fresh form token (+ challenge when the site is under load)
+ * - POST /api/v1/contact: JSON or form-encoded submission; same spam checks, validation and
+ *   storage as POST /contact (services/contactSubmission.js)
+ *
+ * Errors are { ok: false, error: { code, message, fields? } } with field-level messages keyed by
+ * field name ("custom.<key>" for custom fields). An Idempotency-Key header makes retries safe.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { buildSmsDisclosureText } = require('../services/consent');
+const { buildFormGuard, checkSubmission, recordRejection } = require('../services/spamGuard');
+const { parseSchema } = require('../services/formSchema');
+const { getLivePolicy, versionLabel } = require('../services/policies');
+const { readContactSubmission, saveContactSubmission } = require('../services/contactSubmission');
+const { readIdempotencyKey, claimKey, completeKey, releaseKey } = require('../services/idempotency');
+
+function sendError(res, status, code, message, extra) {
+    return res.status(status).json({ ok: false, error: Object.assign({ code, message }, extra) });
+}
+
+function apiBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}${req.localePrefix}`;
+}
+
+// Fresh spam-guard fields for the client to send back
+function formGuardJson(req, site, options) {
+    const guard = buildFormGuard(site, options);
+    return {
+        formToken: guard.formToken,
+        honeypotField: guard.honeypotField,
+        challenge: guard.challenge
+            ? {
+                  token: guard.challenge.token,
+                  question: req.t('contact.challengeQuestion', { a: guard.challenge.terms[0], b: guard.challenge.terms[1] })
+              }
+            : null
+    };
+}
+
+// JSON clients send booleans; the shared reader expects the HTML form's "yes" values
+function toFormBody(body) {
+    const checked = (value) => value === true || value === 1 || ['yes', 'true', 'on', '1'].includes(String(value));
+    return Object.assign({}, body, {
+        sms_consent: checked(body.sms_consent) ? 'yes' : '',
+        consent_contact: checked(body.contact_consent !== undefined ? body.contact_consent : body.consent_contact)
+            ? 'yes'
+            : ''
+    });
+}
+
+// ------------------------------
+// Form definition
+// ------------------------------
+router.get('/api/v1/contact', (req, res) => {
+    const site = res.locals.site;
+
+    getLivePolicy(site, 'sms-terms', req.locale, (termsErr, terms) => {
+        getLivePolicy(site, 'privacy-policy', req.locale, (privacyErr, privacy) => {
+            if (termsErr || privacyErr) {
+                console.error('Error loading policies for contact API:', termsErr || privacyErr);
+                return sendError(res, 500, 'server_error', 'Could not load the form at this time.');
+            }
+
+            const base = apiBaseUrl(req);
+
+            res.set('Cache-Control', 'no-store');
+            return res.json({
+                ok: true,
+                locale: req.locale,
+                site: { domain: site.domain, companyName: site.companyName || '' },
+                consent: {
+                    disclosure: buildSmsDisclosureText(site, req.locale),
+                    smsConsentLabel: req.t('contact.smsConsent', { company: site.companyName }),
+                    contactConsentLabel: req.t('contact.contactConsent', { company: site.companyName }),
+                    doubleOptIn: site.doubleOptIn,
+                    termsUrl: `${base}/sms-terms`,
+                    termsVersion: terms ? versionLabel(terms) : null,
+                    privacyPolicyUrl: `${base}/privacy-policy`,
+                    privacyPolicyVersion: privacy ? versionLabel(privacy) : null
+                },
+                fields: [
+                    { key: 'name', type: 'text', required: true },
+                    { key: 'email', type: 'email', required: true },
+                    { key: 'phone', type: 'phone', required: false },
+                    { key: 'message', type: 'textarea', required: true },
+                    { key: 'sms_consent', type: 'checkbox', required: false },
+                    { key: 'contact_consent', type: 'checkbox', required: false }
+                ],
+                customFields: parseSchema(site.formSchemaJson),
+                form: formGuardJson(req, site)
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Submission
+// ------------------------------
+router.post('/api/v1/contact', (req, res) => {
+    const site = res.locals.site;
+
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return sendError(res, 400, 'invalid_body', 'Send the submission as a JSON object.');
+    }
+
+    const idempotency = readIdempotencyKey(req);
+    if (idempotency.error) return sendError(res, 400, 'invalid_idempotency_key', idempotency.error);
+
+    const key = idempotency.key;
+
+    const run = () => {
+        // Any failure frees the key so the client can fix the request and retry with it
+        const fail = (status, code, message, extra) => {
+            if (key) releaseKey(site.id, key);
+            return sendError(res, status, code, message, extra);
+        };
+
+        const guardResult = checkSubmission(req, site);
+        if (!guardResult.ok) {
+            recordRejection(site.id, guardResult.reason);
+
+            // Same as the contact page: honeypot bots get a normal-looking answer, nothing is stored
+            if (guardResult.silent) {
+                if (key) releaseKey(site.id, key);
+                return res.status(201).json({ ok: true, submission: null });
+            }
+
+            return fail(guardResult.status, guardResult.reason, req.t(guardResult.messageKey), {
+                form: formGuardJson(req, site, { forceChallenge: guardResult.showChallenge })
+            });
+        }
+
+        const { formData, requiredErrors, fieldErrors } = readContactSubmission(site, toFormBody(req.body), {
+            host: res.locals.lookupHost || req.hostname.toLowerCase(),
+            locale: req.locale
+        });
+
+        const fields = Object.assign({}, requiredErrors);
+        Object.keys(fieldErrors).forEach((fieldKey) => {
+            fields[`custom.${fieldKey}`] = fieldErrors[fieldKey];
+        });
+
+        // The form token was used up by checkSubmission; the client retries with the fresh one
+        if (Object.keys(fields).length) {
+            return fail(422, 'validation_failed', req.t('contact.correctFields'), { fields, form: formGuardJson(req, site) });
+        }
+
+        const pageUrl = req.get('Referer') || `${apiBaseUrl(req)}/api/v1/contact`;
+
+        saveContactSubmission({ req, site, formData, pageUrl }, (err, result) => {
+            if (err) {
+                console.error('Error inserting API form submission:', err);
+                return fail(500, 'server_error', 'Could not submit the form at this time. Please try again later.');
+            }
+
+            const body = {
+                ok: true,
+                submission: {
+                    id: result.submissionId,
+                    createdAt: formData.created_at,
+                    smsConsent: Boolean(formData.sms_consent),
+                    // Double opt-in sites: SMS consent counts once the emailed link is clicked
+                    confirmationPending: result.confirmationPending
+                }
+            };
+
+            if (key) {
+                completeKey(site.id, key, { status: 201, body, submissionId: result.submissionId }, (keyErr) => {
+                    if (keyErr) console.error('Error storing idempotent API response:', keyErr);
+                });
+            }
+
+            return res.status(201).json(body);
+        });
+    };
+
+    if (!key) return run();
+
+    claimKey(site.id, key, req.body, (err, claim) => {
+        if (err) {
+            console.error('Error checking idempotency key:', err);
+            return sendError(res, 500, 'server_error', 'Could not submit the form at this time. Please try again later.');
+        }
+
+        if (claim.status === 'replay') {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(claim.response.status).json(claim.response.body);
+        }
+        if (claim.status === 'in_progress') {
+            return sendError(res, 409, 'idempotency_key_in_use', 'A request with this Idempotency-Key is still being processed.');
+        }
+        if (claim.status === 'mismatch') {
+            return sendError(
+                res,
+                422,
+                'idempotency_key_reused',
+                'This Idempotency-Key was already used with a different request body.'
+            );
+        }
+
+        return run();
+    });
+});
+
+module.exports = router;
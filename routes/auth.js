@@ -9,6 +9,7 @@ const router = express.Router();
 
 const { db } = require('../db');
 const { sendPasswordResetEmail, generateToken } = require('../mailer');
+const { BLOCKED_LOGIN_MESSAGES, siteBlockReason } = require('../services/siteStatus');
 
 router.get('/login', (req, res) => {
     if (req.session && req.session.user) {
@@ -43,6 +44,17 @@ router.post('/login', (req, res) => {
             return res.render('login', { pageTitle: 'Login', activePage: null, error: 'Invalid email or password.' });
         }
 
+        const passwordOk = user.password_hash ? bcrypt.compareSync(password, user.password_hash) : false;
+
+        // Deactivated together with their site (services/siteDeletion.js). Only the right password
+        // learns that, so the message doesn't reveal which accounts exist.
+        if (user.is_active === 0 && user.disabled_with_site) {
+            if (!passwordOk) {
+                return res.render('login', { pageTitle: 'Login', activePage: null, error: 'Invalid email or password.' });
+            }
+            return res.status(403).render('login', { pageTitle: 'Login', activePage: null, error: BLOCKED_LOGIN_MESSAGES.deleted });
+        }
+
         if (user.is_active === 0) {
             return res.render('login', {
                 pageTitle: 'Login',
@@ -52,21 +64,35 @@ router.post('/login', (req, res) => {
             });
         }
 
-        const passwordOk = user.password_hash ? bcrypt.compareSync(password, user.password_hash) : false;
-
         if (!passwordOk) {
             return res.render('login', { pageTitle: 'Login', activePage: null, error: 'Invalid email or password.' });
         }
 
-        req.session.user = {
-            id: user.id,
-            email: user.email,
-            name: user.name,
-            role: user.role,
-            site_id: user.site_id || null
+        const signIn = () => {
+            req.session.user = {
+                id: user.id,
+                email: user.email,
+                name: user.name,
+                role: user.role,
+                site_id: user.site_id || null
+            };
+
+            return user.role === 'admin' ? res.redirect('/admin/sites') : res.redirect('/portal');
         };
 
-        return user.role === 'admin' ? res.redirect('/admin/sites') : res.redirect('/portal');
+        if (user.role === 'admin' || !user.site_id) return signIn();
+
+        // Account users of a suspended or deleted site can't sign in
+        siteBlockReason(user.site_id, (statusErr, reason) => {
+            if (statusErr) {
+                console.error('Error checking site status for login:', statusErr);
+                return res.status(500).send('Internal error.');
+            }
+            if (reason) {
+                return res.status(403).render('login', { pageTitle: 'Login', activePage: null, error: BLOCKED_LOGIN_MESSAGES[reason] });
+            }
+            return signIn();
+        });
     });
 });
 
@@ -90,7 +116,8 @@ router.post('/forgot-password', (req, res) => {
     const normalizedEmail = email.trim().toLowerCase();
 
     db.get('SELECT * FROM users WHERE email = ?', [normalizedEmail], (err, user) => {
-        if (err || !user) {
+        // Users of a deleted site get no reset link (it would reactivate them); same answer as unknown emails
+        if (err || !user || user.disabled_with_site) {
             if (err) console.error('Error looking up user for password reset:', err);
             return res.render('forgot-password', { pageTitle: 'Forgot Password', activePage: null, error: null, info: genericInfo });
         }
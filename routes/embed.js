@@ -0,0 +1,188 @@
+/**
+ * Embeddable contact / opt-in widget, served on each site's own domain.
+ * - GET /embed/widget.js: script mode; renders the form into [data-contact-widget] elements on the host page
+ * - GET /embed/contact: the form as a framable page (iframe mode) or, with ?mode=script, as a fragment
+ * - POST /embed/contact: same consent disclosure, spam checks and pipeline as POST /contact;
+ *   submissions are tagged with the embedding origin
+ *
+ * Only origins on the site's allowlist get CORS headers or may frame the form.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { buildSmsDisclosureHtml } = require('../services/consent');
+const { buildFormGuard, checkSubmission, recordRejection } = require('../services/spamGuard');
+const { parseSchema } = require('../services/formSchema');
+const { getLivePolicy, versionLabel } = require('../services/policies');
+const { readContactSubmission, saveContactSubmission } = require('../services/contactSubmission');
+const { isEmbedEnabled, allowedOrigin, frameAncestorsPolicy } = require('../services/embed');
+
+// Every widget response: 404 unless the site has an allowlist, framing limited to the allowlist,
+// CORS for allowlisted origins (script mode fetches cross-origin)
+function requireEmbed(req, res, next) {
+    const site = res.locals.site;
+    if (!isEmbedEnabled(site)) return res.status(404).type('text').send('Not found');
+
+    // Replaces the site-wide no-framing headers (middleware/framing.js) for the widget only
+    res.removeHeader('X-Frame-Options');
+    res.set('Content-Security-Policy', frameAncestorsPolicy(site));
+
+    const corsOrigin = allowedOrigin(site, req.get('Origin'));
+    if (corsOrigin) {
+        res.set('Access-Control-Allow-Origin', corsOrigin);
+        res.set('Access-Control-Allow-Methods', 'GET, POST');
+        res.set('Access-Control-Allow-Headers', 'Content-Type');
+    }
+    res.vary('Origin');
+
+    return next();
+}
+
+function widgetBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+// Renders the widget (form or thank-you) for either mode
+function renderWidget(
+    req,
+    res,
+    {
+        status = 200,
+        mode,
+        origin,
+        pageUrl,
+        submitted = null,
+        formError = null,
+        formValues = {},
+        fieldErrors = {},
+        forceChallenge = false
+    }
+) {
+    const site = res.locals.site;
+    const base = widgetBaseUrl(req);
+    const absoluteLink = (path) => base + res.locals.link(path);
+
+    getLivePolicy(site, 'sms-terms', req.locale, (err, terms) => {
+        if (err) {
+            console.error('Error loading SMS terms for embedded form:', err);
+            return res.status(500).send('Error loading form.');
+        }
+
+        return res.status(status).render('embed-contact', {
+            pageTitle: req.t('contact.pageTitle'),
+            mode,
+            submitted,
+            formAction: absoluteLink('/embed/contact'),
+            hiddenFields: { mode, embed_origin: origin || '', embed_page: pageUrl || '' },
+            smsDisclosureHtml: buildSmsDisclosureHtml(site, req.locale, absoluteLink),
+            termsVersion: versionLabel(terms),
+            guard: buildFormGuard(site, { forceChallenge }),
+            customFields: parseSchema(site.formSchemaJson),
+            formError,
+            formValues,
+            customValues: formValues.custom || {},
+            fieldErrors
+        });
+    });
+}
+
+// ------------------------------
+// Script mode loader
+// ------------------------------
+router.get('/embed/widget.js', requireEmbed, (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('application/javascript');
+    return res.render('embed-widget-js', { baseUrl: widgetBaseUrl(req) + res.locals.link('/embed/contact') });
+});
+
+// ------------------------------
+// Widget form
+// ------------------------------
+router.options('/embed/contact', requireEmbed, (req, res) => res.sendStatus(204));
+
+router.get('/embed/contact', requireEmbed, (req, res) => {
+    const site = res.locals.site;
+    const mode = req.query.mode === 'script' ? 'script' : 'iframe';
+
+    if (mode === 'script') {
+        const origin = allowedOrigin(site, req.get('Origin'));
+        if (!origin) return res.status(403).type('text').send('Origin not allowed.');
+        return renderWidget(req, res, { mode, origin, pageUrl: null });
+    }
+
+    // Framed: the embedding page is the Referer (or, failing that, filled in client-side)
+    const referer = req.get('Referer');
+    const refererOrigin = allowedOrigin(site, referer);
+    const origin = refererOrigin || allowedOrigin(site, req.query.origin);
+    return renderWidget(req, res, { mode, origin, pageUrl: refererOrigin ? referer : null });
+});
+
+router.post('/embed/contact', requireEmbed, (req, res) => {
+    const site = res.locals.site;
+    const mode = req.body.mode === 'script' ? 'script' : 'iframe';
+
+    // Script mode posts cross-origin, so the browser's Origin header names the host page;
+    // iframe posts are same-origin and carry the origin detected when the form was served
+    const origin = allowedOrigin(site, mode === 'script' ? req.get('Origin') : req.body.embed_origin);
+    if (mode === 'script' && !origin) return res.status(403).type('text').send('Origin not allowed.');
+
+    // Page the visitor submitted from, for the consent record
+    const embedPage = String(req.body.embed_page || '');
+    let pageUrl = mode === 'script' ? req.get('Referer') : null;
+    if (mode === 'iframe' && origin && allowedOrigin(site, embedPage) === origin) pageUrl = embedPage;
+    pageUrl = pageUrl || origin || `${widgetBaseUrl(req)}${req.localePrefix}/embed/contact`;
+
+    const widget = { mode, origin, pageUrl: mode === 'iframe' ? embedPage : null };
+
+    const guardResult = checkSubmission(req, site);
+    if (!guardResult.ok) {
+        recordRejection(site.id, guardResult.reason);
+
+        // Same as the contact page: honeypot bots see a thank-you, nothing is stored
+        if (guardResult.silent) {
+            return renderWidget(req, res, { ...widget, submitted: { name: (req.body.name || '').trim() } });
+        }
+
+        return renderWidget(req, res, {
+            ...widget,
+            status: guardResult.status,
+            formError: req.t(guardResult.messageKey),
+            formValues: req.body,
+            forceChallenge: guardResult.showChallenge
+        });
+    }
+
+    const { formData, missingRequired, fieldErrors } = readContactSubmission(site, req.body, {
+        host: res.locals.lookupHost || req.hostname.toLowerCase(),
+        locale: req.locale,
+        // Framed without a detectable parent (no Referer, no ancestorOrigins): still a widget submission
+        embedOrigin: origin || 'unknown'
+    });
+
+    if (missingRequired || Object.keys(fieldErrors).length) {
+        return renderWidget(req, res, {
+            ...widget,
+            status: 400,
+            formError: req.t(missingRequired ? 'contact.required' : 'contact.correctFields'),
+            formValues: req.body,
+            fieldErrors
+        });
+    }
+
+    saveContactSubmission({ req, site, formData, pageUrl }, (err, result) => {
+        if (err) {
+            console.error('Error inserting embedded form submission:', err);
+            return res
+                .status(500)
+                .send('Could not submit the form at this time. Please try again later.');
+        }
+
+        return renderWidget(req, res, {
+            ...widget,
+            submitted: { name: formData.name, confirmationPending: result.confirmationPending }
+        });
+    });
+});
+
+module.exports = router;
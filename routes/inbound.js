@@ -0,0 +1,100 @@
+/**
+ * routes/inbound.js
+ * Carrier/provider webhooks:
+ * - POST /webhooks/sms/inbound (STOP / START / HELP keywords)
+ *
+ * Auth: ?token=... or X-Webhook-Token header must match INBOUND_SMS_TOKEN.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { INBOUND_SMS_TOKEN } = require('../config/appConfig');
+const {
+    normalizeSmsNumber,
+    classifyKeyword,
+    parseInboundPayload,
+    findSiteByNumber,
+    setSuppression,
+    buildReply
+} = require('../services/smsKeywords');
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Twilio expects TwiML back; everything else gets JSON.
+function sendReply(res, format, { action, reply }) {
+    if (format === 'twilio') {
+        res.type('text/xml');
+        return res.send(
+            reply
+                ? `<?xml version="1.0" encoding="UTF-8"?><Response><Message>${escapeXml(reply)}</Message></Response>`
+                : '<?xml version="1.0" encoding="UTF-8"?><Response></Response>'
+        );
+    }
+
+    return res.json({ ok: true, action: action || null, reply: reply || null });
+}
+
+// ------------------------------
+// Inbound SMS keyword webhook
+// ------------------------------
+router.post('/webhooks/sms/inbound', (req, res) => {
+    const token = String(req.query.token || req.get('X-Webhook-Token') || '').trim();
+
+    // Require token (prevents anyone from opting numbers in/out)
+    if (!INBOUND_SMS_TOKEN || token !== INBOUND_SMS_TOKEN) {
+        return res.status(403).send('forbidden');
+    }
+
+    const payload = parseInboundPayload(req);
+    const from = normalizeSmsNumber(payload.from);
+    const to = normalizeSmsNumber(payload.to);
+
+    if (!from || !to) return res.status(400).send('missing from/to');
+
+    findSiteByNumber(to, (err, siteRow) => {
+        if (err) {
+            console.error('Inbound SMS DB error loading site:', err);
+            return res.status(500).send('error');
+        }
+        if (!siteRow) {
+            console.warn('Inbound SMS for unknown number:', to);
+            return res.status(404).send('unknown number');
+        }
+
+        const action = classifyKeyword(payload.text);
+
+        // Non-keyword messages are acknowledged without a reply
+        if (!action) return sendReply(res, payload.format, { action: null, reply: null });
+
+        const reply = buildReply(siteRow, action);
+
+        if (action === 'help') return sendReply(res, payload.format, { action, reply });
+
+        setSuppression(
+            {
+                siteId: siteRow.id,
+                phone: from,
+                keyword: String(payload.text || '').trim().split(/\s+/)[0].toUpperCase(),
+                optedOut: action === 'stop'
+            },
+            (err2) => {
+                if (err2) {
+                    console.error('Error updating SMS suppression list:', err2);
+                    return res.status(500).send('error');
+                }
+
+                return sendReply(res, payload.format, { action, reply });
+            }
+        );
+    });
+});
+
+module.exports = router;
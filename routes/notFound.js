@@ -11,7 +11,7 @@ const router = express.Router();
 
 // 404 page for GET routes
 router.get('*', (req, res) => {
-    return res.render('404', { pageTitle: 'Page Not Found', activePage: null });
+    return res.render('404', { pageTitle: req.t('notFound.pageTitle'), activePage: null });
 });
 
 // 404 for everything else (POST/PUT/etc)
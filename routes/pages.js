@@ -0,0 +1,33 @@
+/**
+ * routes/pages.js
+ * Public catch-all for custom content pages: GET /:slug
+ * Mounted after every other route, so built-in pages always win.
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { getPublishedPage } = require('../services/sitePages');
+
+router.get('/:slug', (req, res, next) => {
+    const site = res.locals.site;
+    const slug = String(req.params.slug || '').toLowerCase();
+
+    if (!site || !/^[a-z0-9-]+$/.test(slug)) return next();
+
+    getPublishedPage(site.id, slug, (err, page) => {
+        if (err) {
+            console.error('Error loading custom page:', err);
+            return res.status(500).send('Error loading page.');
+        }
+        if (!page) return next();
+
+        return res.render('site-page', {
+            pageTitle: page.title,
+            activePage: 'page:' + page.slug,
+            page
+        });
+    });
+});
+
+module.exports = router;
@@ -2,21 +2,95 @@
  * routes/portal.js
  * Account user portal routes:
  * - /portal (home)
- * - /portal/site (view/edit site) [account_admin can save]
+ * - /portal/site (view/edit site) [account_admin saves a draft, then publishes it or submits it for approval]
+ * - 10DLC readiness report
+ * - TCR campaign registration package (JSON + printable HTML)
+ * - Embeddable contact widget: allowed origins + snippets
+ * - Revision history of the site settings (diff; account_admin can restore)
+ * - Domain aliases (+ per-alias DNS/HTTPS validation)
  * - DNS/SSL validate
  * - upload logo/favicon
  * - AI generate description
  * - view form submissions for the site
+ * - view SMS consent records for the site
+ * - SMS Terms / Privacy Policy versions [account_admin can publish]
  */
 
 const express = require('express');
 const router = express.Router();
 
-const { db } = require('../db');
+const { db, mapRowToSite } = require('../db');
 const { requireLogin, requireAccountUser } = require('../auth');
+const { allowSameOriginFraming } = require('../middleware/framing');
 const { upload } = require('../services/upload');
-const { checkDnsCname, checkHttpsHealth, EXPECTED_CNAME_TARGET } = require('../services/domainValidation');
+const { validateDomain, validationFlashType } = require('../services/domainValidation');
+const {
+    listSiteDomains,
+    getSiteDomain,
+    addSiteDomain,
+    removeSiteDomain,
+    saveAliasValidation
+} = require('../services/siteDomains');
+const { hostedHostname } = require('../services/hostedDomains');
+const {
+    STATUS_LABELS: DRAFT_STATUS_LABELS,
+    loadDraft,
+    applyDraft,
+    saveDraft,
+    publishDraft,
+    discardDraft,
+    submitDraftForReview
+} = require('../services/siteDrafts');
+const {
+    FIELD_LABELS: REVISION_FIELD_LABELS,
+    ACTION_LABELS: REVISION_ACTION_LABELS,
+    trackSiteChange,
+    listRevisions,
+    loadRevisionDiff,
+    revisionValues,
+    restoreRevision
+} = require('../services/siteRevisions');
+const {
+    STATUS_LABELS: SITE_STATUS_LABELS,
+    BLOCKED_LOGIN_MESSAGES,
+    describeStatus,
+    toLocalInput
+} = require('../services/siteStatus');
 const { generateCompanyDetailsHTML } = require('../services/ai');
+const { listConsentRecords } = require('../services/consent');
+const {
+    loadOptOuts,
+    annotateOptOuts,
+    filterConsentedContacts,
+    CONSENTED_CONTACT_COLUMNS
+} = require('../services/smsKeywords');
+const { toCsv, filenamePart } = require('../services/csv');
+const { LEVELS, normalizeLevel } = require('../services/spamGuard');
+const {
+    BODY_FORMATS,
+    listPages,
+    listNavPages,
+    getPage,
+    readPageInput,
+    savePage,
+    deletePage
+} = require('../services/sitePages');
+const {
+    FIELD_TYPES,
+    PATTERN_PRESETS,
+    MAX_FIELDS,
+    parseSchema,
+    buildSchemaFromInput,
+    parseAnswers
+} = require('../services/formSchema');
+const { isValidDocType, parseEffectiveDate, publishPolicyVersion, loadPolicyEditor } = require('../services/policies');
+const { LOCALES, siteLocales, pickSiteLocale, readLocaleInput } = require('../services/i18n');
+const { BRANDING_FIELDS, CONTENT_BLOCKS, listThemes, normalizeTheme, buildThemePreview } = require('../services/themes');
+const { readSeoInput } = require('../services/seo');
+const { readEmbedOriginsInput, buildEmbedSnippets } = require('../services/embed');
+const { buildHoursEditor, readHoursInput } = require('../services/businessHours');
+const { STATUS_LABELS, runReadinessCheck, saveReadinessReport, loadReadinessReport } = require('../services/readiness');
+const { readSampleMessagesInput, sampleMessageSlots, buildCampaignPackage } = require('../services/campaignPackage');
 const { CNAME_URL } = require('../config/appConfig');
 
 // ------------------------------
@@ -39,7 +113,11 @@ router.get('/portal', requireLogin, (req, res) => {
     }
 
     db.get(
-        'SELECT id, domain, company_name, domain_status, domain_last_checked_at FROM sites WHERE id = ?',
+        `
+      SELECT id, domain, company_name, domain_status, domain_last_checked_at, hosted_slug,
+             status, status_starts_at, status_ends_at, status_message, deleted_at
+      FROM sites WHERE id = ?
+    `,
         [user.site_id],
         (err, row) => {
             if (err) {
@@ -47,10 +125,21 @@ router.get('/portal', requireLogin, (req, res) => {
                 return res.status(500).send('Internal error');
             }
 
+            const siteStatus = row ? describeStatus(row) : null;
+            const blockedReason = row && row.deleted_at ? 'deleted' : siteStatus && siteStatus.effective === 'suspended' ? 'suspended' : null;
+            if (blockedReason) {
+                req.session.user = null;
+                return res.status(403).render('login', { pageTitle: 'Login', activePage: null, error: BLOCKED_LOGIN_MESSAGES[blockedReason] });
+            }
+
             return res.render('portal-home', {
                 pageTitle: 'Portal',
                 activePage: 'portal',
                 siteInfo: row || null,
+                hostedHost: hostedHostname(row),
+                siteStatus,
+                statusLabels: SITE_STATUS_LABELS,
+                toLocalTime: toLocalInput,
                 canEdit: user.role === 'account_admin'
             });
         }
@@ -70,19 +159,52 @@ router.get('/portal/site', requireAccountUser, (req, res) => {
         }
         if (!row) return res.status(404).send('Site not found.');
 
-        return res.render('portal-site-form', {
-            pageTitle: 'My Website Settings',
-            activePage: 'portal',
-            siteRecord: row,
-            canEdit: user.role === 'account_admin',
-            cnameUrl: CNAME_URL
+        loadDraft(row, (draftErr, { draft, discarded } = {}) => {
+            if (draftErr) {
+                console.error('Error loading portal site draft:', draftErr);
+                return res.status(500).send('Error loading site.');
+            }
+
+            const canEdit = user.role === 'account_admin';
+            const requiresReview = Boolean(row.publish_requires_review);
+
+            // The form edits the draft when there is one
+            const formRow = applyDraft(row, draft);
+
+            return res.render('portal-site-form', {
+                pageTitle: 'My Website Settings',
+                activePage: 'portal',
+                siteRecord: formRow,
+                canEdit,
+                cnameUrl: CNAME_URL,
+                hostedHost: hostedHostname(row),
+                spamLevels: LEVELS,
+                locales: LOCALES,
+                themes: listThemes(),
+                brandingFields: BRANDING_FIELDS,
+                contentBlocks: CONTENT_BLOCKS,
+                themePreviewUrl: '/portal/site/theme-preview',
+                hoursEditor: buildHoursEditor(formRow),
+                sampleMessages: sampleMessageSlots(formRow),
+                embedSnippets: buildEmbedSnippets(mapRowToSite(formRow)),
+                draftPanel: {
+                    draft,
+                    discarded,
+                    statusLabels: DRAFT_STATUS_LABELS,
+                    actionBase: '/portal/site/draft',
+                    previewUrl: `/preview/draft/${row.id}/`,
+                    canPublish: canEdit && !requiresReview,
+                    canSubmit: canEdit && requiresReview,
+                    canReview: false,
+                    requiresReview
+                }
+            });
         });
     });
 });
 
 // ------------------------------
-// Portal: update site settings (account_admin only)
-// FIX: preserve logo_url/favicon_url correctly (prevents overwriting)
+// Portal: update site settings (account_admin only) -> saves the draft
 // ------------------------------
 router.post('/portal/site', requireAccountUser, (req, res) => {
     const user = req.session.user;
@@ -103,77 +225,652 @@ router.post('/portal/site', requireAccountUser, (req, res) => {
         return res.status(400).send('Company name, details, contact phone, and contact email are required.');
     }
 
-    // ✅ FIX: Portal form typically does not include logo_url/favicon_url inputs.
-    // We read current values first so we NEVER clobber them with wrong params.
-    db.get('SELECT logo_url, favicon_url FROM sites WHERE id = ?', [siteId], (loadErr, current) => {
+    const seo = readSeoInput(body);
+    if (seo.errors.length) return res.status(400).send(seo.errors.join(' '));
+
+    const hours = readHoursInput(body);
+    if (hours.errors.length) return res.status(400).send(hours.errors.join(' '));
+
+    const samples = readSampleMessagesInput(body);
+    if (samples.errors.length) return res.status(400).send(samples.errors.join(' '));
+
+    const embed = readEmbedOriginsInput(body);
+    if (embed.errors.length) return res.status(400).send(embed.errors.join(' '));
+
+    const localeSettings = readLocaleInput(body);
+
+    // Logo / favicon come from the upload forms and go live directly; they aren't part of the draft
+    const values = {
+        company_name: companyName,
+        company_details: companyDetails,
+        contact_phone: contactPhone,
+        contact_email: contactEmail,
+        address_line1: (body.address_line1 || '').trim(),
+        address_line2: (body.address_line2 || '').trim(),
+        city: (body.city || '').trim(),
+        state: (body.state || '').trim(),
+        zip: (body.zip || '').trim(),
+        country: (body.country || '').trim(),
+        business_hours: hours.summary,
+        primary_color: (body.primary_color || '').trim() || '#1b1464',
+        secondary_color: (body.secondary_color || '').trim() || '#007dc5',
+        dark_color: (body.dark_color || '').trim() || '#282829',
+        light_color: (body.light_color || '').trim() || '#f1f2f2',
+        help_reply: (body.help_reply || '').trim() || null,
+        double_opt_in: body.double_opt_in ? 1 : 0,
+        spam_protection: normalizeLevel(body.spam_protection),
+        enabled_locales: localeSettings.enabled_locales,
+        default_locale: localeSettings.default_locale,
+        theme: normalizeTheme(body.theme),
+        seo_description: seo.values.seo_description,
+        og_image_url: seo.values.og_image_url,
+        seo_canonical_url: seo.values.seo_canonical_url,
+        seo_noindex: seo.values.seo_noindex,
+        hours_json: hours.json,
+        sample_messages_json: samples.json,
+        embed_origins: embed.value
+    };
+
+    db.get('SELECT * FROM sites WHERE id = ?', [siteId], (loadErr, row) => {
         if (loadErr) {
-            console.error('Error loading current logo/favicon before portal update:', loadErr);
+            console.error('Error loading site before saving portal draft:', loadErr);
             return res.status(500).send('Error updating site.');
         }
+        if (!row) return res.status(404).send('Site not found.');
+
+        saveDraft(row, values, user, (err) => {
+            if (err) {
+                console.error('Error saving portal site draft:', err);
+                return res.status(500).send('Error updating site.');
+            }
+
+            req.session.flash = {
+                type: 'success',
+                message: row.publish_requires_review
+                    ? 'Draft saved. Preview it, then submit it for approval.'
+                    : 'Draft saved. Preview it, then publish it to make it live.'
+            };
+            return res.redirect('/portal/site');
+        });
+    });
+});
+
+// ------------------------------
+// Portal: draft actions (account_admin only)
+// Sites flagged publish_requires_review submit the draft for an admin to publish instead.
+// ------------------------------
+router.post('/portal/site/draft/publish', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT publish_requires_review FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site before publishing portal draft:', err);
+            return res.status(500).send('Error publishing draft.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+        if (row.publish_requires_review) {
+            return res.status(403).send('Changes to this site need approval. Submit the draft for approval instead.');
+        }
+
+        const meta = { action: 'published', user };
+
+        trackSiteChange(user.site_id, meta, (done) => publishDraft(user.site_id, done), (pubErr, result) => {
+            if (pubErr) {
+                console.error('Error publishing portal site draft:', pubErr);
+                return res.status(500).send('Error publishing draft.');
+            }
+
+            req.session.flash = result.published
+                ? { type: 'success', message: 'Draft published. The changes are live.' }
+                : {
+                      type: 'error',
+                      message: result.stale
+                          ? 'The live site changed since the draft was saved, so the draft was discarded.'
+                          : 'There is no draft to publish.'
+                  };
+            return res.redirect('/portal/site');
+        });
+    });
+});
+
+router.post('/portal/site/draft/submit', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    submitDraftForReview(user.site_id, (err, submitted) => {
+        if (err) {
+            console.error('Error submitting portal site draft:', err);
+            return res.status(500).send('Error submitting draft.');
+        }
+
+        req.session.flash = submitted
+            ? { type: 'success', message: 'Draft submitted. It goes live once your provider approves it.' }
+            : { type: 'error', message: 'There is no draft to submit.' };
+        return res.redirect('/portal/site');
+    });
+});
+
+router.post('/portal/site/draft/discard', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    discardDraft(user.site_id, (err) => {
+        if (err) {
+            console.error('Error discarding portal site draft:', err);
+            return res.status(500).send('Error discarding draft.');
+        }
+
+        req.session.flash = { type: 'success', message: 'Draft discarded.' };
+        return res.redirect('/portal/site');
+    });
+});
+
+// ------------------------------
+// Portal: revision history for current account's site
+// Any account user can browse it; account admins restore. Sites flagged publish_requires_review
+// get the restored values as a draft to submit, since restoring would otherwise skip the approval.
+// ------------------------------
+router.get('/portal/site/revisions', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT id, domain FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal revisions:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        listRevisions(row.id, (err2, revisions) => {
+            if (err2) {
+                console.error('Error loading portal site revisions:', err2);
+                return res.status(500).send('Error loading revisions.');
+            }
+
+            return res.render('site-revisions', {
+                pageTitle: 'Site History',
+                activePage: 'portal',
+                siteRecord: row,
+                revisions,
+                fieldLabels: REVISION_FIELD_LABELS,
+                actionLabels: REVISION_ACTION_LABELS,
+                baseUrl: '/portal/site/revisions',
+                backUrl: '/portal/site',
+                canRestore: user.role === 'account_admin'
+            });
+        });
+    });
+});
+
+router.get('/portal/site/revisions/:revId', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    loadRevisionDiff(user.site_id, parseInt(req.params.revId, 10), (err, result) => {
+        if (err) {
+            console.error('Error loading portal site revision:', err);
+            return res.status(500).send('Error loading revision.');
+        }
+        if (!result) return res.status(404).send('Revision not found.');
+
+        return res.render('site-revision', Object.assign(result, {
+            pageTitle: `Revision #${result.revision.id}`,
+            activePage: 'portal',
+            actionLabels: REVISION_ACTION_LABELS,
+            baseUrl: '/portal/site/revisions',
+            canRestore: user.role === 'account_admin'
+        }));
+    });
+});
+
+router.post('/portal/site/revisions/:revId/restore', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site before restoring portal revision:', err);
+            return res.status(500).send('Error restoring revision.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        loadRevisionDiff(row.id, parseInt(req.params.revId, 10), (err2, result) => {
+            if (err2) {
+                console.error('Error loading portal site revision to restore:', err2);
+                return res.status(500).send('Error restoring revision.');
+            }
+            if (!result) return res.status(404).send('Revision not found.');
+
+            const revId = result.revision.id;
+
+            if (row.publish_requires_review) {
+                return saveDraft(row, revisionValues(result.revision, user), user, (draftErr) => {
+                    if (draftErr) {
+                        console.error('Error saving restored revision as draft:', draftErr);
+                        return res.status(500).send('Error restoring revision.');
+                    }
+
+                    req.session.flash = {
+                        type: 'success',
+                        message: `Revision #${revId} was loaded into a draft (logo, favicon, contact form fields and SMS number excluded). Submit it for approval to make it live.`
+                    };
+                    return res.redirect('/portal/site');
+                });
+            }
+
+            restoreRevision(row.id, result.revision, user, (restoreErr) => {
+                if (restoreErr) {
+                    console.error('Error restoring portal site revision:', restoreErr);
+                    return res.status(500).send('Error restoring revision.');
+                }
+
+                req.session.flash = { type: 'success', message: `Revision #${revId} restored. The changes are live.` };
+                return res.redirect('/portal/site/revisions');
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Portal: theme preview (home page with unsaved theme/colour choices, shown in the site form)
+// ------------------------------
+router.get('/portal/site/theme-preview', requireAccountUser, allowSameOriginFraming, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal theme preview:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        listNavPages(row.id, (err2, navPages) => {
+            if (err2) console.error('Error loading nav pages for portal theme preview:', err2);
+
+            return res.render('home', Object.assign(buildThemePreview(row, req.query, req.locale), {
+                pageTitle: req.t('home.pageTitle'),
+                activePage: 'home',
+                navPages: navPages || [],
+                currentUser: null
+            }));
+        });
+    });
+});
+
+// ------------------------------
+// Portal: custom contact form fields (account_admin can edit)
+// ------------------------------
+function renderPortalFormBuilder(req, res, row, { fields, errors = [], status = 200 }) {
+    return res.status(status).render('form-builder', {
+        pageTitle: 'Contact Form Fields',
+        activePage: 'portal',
+        siteRecord: row,
+        fields,
+        errors,
+        fieldTypes: FIELD_TYPES,
+        patternPresets: PATTERN_PRESETS,
+        maxFields: MAX_FIELDS,
+        canEdit: req.session.user.role === 'account_admin',
+        formAction: '/portal/form',
+        backUrl: '/portal/site'
+    });
+}
+
+router.get('/portal/form', requireAccountUser, (req, res) => {
+    db.get('SELECT * FROM sites WHERE id = ?', [req.session.user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal form builder:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        return renderPortalFormBuilder(req, res, row, { fields: parseSchema(row.form_schema_json) });
+    });
+});
+
+router.post('/portal/form', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    if (user.role !== 'account_admin') {
+        return res.status(403).send('Only account admins can change the contact form.');
+    }
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal form builder save:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const { fields, errors } = buildSchemaFromInput(req.body.fields);
+        if (errors.length) return renderPortalFormBuilder(req, res, row, { fields, errors, status: 400 });
+
+        const meta = { action: 'form', user };
+        const change = (done) =>
+            db.run(
+                'UPDATE sites SET form_schema_json = ? WHERE id = ?',
+                [fields.length ? JSON.stringify(fields) : null, row.id],
+                (runErr) => done(runErr)
+            );
+
+        trackSiteChange(row.id, meta, change, (err2) => {
+            if (err2) {
+                console.error('Error saving portal form schema:', err2);
+                return res.status(500).send('Error saving form fields.');
+            }
+
+            req.session.flash = { type: 'success', message: 'Contact form fields saved.' };
+            return res.redirect('/portal/form');
+        });
+    });
+});
+
+// ------------------------------
+// Portal: custom content pages (account_admin can edit)
+// ------------------------------
+function loadPortalSite(req, res, cb) {
+    db.get('SELECT * FROM sites WHERE id = ?', [req.session.user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal pages:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+        return cb(row);
+    });
+}
+
+function requirePortalEditor(req, res, next) {
+    if (req.session.user.role !== 'account_admin') {
+        return res.status(403).send('Only account admins can make changes.');
+    }
+    return next();
+}
+
+function renderPortalPageForm(req, res, row, { page, errors = [], status = 200 }) {
+    return res.status(status).render('site-page-form', {
+        pageTitle: page.id ? 'Edit Page' : 'New Page',
+        activePage: 'portal',
+        siteRecord: row,
+        page,
+        errors,
+        isEdit: Boolean(page.id),
+        canEdit: req.session.user.role === 'account_admin',
+        bodyFormats: BODY_FORMATS,
+        basePath: '/portal/pages'
+    });
+}
+
+function savePortalPage(req, res, row, pageId) {
+    const { page, errors } = readPageInput(req.body);
+    if (pageId) page.id = pageId;
+    if (errors.length) return renderPortalPageForm(req, res, row, { page, errors, status: 400 });
+
+    const meta = { action: 'page_saved', user: req.session.user };
+
+    trackSiteChange(row.id, meta, (done) => savePage(row.id, pageId, page, done), (err) => {
+        if (err && err.code === 'SLUG_TAKEN') {
+            return renderPortalPageForm(req, res, row, { page, errors: [err.message], status: 400 });
+        }
+        if (err) {
+            console.error('Error saving portal page:', err);
+            return res.status(500).send('Error saving page.');
+        }
+
+        req.session.flash = { type: 'success', message: `Page "${page.title}" saved.` };
+        return res.redirect('/portal/pages');
+    });
+}
+
+router.get('/portal/pages', requireAccountUser, (req, res) => {
+    loadPortalSite(req, res, (row) => {
+        listPages(row.id, (err, pages) => {
+            if (err) {
+                console.error('Error loading portal pages:', err);
+                return res.status(500).send('Error loading pages.');
+            }
+
+            res.render('site-pages', {
+                pageTitle: 'Pages',
+                activePage: 'portal',
+                siteRecord: row,
+                pages,
+                canEdit: req.session.user.role === 'account_admin',
+                basePath: '/portal/pages',
+                backUrl: '/portal'
+            });
+        });
+    });
+});
+
+router.get('/portal/pages/new', requireAccountUser, requirePortalEditor, (req, res) => {
+    loadPortalSite(req, res, (row) =>
+        renderPortalPageForm(req, res, row, { page: { body_format: 'html', show_in_nav: 1, nav_order: 0 } })
+    );
+});
+
+router.post('/portal/pages/new', requireAccountUser, requirePortalEditor, (req, res) => {
+    loadPortalSite(req, res, (row) => savePortalPage(req, res, row, null));
+});
+
+router.get('/portal/pages/:pageId/edit', requireAccountUser, (req, res) => {
+    loadPortalSite(req, res, (row) => {
+        getPage(row.id, parseInt(req.params.pageId, 10), (err, page) => {
+            if (err) {
+                console.error('Error loading portal page:', err);
+                return res.status(500).send('Error loading page.');
+            }
+            if (!page) return res.status(404).send('Page not found.');
+            return renderPortalPageForm(req, res, row, { page });
+        });
+    });
+});
+
+router.post('/portal/pages/:pageId/edit', requireAccountUser, requirePortalEditor, (req, res) => {
+    loadPortalSite(req, res, (row) => {
+        const pageId = parseInt(req.params.pageId, 10);
+
+        getPage(row.id, pageId, (err, existing) => {
+            if (err) {
+                console.error('Error loading portal page:', err);
+                return res.status(500).send('Error loading page.');
+            }
+            if (!existing) return res.status(404).send('Page not found.');
+            return savePortalPage(req, res, row, pageId);
+        });
+    });
+});
+
+router.post('/portal/pages/:pageId/delete', requireAccountUser, requirePortalEditor, (req, res) => {
+    loadPortalSite(req, res, (row) => {
+        const meta = { action: 'page_deleted', user: req.session.user };
+        const change = (done) => deletePage(row.id, parseInt(req.params.pageId, 10), done);
+
+        trackSiteChange(row.id, meta, change, (err) => {
+            if (err) {
+                console.error('Error deleting portal page:', err);
+                return res.status(500).send('Error deleting page.');
+            }
+
+            req.session.flash = { type: 'success', message: 'Page deleted.' };
+            return res.redirect('/portal/pages');
+        });
+    });
+});
+
+// ------------------------------
+// Portal: policy documents (view versions; account_admin can publish)
+// ------------------------------
+router.get('/portal/policies/:docType', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+    const docType = req.params.docType;
+    if (!isValidDocType(docType)) return res.status(404).send('Unknown policy document.');
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal policies:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const locale = pickSiteLocale(row, req.query.locale);
+
+        loadPolicyEditor(row, docType, locale, (err2, editor) => {
+            if (err2) {
+                console.error('Error loading portal policy versions:', err2);
+                return res.status(500).send('Error loading policy versions.');
+            }
 
-        const logoUrl = current ? current.logo_url : null;
-        const faviconUrl = current ? current.favicon_url : null;
-
-        const params = [
-            companyName,
-            companyDetails,
-            contactPhone,
-            contactEmail,
-            (body.address_line1 || '').trim(),
-            (body.address_line2 || '').trim(),
-            (body.city || '').trim(),
-            (body.state || '').trim(),
-            (body.zip || '').trim(),
-            (body.country || '').trim(),
-            (body.business_hours || '').trim(),
-            logoUrl,    // ✅ preserved
-            faviconUrl, // ✅ preserved
-            (body.primary_color || '').trim() || '#1b1464',
-            (body.secondary_color || '').trim() || '#007dc5',
-            (body.dark_color || '').trim() || '#282829',
-            (body.light_color || '').trim() || '#f1f2f2',
-            siteId
-        ];
-
-        db.run(
-            `
-        UPDATE sites
-        SET
-          company_name = ?,
-          company_details = ?,
-          contact_phone = ?,
-          contact_email = ?,
-          address_line1 = ?,
-          address_line2 = ?,
-          city = ?,
-          state = ?,
-          zip = ?,
-          country = ?,
-          business_hours = ?,
-          logo_url = ?,
-          favicon_url = ?,
-          primary_color = ?,
-          secondary_color = ?,
-          dark_color = ?,
-          light_color = ?
-        WHERE id = ?
-      `,
-            params,
-            (err) => {
-                if (err) {
-                    console.error('Error updating site from portal:', err);
-                    return res.status(500).send('Error updating site.');
+            return res.render('policy-editor', Object.assign(editor, {
+                pageTitle: editor.docInfo.title,
+                activePage: 'portal',
+                siteRecord: row,
+                canEdit: user.role === 'account_admin',
+                formAction: `/portal/policies/${docType}?locale=${locale}`,
+                localeOptions: siteLocales(row).enabled.map((code) => ({ code, label: LOCALES[code] })),
+                editorBase: '/portal/policies',
+                backUrl: '/portal/site'
+            }));
+        });
+    });
+});
+
+router.post('/portal/policies/:docType', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+    const docType = req.params.docType;
+    if (!isValidDocType(docType)) return res.status(404).send('Unknown policy document.');
+
+    if (user.role !== 'account_admin') {
+        return res.status(403).send('Only account admins can publish policy changes.');
+    }
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal policy publish:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        const meta = { action: 'policy', user };
+        const change = (done) =>
+            publishPolicyVersion(
+                {
+                    siteRow: row,
+                    docType,
+                    locale: pickSiteLocale(row, req.query.locale),
+                    overrides: req.body.overrides || {},
+                    effectiveAt: parseEffectiveDate(req.body.effective_date),
+                    createdBy: user.email
+                },
+                done
+            );
+
+        trackSiteChange(row.id, meta, change, (err2, result) => {
+            if (err2) {
+                console.error('Error publishing policy version from portal:', err2);
+                return res.status(500).send('Error publishing policy.');
+            }
+
+            req.session.flash = {
+                type: 'success',
+                message: `Published version ${result.version} (effective ${result.effectiveAt.slice(0, 10)}).`
+            };
+            return res.redirect(`/portal/policies/${docType}?locale=${result.locale}`);
+        });
+    });
+});
+
+// ------------------------------
+// Portal: 10DLC readiness report for current account's site
+// ------------------------------
+router.get('/portal/readiness', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal readiness report:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        return res.render('readiness-report', {
+            pageTitle: '10DLC Readiness',
+            activePage: 'portal',
+            siteRecord: row,
+            report: loadReadinessReport(row),
+            statusLabels: STATUS_LABELS,
+            runUrl: '/portal/readiness',
+            backUrl: '/portal',
+            editUrl: '/portal/site'
+        });
+    });
+});
+
+// ------------------------------
+// Portal: run the 10DLC readiness check (read-only for the site, so any account user may run it)
+// ------------------------------
+router.post('/portal/readiness', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], async (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal readiness check:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        try {
+            const report = await runReadinessCheck(row);
+
+            saveReadinessReport(row.id, report, (saveErr) => {
+                if (saveErr) {
+                    console.error('Error saving readiness report from portal:', saveErr);
+                    return res.status(500).send('Error saving readiness report.');
                 }
-                return res.redirect('/portal/site');
+                return res.redirect('/portal/readiness');
+            });
+        } catch (e) {
+            console.error('Unexpected error during portal readiness check:', e);
+            req.session.flash = { type: 'error', message: `Readiness check failed: ${e.message || 'Unknown error'}` };
+            return res.redirect('/portal/readiness');
+        }
+    });
+});
+
+// ------------------------------
+// Portal: TCR campaign package for current account's site (printable HTML, or JSON download)
+// ------------------------------
+router.get(['/portal/campaign-package', '/portal/campaign-package.json'], requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal campaign package:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        buildCampaignPackage(row, (pkgErr, pkg) => {
+            if (pkgErr) {
+                console.error('Error building portal campaign package:', pkgErr);
+                return res.status(500).send('Error building campaign package.');
             }
-        );
+
+            if (req.path.endsWith('.json')) {
+                res.setHeader('Content-Disposition', `attachment; filename="campaign-package-${row.domain}.json"`);
+                return res.json(pkg);
+            }
+
+            return res.render('campaign-package', {
+                pageTitle: 'Campaign Package',
+                activePage: 'portal',
+                siteRecord: row,
+                pkg,
+                jsonUrl: '/portal/campaign-package.json',
+                backUrl: '/portal/site'
+            });
+        });
     });
 });
 
 // ------------------------------
 // Portal: validate DNS for current account's site
 // ------------------------------
-router.post('/portal/sites/:id/validate-domain', requireAccountUser, async (req, res) => {
+router.post('/portal/sites/:id/validate-domain', requireAccountUser, (req, res) => {
     const user = req.session.user;
     const siteId = parseInt(req.params.id, 10);
 
@@ -193,49 +890,116 @@ router.post('/portal/sites/:id/validate-domain', requireAccountUser, async (req,
 
         db.run('UPDATE sites SET domain_last_checked_at = ? WHERE id = ?', [new Date().toISOString(), siteId]);
 
-        try {
-            const dnsResult = await checkDnsCname(domain);
+        const result = await validateDomain(domain);
 
-            if (!dnsResult.ok) {
-                db.run('UPDATE sites SET domain_status = ? WHERE id = ?', ['dns_error', siteId], () => {
-                    req.session.flash = {
-                        type: 'error',
-                        message: `DNS validation failed for ${domain}: ${dnsResult.detail} (expected: ${EXPECTED_CNAME_TARGET})`
-                    };
-                    return res.redirect('/portal/site');
-                });
-                return;
+        db.run('UPDATE sites SET domain_status = ? WHERE id = ?', [result.status, siteId], () => {
+            req.session.flash = { type: validationFlashType(result.status), message: result.detail };
+            return res.redirect('/portal/site');
+        });
+    });
+});
+
+// ------------------------------
+// Portal: domain aliases for current account's site
+// Any account user can see and validate them; account admins add / remove and set the redirect.
+// ------------------------------
+router.get('/portal/domains', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT * FROM sites WHERE id = ?', [user.site_id], (err, row) => {
+        if (err) {
+            console.error('Error loading site for portal domain aliases:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!row) return res.status(404).send('Site not found.');
+
+        listSiteDomains(row.id, (err2, aliases) => {
+            if (err2) {
+                console.error('Error loading portal domain aliases:', err2);
+                return res.status(500).send('Error loading domain aliases.');
             }
 
-            let httpsResult;
-            try {
-                httpsResult = await checkHttpsHealth(domain);
-            } catch (httpsErr) {
-                httpsResult = { ok: false, detail: httpsErr.message || 'HTTPS /health check failed' };
+            return res.render('site-domains', {
+                pageTitle: 'Domains',
+                activePage: 'portal',
+                siteRecord: row,
+                aliases,
+                hostedHost: hostedHostname(row),
+                cnameUrl: CNAME_URL,
+                canEdit: user.role === 'account_admin',
+                baseUrl: '/portal/domains',
+                backUrl: '/portal/site'
+            });
+        });
+    });
+});
+
+router.post('/portal/domains', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    addSiteDomain(user.site_id, req.body.domain, (err, result) => {
+        if (err) {
+            console.error('Error adding portal domain alias:', err);
+            return res.status(500).send('Error adding domain alias.');
+        }
+
+        req.session.flash = result.errors.length
+            ? { type: 'error', message: result.errors.join(' ') }
+            : { type: 'success', message: `Alias ${result.alias.domain} added. Point it at ${CNAME_URL}, then validate it.` };
+        return res.redirect('/portal/domains');
+    });
+});
+
+router.post('/portal/domains/settings', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    db.run(
+        'UPDATE sites SET redirect_aliases = ? WHERE id = ?',
+        [req.body.redirect_aliases ? 1 : 0, user.site_id],
+        (err) => {
+            if (err) {
+                console.error('Error saving portal alias redirect setting:', err);
+                return res.status(500).send('Error saving setting.');
             }
 
-            const newStatus = httpsResult.ok ? 'active' : 'dns_ok_ssl_error';
+            req.session.flash = { type: 'success', message: 'Alias setting saved.' };
+            return res.redirect('/portal/domains');
+        }
+    );
+});
 
-            db.run('UPDATE sites SET domain_status = ? WHERE id = ?', [newStatus, siteId], () => {
-                req.session.flash = {
-                    type: httpsResult.ok ? 'success' : 'warning',
-                    message: httpsResult.ok
-                        ? `Domain ${domain} is active.`
-                        : `Domain ${domain} DNS is OK but HTTPS check had issues: ${httpsResult.detail}`
-                };
-                return res.redirect('/portal/site');
-            });
-        } catch (e) {
-            console.error('Unexpected error during domain validation:', e);
-
-            db.run('UPDATE sites SET domain_status = ? WHERE id = ?', ['error_generic', siteId], () => {
-                req.session.flash = {
-                    type: 'error',
-                    message: `Validation failed for ${domain}: ${e.message || 'Unknown validation error'}`
-                };
-                return res.redirect('/portal/site');
-            });
+router.post('/portal/domains/:aliasId/validate', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    getSiteDomain(user.site_id, parseInt(req.params.aliasId, 10), async (err, alias) => {
+        if (err) {
+            console.error('Error loading portal domain alias for validation:', err);
+            return res.status(500).send('Error loading domain alias.');
         }
+        if (!alias) return res.status(404).send('Alias not found.');
+
+        const result = await validateDomain(alias.domain);
+
+        saveAliasValidation(alias.id, result, () => {
+            req.session.flash = { type: validationFlashType(result.status), message: result.detail };
+            return res.redirect('/portal/domains');
+        });
+    });
+});
+
+router.post('/portal/domains/:aliasId/delete', requireAccountUser, requirePortalEditor, (req, res) => {
+    const user = req.session.user;
+
+    removeSiteDomain(user.site_id, parseInt(req.params.aliasId, 10), (err, removed) => {
+        if (err) {
+            console.error('Error removing portal domain alias:', err);
+            return res.status(500).send('Error removing domain alias.');
+        }
+
+        req.session.flash = removed
+            ? { type: 'success', message: 'Alias removed.' }
+            : { type: 'error', message: 'Alias not found.' };
+        return res.redirect('/portal/domains');
     });
 });
 
@@ -257,7 +1021,10 @@ router.post(
 
         const logoUrl = '/uploads/' + req.file.filename;
 
-        db.run('UPDATE sites SET logo_url = ? WHERE id = ?', [logoUrl, siteId], (err) => {
+        const meta = { action: 'logo', user };
+        const change = (done) => db.run('UPDATE sites SET logo_url = ? WHERE id = ?', [logoUrl, siteId], done);
+
+        trackSiteChange(siteId, meta, change, (err) => {
             if (err) {
                 console.error('Error saving portal logo:', err);
                 return res.status(500).send('Error saving logo.');
@@ -285,7 +1052,10 @@ router.post(
 
         const faviconUrl = '/uploads/' + req.file.filename;
 
-        db.run('UPDATE sites SET favicon_url = ? WHERE id = ?', [faviconUrl, siteId], (err) => {
+        const meta = { action: 'favicon', user };
+        const change = (done) => db.run('UPDATE sites SET favicon_url = ? WHERE id = ?', [faviconUrl, siteId], done);
+
+        trackSiteChange(siteId, meta, change, (err) => {
             if (err) {
                 console.error('Error saving portal favicon:', err);
                 return res.status(500).send('Error saving favicon.');
@@ -347,7 +1117,7 @@ router.post('/portal/site/generate-details', requireAccountUser, async (req, res
 router.get('/portal/forms', requireAccountUser, (req, res) => {
     const user = req.session.user;
 
-    db.get('SELECT domain, company_name FROM sites WHERE id = ?', [user.site_id], (err, siteRow) => {
+    db.get('SELECT id, domain, company_name FROM sites WHERE id = ?', [user.site_id], (err, siteRow) => {
         if (err) {
             console.error('Error loading site for portal forms:', err);
             return res.status(500).send('Error loading site.');
@@ -357,23 +1127,103 @@ router.get('/portal/forms', requireAccountUser, (req, res) => {
         const domain = siteRow.domain.toLowerCase();
 
         const sql = `
-      SELECT id, site_domain, name, email, phone, message, sms_consent, created_at
+      SELECT id, site_domain, name, email, phone, message, extra_fields_json, sms_consent, created_at, embed_origin,
+             sms_consent_status, sms_consent_confirmed_at, sms_consent_confirmed_ip, ? AS site_id
       FROM form_submissions
       WHERE site_domain = ?
       ORDER BY datetime(created_at) DESC
       LIMIT 100
     `;
 
-        db.all(sql, [domain], (err2, rows) => {
+        db.all(sql, [siteRow.id, domain], (err2, rows) => {
             if (err2) {
                 console.error('Error fetching portal form submissions:', err2);
                 return res.status(500).send('Error loading submissions.');
             }
 
-            return res.render('portal-forms', {
-                pageTitle: 'Contact Form Submissions',
+            loadOptOuts([siteRow.id], (err3, optOuts) => {
+                if (err3) {
+                    console.error('Error fetching portal SMS opt-outs:', err3);
+                    return res.status(500).send('Error loading submissions.');
+                }
+
+                return res.render('portal-forms', {
+                    pageTitle: 'Contact Form Submissions',
+                    activePage: 'portal',
+                    submissions: annotateOptOuts(rows, optOuts).map((row) =>
+                        Object.assign(row, { extra_fields: parseAnswers(row.extra_fields_json) })
+                    ),
+                    siteInfo: siteRow
+                });
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Portal: export consented contacts (CSV, opted-out numbers excluded)
+// ------------------------------
+router.get('/portal/forms/consented.csv', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT id, domain FROM sites WHERE id = ?', [user.site_id], (err, siteRow) => {
+        if (err) {
+            console.error('Error loading site for portal export:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!siteRow) return res.status(404).send('Site not found.');
+
+        const sql = `
+      SELECT id, site_domain, name, email, phone, sms_consent, sms_consent_status, created_at, ? AS site_id
+      FROM form_submissions
+      WHERE site_domain = ? AND sms_consent = 1
+      ORDER BY datetime(created_at) DESC
+    `;
+
+        db.all(sql, [siteRow.id, siteRow.domain.toLowerCase()], (err2, rows) => {
+            if (err2) {
+                console.error('Error exporting portal consented contacts:', err2);
+                return res.status(500).send('Error exporting contacts.');
+            }
+
+            loadOptOuts([siteRow.id], (err3, optOuts) => {
+                if (err3) {
+                    console.error('Error fetching portal SMS opt-outs for export:', err3);
+                    return res.status(500).send('Error exporting contacts.');
+                }
+
+                res.set('Content-Disposition', `attachment; filename="consented-contacts-${filenamePart(siteRow.domain)}.csv"`);
+                res.type('text/csv');
+                return res.send(toCsv(filterConsentedContacts(rows, optOuts), CONSENTED_CONTACT_COLUMNS));
+            });
+        });
+    });
+});
+
+// ------------------------------
+// Portal: view SMS consent records for this site
+// ------------------------------
+router.get('/portal/consents', requireAccountUser, (req, res) => {
+    const user = req.session.user;
+
+    db.get('SELECT id, domain, company_name FROM sites WHERE id = ?', [user.site_id], (err, siteRow) => {
+        if (err) {
+            console.error('Error loading site for portal consents:', err);
+            return res.status(500).send('Error loading site.');
+        }
+        if (!siteRow) return res.status(404).send('Site not found.');
+
+        listConsentRecords({ siteId: siteRow.id }, (err2, result) => {
+            if (err2) {
+                console.error('Error fetching portal consent records:', err2);
+                return res.status(500).send('Error loading consent records.');
+            }
+
+            return res.render('portal-consents', {
+                pageTitle: 'SMS Consent Records',
                 activePage: 'portal',
-                submissions: rows,
+                records: result.records,
+                chainOk: result.chainOk,
                 siteInfo: siteRow
             });
         });
@@ -5,70 +5,160 @@
 const express = require('express');
 const router = express.Router();
 
-const { db } = require('../db');
-const { sendContactEmail } = require('../mailer');
+const { buildSmsDisclosureHtml, confirmSmsConsent } = require('../services/consent');
+const { buildFormGuard, checkSubmission, recordRejection } = require('../services/spamGuard');
+const { parseSchema } = require('../services/formSchema');
+const { getDocInfo, versionLabel, getLivePolicy, getPolicyVersion, listPolicyVersions } = require('../services/policies');
+const { readContactSubmission, saveContactSubmission } = require('../services/contactSubmission');
+
+router.get('/', (req, res) => res.render('home', { pageTitle: req.t('home.pageTitle'), activePage: 'home' }));
+
+// ------------------------------
+// Policy pages (live version + stable per-version URLs)
+// The live page follows the visitor's language; /v/:version shows that version as published.
+// ------------------------------
+function renderPolicy(req, res, { docType, view, activePage, version }) {
+    const site = res.locals.site;
+
+    const load = (cb) =>
+        version ? getPolicyVersion(site.id, docType, version, cb) : getLivePolicy(site, docType, req.locale, cb);
+
+    load((err, policy) => {
+        if (err) {
+            console.error(`Error loading ${docType} policy:`, err);
+            return res.status(500).send('Error loading page.');
+        }
 
-router.get('/', (req, res) => res.render('home', { pageTitle: 'Home', activePage: 'home' }));
+        const now = new Date().toISOString();
+
+        // Unknown or not-yet-effective versions are not public
+        if (!policy || (policy.effectiveAt && policy.effectiveAt > now)) {
+            return res.status(404).render('404', { pageTitle: req.t('notFound.pageTitle'), activePage: null });
+        }
+
+        listPolicyVersions(site.id, docType, policy.locale, (err2, versions) => {
+            if (err2) {
+                console.error(`Error loading ${docType} versions:`, err2);
+                versions = [];
+            }
+
+            const docInfo = getDocInfo(docType, policy.locale);
+
+            return res.render(view, {
+                pageTitle: docInfo.pageTitle,
+                activePage,
+                docInfo,
+                docType,
+                policy,
+                versions: versions.filter((v) => v.effectiveAt <= now)
+            });
+        });
+    });
+}
 
 router.get('/privacy-policy', (req, res) =>
-    res.render('privacy-policy', { pageTitle: 'Privacy Policy', activePage: 'privacy' })
+    renderPolicy(req, res, { docType: 'privacy-policy', view: 'privacy-policy', activePage: 'privacy' })
+);
+
+router.get('/privacy-policy/v/:version', (req, res) =>
+    renderPolicy(req, res, {
+        docType: 'privacy-policy',
+        view: 'privacy-policy',
+        activePage: 'privacy',
+        version: parseInt(req.params.version, 10) || -1
+    })
 );
 
 router.get('/sms-terms', (req, res) =>
-    res.render('sms-terms', { pageTitle: 'SMS Terms & Conditions', activePage: 'sms-terms' })
+    renderPolicy(req, res, { docType: 'sms-terms', view: 'sms-terms', activePage: 'sms-terms' })
 );
 
-router.get('/contact', (req, res) =>
-    res.render('contact', { pageTitle: 'Contact Us', activePage: 'contact' })
+router.get('/sms-terms/v/:version', (req, res) =>
+    renderPolicy(req, res, {
+        docType: 'sms-terms',
+        view: 'sms-terms',
+        activePage: 'sms-terms',
+        version: parseInt(req.params.version, 10) || -1
+    })
 );
 
+// Renders the contact form with fresh spam-guard fields.
+// On a rejected post, `formError` + `formValues` re-fill the form.
+function renderContactForm(
+    req,
+    res,
+    { status = 200, formError = null, formValues = {}, fieldErrors = {}, forceChallenge = false } = {}
+) {
+    const site = res.locals.site;
+
+    getLivePolicy(site, 'sms-terms', req.locale, (err, terms) => {
+        if (err) {
+            console.error('Error loading SMS terms for contact page:', err);
+            return res.status(500).send('Error loading page.');
+        }
+
+        return res.status(status).render('contact', {
+            pageTitle: req.t('contact.pageTitle'),
+            activePage: 'contact',
+            smsDisclosureHtml: buildSmsDisclosureHtml(site, req.locale, res.locals.link),
+            termsVersion: versionLabel(terms),
+            guard: buildFormGuard(site, { forceChallenge }),
+            customFields: parseSchema(site.formSchemaJson),
+            formError,
+            formValues,
+            customValues: formValues.custom || {},
+            fieldErrors
+        });
+    });
+}
+
+router.get('/contact', (req, res) => renderContactForm(req, res));
+
 router.post('/contact', (req, res) => {
-    const { name, email, phone, message, sms_consent, consent_contact } = req.body;
     const site = res.locals.site;
-    const host = res.locals.lookupHost || req.hostname.toLowerCase();
-
-    const consentFlag = sms_consent === 'yes' ? 1 : 0;
-    const contactConsent = consent_contact === 'yes' ? 1 : 0;
-    const createdAt = new Date().toISOString();
-
-    const formData = {
-        site_domain: host,
-        name: name && name.trim(),
-        email: email && email.trim(),
-        phone: phone && phone.trim(),
-        message: message && message.trim(),
-        sms_consent: consentFlag,
-        contact_consent: contactConsent,
-        created_at: createdAt
-    };
-
-    if (!formData.name || !formData.email || !formData.message) {
-        return res.status(400).send('Name, email, and message are required.');
+
+    const guardResult = checkSubmission(req, site);
+    if (!guardResult.ok) {
+        recordRejection(site.id, guardResult.reason);
+
+        // Bots that filled the honeypot get the normal thank-you page, but nothing is stored or sent
+        if (guardResult.silent) {
+            return res.render('thank-you', {
+                name: (req.body.name || '').trim(),
+                pageTitle: req.t('thankYou.pageTitle'),
+                activePage: 'contact'
+            });
+        }
+
+        return renderContactForm(req, res, {
+            status: guardResult.status,
+            formError: req.t(guardResult.messageKey),
+            formValues: req.body,
+            forceChallenge: guardResult.showChallenge
+        });
+    }
+
+    const { formData, missingRequired, fieldErrors } = readContactSubmission(site, req.body, {
+        host: res.locals.lookupHost || req.hostname.toLowerCase(),
+        locale: req.locale
+    });
+
+    if (missingRequired) {
+        return res.status(400).send(req.t('contact.required'));
     }
 
-    const sql = `
-    INSERT INTO form_submissions (
-      site_domain,
-      name,
-      email,
-      phone,
-      message,
-      sms_consent,
-      created_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
-  `;
-
-    const params = [
-        formData.site_domain,
-        formData.name,
-        formData.email,
-        formData.phone,
-        formData.message,
-        formData.sms_consent,
-        formData.created_at
-    ];
-
-    db.run(sql, params, function (err) {
+    if (Object.keys(fieldErrors).length) {
+        return renderContactForm(req, res, {
+            status: 400,
+            formError: req.t('contact.correctFields'),
+            formValues: req.body,
+            fieldErrors
+        });
+    }
+
+    const pageUrl = req.get('Referer') || `${req.protocol}://${req.get('host')}${req.localePrefix}/contact`;
+
+    saveContactSubmission({ req, site, formData, pageUrl }, (err, result) => {
         if (err) {
             console.error('Error inserting form submission:', err);
             return res
@@ -76,20 +166,46 @@ router.post('/contact', (req, res) => {
                 .send('Could not submit the form at this time. Please try again later.');
         }
 
-        try {
-            sendContactEmail({ site, form: formData });
-        } catch (emailErr) {
-            console.error('Unexpected error when sending contact email:', emailErr);
-        }
-
         return res.render('thank-you', {
             name: formData.name,
-            pageTitle: 'Thank You',
+            confirmationPending: result.confirmationPending,
+            pageTitle: req.t('thankYou.pageTitle'),
             activePage: 'contact'
         });
     });
 });
 
+// ------------------------------
+// Double opt-in confirmation link (emailed after a contact submission)
+// ------------------------------
+router.get('/contact/confirm', (req, res) => {
+    confirmSmsConsent(
+        {
+            token: req.query.token,
+            site: res.locals.site,
+            locale: req.locale,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            pageUrl: `${req.protocol}://${req.get('host')}${req.originalUrl}`
+        },
+        (err, result) => {
+            if (err) {
+                console.error('Error confirming SMS consent:', err);
+                return res.status(500).send('Could not confirm at this time. Please try again later.');
+            }
+
+            const ok = result.status === 'confirmed' || result.status === 'already_confirmed';
+
+            return res.status(ok ? 200 : 400).render('consent-confirmed', {
+                pageTitle: req.t(ok ? 'confirm.confirmedPageTitle' : 'confirm.invalidPageTitle'),
+                activePage: 'contact',
+                status: result.status,
+                submission: result.submission || null
+            });
+        }
+    );
+});
+
 router.get('/health', (req, res) => {
   res.set('X-Sms-Sites', '1');
   res.type('text').send('OK');
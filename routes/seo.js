@@ -0,0 +1,25 @@
+/**
+ * routes/seo.js
+ * Crawler files for the resolved site host: GET /robots.txt and GET /sitemap.xml
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const { buildRobotsTxt, buildSitemapXml } = require('../services/seo');
+
+router.get('/robots.txt', (req, res) => {
+    return res.type('text/plain').send(buildRobotsTxt(res.locals.site));
+});
+
+router.get('/sitemap.xml', (req, res) => {
+    buildSitemapXml(res.locals.site, (err, xml) => {
+        if (err) {
+            console.error('Error building sitemap:', err);
+            return res.status(500).send('Error building sitemap.');
+        }
+        return res.type('application/xml').send(xml);
+    });
+});
+
+module.exports = router;
@@ -14,18 +14,34 @@ const path = require('path');
 const session = require('express-session');
 const SQLiteStore = require('connect-sqlite3')(session);
 
-const { initDb, db } = require('./db');
+const { initDb } = require('./db');
 const { attachCurrentUser } = require('./auth');
 const { SESSION_SECRET, PORT } = require('./config/appConfig');
+const { findDomainOwner } = require('./services/siteDomains');
+const { siteBlockReason } = require('./services/siteStatus');
+const { startPurgeJob } = require('./services/siteDeletion');
 
+const framingMiddleware = require('./middleware/framing');
 const localsMiddleware = require('./middleware/locals');
+const previewMiddleware = require('./middleware/preview');
 const siteResolverMiddleware = require('./middleware/siteResolver');
+const localeMiddleware = require('./middleware/locale');
+const themeMiddleware = require('./middleware/theme');
+const navPagesMiddleware = require('./middleware/navPages');
+const businessHoursMiddleware = require('./middleware/businessHours');
+const seoMiddleware = require('./middleware/seo');
+const maintenanceMiddleware = require('./middleware/maintenance');
 
 const publicRoutes = require('./routes/public');
 const authRoutes = require('./routes/auth');
 const adminUsersRoutes = require('./routes/adminUsers');
 const adminSitesRoutes = require('./routes/adminSites');
 const portalRoutes = require('./routes/portal');
+const inboundRoutes = require('./routes/inbound');
+const seoRoutes = require('./routes/seo');
+const embedRoutes = require('./routes/embed');
+const apiRoutes = require('./routes/api');
+const pagesRoutes = require('./routes/pages');
 const notFoundRoutes = require('./routes/notFound');
 
 // ---- Create app ----
@@ -35,10 +51,21 @@ const app = express();
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// ---- No framing by other origins (the embed widget sets its own allowlist) ----
+app.use(framingMiddleware);
+
 // ---- Parse bodies ----
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
+// Malformed JSON sent to the API gets a JSON error (body parsing fails before any route runs)
+app.use((err, req, res, next) => {
+  if (err && err.type === 'entity.parse.failed' && /^(\/[a-z]{2})?\/api\//.test(req.path)) {
+    return res.status(400).json({ ok: false, error: { code: 'invalid_json', message: 'The request body is not valid JSON.' } });
+  }
+  return next(err);
+});
+
 // ---- Static assets ----
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -81,18 +108,46 @@ app.use(localsMiddleware);
 // ---- Attach current user into res.locals ----
 app.use(attachCurrentUser);
 
+// ---- Signed-in preview of any site at /preview/:siteId/... (sets res.locals.site itself) ----
+app.use(previewMiddleware);
+
 // ---- Load site by hostname into res.locals.site ----
 app.use(siteResolverMiddleware);
 
+// ---- Page language (URL prefix / Accept-Language) into req.locale + res.locals.t ----
+app.use(localeMiddleware);
+
+// ---- Site theme + the branding it uses into res.locals.theme / res.locals.brand ----
+app.use(themeMiddleware);
+
+// ---- Custom pages for the header nav into res.locals.navPages ----
+app.use(navPagesMiddleware);
+
+// ---- Business hours + open/closed status into res.locals.hours ----
+app.use(businessHoursMiddleware);
+
+// ---- Meta description / canonical / Open Graph tags into res.locals.seo ----
+app.use(seoMiddleware);
+
+// ---- Maintenance mode notice (policy pages and the control panel stay up) ----
+app.use(maintenanceMiddleware);
+
 // ---- Initialise DB (tables + seeds) ----
 initDb();
 
+// ---- Purge sites deleted more than SITE_RETENTION_DAYS ago (hourly) ----
+startPurgeJob();
+
 // ---- Mount routes ----
 app.use(publicRoutes);
 app.use(authRoutes);
 app.use(adminUsersRoutes);
 app.use(adminSitesRoutes);
 app.use(portalRoutes);
+app.use(inboundRoutes);
+app.use(seoRoutes);
+app.use(embedRoutes);
+app.use(apiRoutes);
 
 // ------------------------------------------------------------
 // Caddy "ask" endpoint (for on-demand TLS)
@@ -127,18 +182,31 @@ app.get('/caddy-ask', (req, res) => {
   // Basic sanity check
   if (!/^[a-z0-9.-]+$/.test(domain)) return res.status(403).send('denied');
 
-  // Allow only domains that exist in the DB
-  db.get('SELECT id FROM sites WHERE domain = ? LIMIT 1', [domain], (err, row) => {
+  // Allow only domains that exist in the DB (a site's primary domain, an alias or its hosted hostname)
+  // and whose site isn't suspended or deleted
+  findDomainOwner(domain, (err, owner) => {
     if (err) {
       console.error('caddy-ask DB error:', err);
       return res.status(500).send('error');
     }
-    if (!row) return res.status(403).send('denied');
-    return res.status(200).send('ok');
+    if (!owner) return res.status(403).send('denied');
+
+    // No new certificates while the site is suspended or deleted
+    siteBlockReason(owner.site_id, (err2, reason) => {
+      if (err2) {
+        console.error('caddy-ask DB error:', err2);
+        return res.status(500).send('error');
+      }
+      if (reason) return res.status(403).send(reason);
+      return res.status(200).send('ok');
+    });
   });
 });
 
 
+// ---- Custom content pages (catch-all /:slug, after every built-in route) ----
+app.use(pagesRoutes);
+
 // ---- Not found + error handlers ----
 app.use(notFoundRoutes);
 
@@ -0,0 +1,478 @@
+/**
+ * Structured business hours (sites.hours_json), replacing the free-text business_hours column.
+ * - Weekly schedule: zero or more open/close ranges per day, in the site's time zone. A range that
+ *   closes at or before its opening time runs past midnight (["18:00", "02:00"])
+ * - Closures: holidays and other dated closures (one day or a date range), closed all day or
+ *   with special hours
+ * - "Open now" status, display rows for the public pages, schema.org opening hours
+ *
+ * hours_json:
+ *   { "timezone": "America/New_York",
+ *     "days": { "mon": [["09:00", "17:30"]], ..., "sun": [] },
+ *     "closures": [{ "start": "2026-12-24", "end": "2026-12-26", "label": "Holidays", "hours": [] }] }
+ */
+
+const { DEFAULT_TIMEZONE } = require('../config/appConfig');
+const { translate } = require('./i18n');
+
+const DAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+const SCHEMA_DAYS = {
+    mon: 'Monday',
+    tue: 'Tuesday',
+    wed: 'Wednesday',
+    thu: 'Thursday',
+    fri: 'Friday',
+    sat: 'Saturday',
+    sun: 'Sunday'
+};
+
+// Time ranges offered per day in the site forms (e.g. a lunch break splits the day in two)
+const SLOTS_PER_DAY = 2;
+
+// Blank closure rows added below the saved ones in the site forms
+const BLANK_CLOSURE_ROWS = 3;
+
+// Closures starting within this many days are listed on the public pages
+const UPCOMING_CLOSURE_DAYS = 30;
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidTimezone(tz) {
+    if (!tz) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function listTimezones() {
+    return Intl.supportedValuesOf('timeZone');
+}
+
+function isValidDate(str) {
+    if (!DATE_RE.test(String(str || ''))) return false;
+    const d = new Date(str + 'T00:00:00Z');
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === str;
+}
+
+function isValidRange(range) {
+    return Array.isArray(range) && TIME_RE.test(range[0]) && TIME_RE.test(range[1]) && range[1] !== range[0];
+}
+
+// Closes on the next day (18:00–02:00, or 18:00–00:00 for "until midnight")
+function isOvernight(range) {
+    return range[1] < range[0];
+}
+
+function toMinutes(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function emptySchedule() {
+    const days = {};
+    DAYS.forEach((day) => {
+        days[day] = [];
+    });
+    return { timezone: DEFAULT_TIMEZONE, days, closures: [] };
+}
+
+// Drops anything malformed so the rest of the module can trust the shape
+function normalizeSchedule(raw) {
+    const schedule = emptySchedule();
+    if (!raw || typeof raw !== 'object') return schedule;
+
+    if (isValidTimezone(raw.timezone)) schedule.timezone = raw.timezone;
+
+    DAYS.forEach((day) => {
+        const ranges = raw.days && Array.isArray(raw.days[day]) ? raw.days[day] : [];
+        schedule.days[day] = ranges.filter(isValidRange).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+    });
+
+    schedule.closures = (Array.isArray(raw.closures) ? raw.closures : [])
+        .filter((c) => c && isValidDate(c.start))
+        .map((c) => ({
+            start: c.start,
+            end: isValidDate(c.end) && c.end >= c.start ? c.end : c.start,
+            label: String(c.label || '').trim().slice(0, 80),
+            hours: (Array.isArray(c.hours) ? c.hours : []).filter(isValidRange)
+        }))
+        .sort((a, b) => (a.start < b.start ? -1 : 1));
+
+    return schedule;
+}
+
+// sites.hours_json -> schedule, or null when the site has none
+function parseSchedule(json) {
+    if (!json) return null;
+    try {
+        return normalizeSchedule(JSON.parse(json));
+    } catch (e) {
+        console.error('Error parsing hours_json:', e.message);
+        return null;
+    }
+}
+
+// ------------------------------
+// Legacy free text ("Mon–Thu 9:00–17:30, Fri 9:00–12:00") -> schedule
+// Best effort, only used to pre-fill the editor for sites that haven't saved a schedule yet.
+// ------------------------------
+const LEGACY_DAY_NAMES = {
+    mon: 'mon', monday: 'mon',
+    tue: 'tue', tues: 'tue', tuesday: 'tue',
+    wed: 'wed', wednesday: 'wed',
+    thu: 'thu', thur: 'thu', thurs: 'thu', thursday: 'thu',
+    fri: 'fri', friday: 'fri',
+    sat: 'sat', saturday: 'sat',
+    sun: 'sun', sunday: 'sun'
+};
+
+function parseLegacyTime(str) {
+    const m = String(str).trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+    if (!m) return null;
+
+    let hour = parseInt(m[1], 10);
+    const minute = m[2] ? parseInt(m[2], 10) : 0;
+    const suffix = m[3] ? m[3][0] : null;
+    if (suffix === 'p' && hour < 12) hour += 12;
+    if (suffix === 'a' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function parseLegacyHours(text) {
+    const str = String(text || '').trim();
+    if (!str) return null;
+
+    const schedule = emptySchedule();
+    let matched = false;
+
+    str.split(/[,;\n]+/).forEach((part) => {
+        const m = part
+            .trim()
+            .toLowerCase()
+            .match(/^([a-z]+)\.?(?:\s*[-–—]\s*([a-z]+)\.?)?:?\s+(.+?)\s*[-–—]\s*(.+)$/);
+        if (!m) return;
+
+        const from = LEGACY_DAY_NAMES[m[1]];
+        const to = m[2] ? LEGACY_DAY_NAMES[m[2]] : from;
+        const range = [parseLegacyTime(m[3]), parseLegacyTime(m[4])];
+        if (!from || !to || !isValidRange(range)) return;
+
+        const start = DAYS.indexOf(from);
+        const end = DAYS.indexOf(to);
+        for (let i = start; i <= (end >= start ? end : end + 7); i++) {
+            schedule.days[DAYS[i % 7]].push(range);
+        }
+        matched = true;
+    });
+
+    return matched ? schedule : null;
+}
+
+// ------------------------------
+// Site forms
+// ------------------------------
+
+/**
+ * Values for the hours editor partial: the saved schedule, or one parsed from the old free-text
+ * column, padded to SLOTS_PER_DAY ranges per day plus blank closure rows.
+ */
+function buildHoursEditor(siteRow) {
+    const saved = parseSchedule(siteRow.hours_json);
+    const schedule = saved || parseLegacyHours(siteRow.business_hours) || emptySchedule();
+
+    const days = DAYS.map((day) => {
+        const slots = schedule.days[day].slice(0, SLOTS_PER_DAY);
+        while (slots.length < SLOTS_PER_DAY) slots.push(['', '']);
+        return { day, label: SCHEMA_DAYS[day], slots };
+    });
+
+    const closures = schedule.closures.map((c) => ({
+        start: c.start,
+        end: c.end === c.start ? '' : c.end,
+        label: c.label,
+        open: c.hours.length ? c.hours[0][0] : '',
+        close: c.hours.length ? c.hours[0][1] : ''
+    }));
+    for (let i = 0; i < BLANK_CLOSURE_ROWS; i++) closures.push({ start: '', end: '', label: '', open: '', close: '' });
+
+    return {
+        timezone: schedule.timezone,
+        timezones: listTimezones(),
+        days,
+        closures,
+        legacyText: saved ? null : String(siteRow.business_hours || '').trim() || null
+    };
+}
+
+function asList(value) {
+    if (Array.isArray(value)) return value;
+    return value === undefined || value === null ? [] : [value];
+}
+
+/**
+ * Reads the hours editor of the site forms.
+ * Returns { json, summary, errors }: json for sites.hours_json (null when nothing is entered),
+ * summary for the legacy business_hours column.
+ */
+function readHoursInput(body) {
+    const errors = [];
+    const schedule = emptySchedule();
+
+    const tz = String(body.hours_timezone || '').trim();
+    if (tz && !isValidTimezone(tz)) errors.push('Time zone is not valid.');
+    if (isValidTimezone(tz)) schedule.timezone = tz;
+
+    DAYS.forEach((day) => {
+        for (let i = 0; i < SLOTS_PER_DAY; i++) {
+            const open = String(body[`hours_${day}_open_${i}`] || '').trim();
+            const close = String(body[`hours_${day}_close_${i}`] || '').trim();
+            if (!open && !close) continue;
+
+            if (!isValidRange([open, close])) {
+                errors.push(`${SCHEMA_DAYS[day]}: enter an opening and a different closing time.`);
+                continue;
+            }
+            schedule.days[day].push([open, close]);
+        }
+    });
+
+    const starts = asList(body.closure_start);
+    const ends = asList(body.closure_end);
+    const labels = asList(body.closure_label);
+    const opens = asList(body.closure_open);
+    const closes = asList(body.closure_close);
+
+    starts.forEach((rawStart, i) => {
+        const start = String(rawStart || '').trim();
+        const end = String(ends[i] || '').trim();
+        const label = String(labels[i] || '').trim().slice(0, 80);
+        const open = String(opens[i] || '').trim();
+        const close = String(closes[i] || '').trim();
+
+        // Blank row
+        if (!start && !end && !label && !open && !close) return;
+
+        const row = `Closure ${i + 1}`;
+        if (!isValidDate(start)) return errors.push(`${row}: enter a start date.`);
+        if (end && (!isValidDate(end) || end < start)) return errors.push(`${row}: end date must be on or after the start date.`);
+        if ((open || close) && !isValidRange([open, close])) {
+            return errors.push(`${row}: enter an opening and a different closing time, or leave both blank for closed.`);
+        }
+
+        schedule.closures.push({ start, end: end || start, label, hours: open ? [[open, close]] : [] });
+    });
+
+    const hasHours = DAYS.some((day) => schedule.days[day].length) || schedule.closures.length;
+    const normalized = normalizeSchedule(schedule);
+
+    return {
+        json: hasHours ? JSON.stringify(normalized) : null,
+        summary: hasHours ? weeklyRows(normalized, 'en').map((r) => `${r.label} ${r.text}`).join(', ') : '',
+        errors
+    };
+}
+
+// ------------------------------
+// Display
+// ------------------------------
+
+// Site-local date, weekday and minutes since midnight for `now`
+function localNow(timezone, now) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    })
+        .formatToParts(now)
+        .forEach((p) => {
+            parts[p.type] = p.value;
+        });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase().slice(0, 3),
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+    };
+}
+
+// The day before a site-local date ('2026-03-02' -> '2026-03-01')
+function previousDate(date) {
+    return new Date(new Date(date + 'T00:00:00Z').getTime() - 86400000).toISOString().slice(0, 10);
+}
+
+function closureOn(schedule, date) {
+    return schedule.closures.find((c) => c.start <= date && c.end >= date) || null;
+}
+
+function formatTime(time, locale) {
+    const [h, m] = time.split(':').map(Number);
+    return new Intl.DateTimeFormat(locale, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' }).format(
+        Date.UTC(2024, 0, 1, h, m)
+    );
+}
+
+// 2024-01-01 was a Monday
+function dayName(day, locale, style) {
+    return new Intl.DateTimeFormat(locale, { weekday: style, timeZone: 'UTC' }).format(
+        Date.UTC(2024, 0, 1 + DAYS.indexOf(day))
+    );
+}
+
+function formatDate(date, locale) {
+    return new Intl.DateTimeFormat(locale, { month: 'short', day: 'numeric', timeZone: 'UTC' }).format(
+        new Date(date + 'T00:00:00Z')
+    );
+}
+
+function formatRanges(ranges, locale) {
+    if (!ranges.length) return translate(locale, 'hours.closed');
+    return ranges.map((r) => `${formatTime(r[0], locale)}–${formatTime(r[1], locale)}`).join(', ');
+}
+
+// Consecutive days with the same hours share a row: [{ label: 'Mon–Thu', text: '9:00 AM–5:30 PM' }]
+function weeklyRows(schedule, locale) {
+    const rows = [];
+
+    DAYS.forEach((day) => {
+        const key = JSON.stringify(schedule.days[day]);
+        const last = rows[rows.length - 1];
+        if (last && last.key === key) {
+            last.to = day;
+        } else {
+            rows.push({ key, from: day, to: day });
+        }
+    });
+
+    return rows.map((r) => ({
+        label: r.from === r.to ? dayName(r.from, locale, 'short') : `${dayName(r.from, locale, 'short')}–${dayName(r.to, locale, 'short')}`,
+        text: formatRanges(schedule.days[r.from], locale)
+    }));
+}
+
+/**
+ * Open / closed right now, in the site's time zone.
+ * Returns { open, until } while open (closing time) or { open: false, closure } on a closure day.
+ * Overnight ranges of the day before still count after midnight.
+ */
+function openStatus(schedule, locale, now) {
+    const local = localNow(schedule.timezone, now || new Date());
+    const closure = closureOn(schedule, local.date);
+    const ranges = closure ? closure.hours : schedule.days[local.day];
+
+    const yesterday = previousDate(local.date);
+    const yesterdayClosure = closureOn(schedule, yesterday);
+    const yesterdayRanges = yesterdayClosure
+        ? yesterdayClosure.hours
+        : schedule.days[DAYS[(DAYS.indexOf(local.day) + 6) % 7]];
+
+    const current =
+        ranges.find((r) => toMinutes(r[0]) <= local.minutes && (isOvernight(r) || local.minutes < toMinutes(r[1]))) ||
+        yesterdayRanges.find((r) => isOvernight(r) && local.minutes < toMinutes(r[1]));
+    if (current) return { open: true, until: formatTime(current[1], locale), closure: null };
+
+    return { open: false, until: null, closure: closure ? closure.label || null : null };
+}
+
+// Closures that haven't ended and start within UPCOMING_CLOSURE_DAYS
+function upcomingClosures(schedule, locale, now) {
+    const today = localNow(schedule.timezone, now || new Date()).date;
+    const horizon = new Date(new Date(today + 'T00:00:00Z').getTime() + UPCOMING_CLOSURE_DAYS * 86400000)
+        .toISOString()
+        .slice(0, 10);
+
+    return schedule.closures
+        .filter((c) => c.end >= today && c.start <= horizon)
+        .map((c) => ({
+            label: c.label,
+            dates: c.start === c.end ? formatDate(c.start, locale) : `${formatDate(c.start, locale)} – ${formatDate(c.end, locale)}`,
+            text: formatRanges(c.hours, locale)
+        }));
+}
+
+/**
+ * Everything the public views need (res.locals.hours), or null when the site shows no hours.
+ * Sites that never saved a schedule keep showing their old free text, without a status badge.
+ */
+function buildHoursView(site, locale, now) {
+    const schedule = parseSchedule(site && site.hoursJson);
+
+    if (!schedule) {
+        const legacy = site && String(site.businessHours || '').trim();
+        return legacy ? { structured: false, rows: [], summary: legacy, status: null, closures: [] } : null;
+    }
+
+    const rows = weeklyRows(schedule, locale);
+    return {
+        structured: true,
+        rows,
+        summary: rows.map((r) => `${r.label} ${r.text}`).join(', '),
+        status: openStatus(schedule, locale, now),
+        closures: upcomingClosures(schedule, locale, now)
+    };
+}
+
+// ------------------------------
+// schema.org (LocalBusiness JSON-LD)
+// ------------------------------
+
+/**
+ * { openingHoursSpecification, specialOpeningHoursSpecification } for a site, or null.
+ * Closed days are left out of the weekly list; closures follow the schema.org convention of
+ * opens = closes = 00:00 for "closed all day".
+ */
+function schemaOpeningHours(site, now) {
+    const schedule = parseSchedule(site && site.hoursJson);
+    if (!schedule) return null;
+
+    const weekly = [];
+    DAYS.forEach((day) => {
+        schedule.days[day].forEach((range) => {
+            const same = weekly.find((s) => s.opens === range[0] && s.closes === range[1]);
+            if (same) {
+                same.dayOfWeek.push(SCHEMA_DAYS[day]);
+            } else {
+                weekly.push({ '@type': 'OpeningHoursSpecification', dayOfWeek: [SCHEMA_DAYS[day]], opens: range[0], closes: range[1] });
+            }
+        });
+    });
+
+    const today = localNow(schedule.timezone, now || new Date()).date;
+    const special = [];
+    schedule.closures
+        .filter((c) => c.end >= today)
+        .forEach((c) => {
+            const ranges = c.hours.length ? c.hours : [['00:00', '00:00']];
+            ranges.forEach((range) => {
+                special.push({
+                    '@type': 'OpeningHoursSpecification',
+                    validFrom: c.start,
+                    validThrough: c.end,
+                    opens: range[0],
+                    closes: range[1]
+                });
+            });
+        });
+
+    return { openingHoursSpecification: weekly, specialOpeningHoursSpecification: special };
+}
+
+module.exports = {
+    parseSchedule,
+    buildHoursEditor,
+    readHoursInput,
+    buildHoursView,
+    schemaOpeningHours
+};
@@ -0,0 +1,193 @@
+/**
+ * TCR campaign registration package.
+ * - Everything the 10DLC campaign form asks for, gathered from the site in one document:
+ *   brand details, opt-in flow description, policy URLs, sample messages, keywords and replies
+ * - The opt-in description and URLs are generated from the site's canonical URL and the contact
+ *   form as visitors see it (custom fields, disclosure, consent checkbox, double opt-in)
+ * - Sample messages are edited in the site forms (sites.sample_messages_json); sites without
+ *   any get suggested ones, flagged as such
+ */
+
+const { mapRowToSite } = require('../db');
+const { formatPhoneE164, formatPhoneNational } = require('../middleware/locals');
+const { translate, siteLocales } = require('./i18n');
+const { buildSmsDisclosureText } = require('./consent');
+const { parseSchema } = require('./formSchema');
+const { getLivePolicy, versionLabel } = require('./policies');
+const { siteBaseUrl } = require('./seo');
+const { STOP_KEYWORDS, START_KEYWORDS, HELP_KEYWORDS, buildReply } = require('./smsKeywords');
+
+// TCR accepts up to 5 samples and needs at least 2 for most use cases
+const MAX_SAMPLE_MESSAGES = 5;
+const MIN_SAMPLE_MESSAGES = 2;
+const MAX_SAMPLE_LENGTH = 1024;
+
+// sites.sample_messages_json -> array of strings
+function parseSampleMessages(json) {
+    if (!json) return [];
+    try {
+        const list = JSON.parse(json);
+        return Array.isArray(list) ? list.map((m) => String(m || '').trim()).filter(Boolean) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Reads the sample message textareas (sample_messages[]) of the site forms.
+ * Returns { json, errors }; json is null when none are filled in.
+ */
+function readSampleMessagesInput(body) {
+    const raw = body.sample_messages;
+    const list = (Array.isArray(raw) ? raw : raw ? [raw] : [])
+        .map((m) => String(m || '').replace(/\r\n/g, '\n').trim())
+        .filter(Boolean);
+
+    const errors = [];
+    if (list.length > MAX_SAMPLE_MESSAGES) errors.push(`Enter at most ${MAX_SAMPLE_MESSAGES} sample messages.`);
+    list.forEach((m, i) => {
+        if (m.length > MAX_SAMPLE_LENGTH) errors.push(`Sample message ${i + 1} is longer than ${MAX_SAMPLE_LENGTH} characters.`);
+    });
+
+    return { json: list.length ? JSON.stringify(list.slice(0, MAX_SAMPLE_MESSAGES)) : null, errors };
+}
+
+// Placeholder samples for sites that haven't written their own (customer care flow of the contact form)
+function suggestedSampleMessages(site) {
+    const company = site.companyName || 'Our team';
+    return [
+        `${company}: Thanks for contacting us! We received your message and a team member will reply shortly. Reply HELP for help, STOP to opt out.`,
+        `${company}: Hi [first name], following up on your request from our website. Reply here with any questions. Msg & data rates may apply. Reply STOP to opt out.`
+    ];
+}
+
+// Form sample rows for the site form partial: saved messages padded with blanks
+function sampleMessageSlots(siteRow) {
+    const list = parseSampleMessages(siteRow.sample_messages_json);
+    while (list.length < MAX_SAMPLE_MESSAGES) list.push('');
+    return list;
+}
+
+function describeOptInFlow({ site, urls, fields, disclosure, checkboxLabel }) {
+    const collected = ['name', 'email address', 'an optional mobile phone number', 'a message'].concat(
+        fields.map((f) => `"${f.label}"`)
+    );
+
+    const lines = [
+        `End users opt in through the contact form on the ${site.companyName || site.domain} website at ${urls.optIn}.`,
+        `The form collects ${collected.slice(0, -1).join(', ')} and ${collected[collected.length - 1]}.`,
+        `Next to the phone field the form displays this disclosure: "${disclosure}"`,
+        `To opt in, the user ticks a separate checkbox labelled "${checkboxLabel}". The checkbox is unticked by default and is not required to submit the form.`,
+        `The disclosure links to the SMS Terms (${urls.terms}) and the Privacy Policy (${urls.privacy}).`
+    ];
+
+    if (site.doubleOptIn) {
+        lines.push(
+            'After submitting, the user receives an email with a confirmation link; no text messages are sent until the link is confirmed.'
+        );
+    }
+
+    lines.push(
+        'Each opt-in is recorded with the timestamp, IP address, page URL and the disclosure and policy versions shown, as proof of consent.'
+    );
+
+    return lines.join(' ');
+}
+
+function containsLink(text) {
+    return /https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|us|co)\b/i.test(text);
+}
+
+function containsPhone(text) {
+    return /(\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/.test(text);
+}
+
+/**
+ * Builds the package for a sites row (default language of the site).
+ * cb(err, pkg) where pkg is the JSON document; the printable view renders the same object.
+ */
+function buildCampaignPackage(siteRow, cb) {
+    const site = mapRowToSite(siteRow);
+    const { defaultLocale } = siteLocales(site);
+    const base = siteBaseUrl(site);
+
+    getLivePolicy(site, 'sms-terms', defaultLocale, (termsErr, terms) => {
+        if (termsErr) return cb(termsErr);
+
+        getLivePolicy(site, 'privacy-policy', defaultLocale, (privacyErr, privacy) => {
+            if (privacyErr) return cb(privacyErr);
+
+            const urls = {
+                website: `${base}/`,
+                optIn: `${base}/contact`,
+                terms: `${base}/sms-terms`,
+                privacy: `${base}/privacy-policy`
+            };
+
+            const disclosure = buildSmsDisclosureText(site, defaultLocale);
+            const checkboxLabel = translate(defaultLocale, 'contact.smsConsent', { company: site.companyName });
+            const fields = parseSchema(site.formSchemaJson);
+
+            const saved = parseSampleMessages(siteRow.sample_messages_json);
+            const samples = saved.length ? saved : suggestedSampleMessages(site);
+
+            const warnings = [];
+            if (!saved.length) warnings.push('No sample messages saved for this site; the samples below are suggestions.');
+            else if (saved.length < MIN_SAMPLE_MESSAGES) warnings.push(`Add at least ${MIN_SAMPLE_MESSAGES} sample messages.`);
+            if (!siteRow.sms_number) warnings.push('No SMS number is configured for this site.');
+
+            return cb(null, {
+                generatedAt: new Date().toISOString(),
+                locale: defaultLocale,
+                warnings,
+                brand: {
+                    companyName: site.companyName || '',
+                    website: urls.website,
+                    contactEmail: site.contactEmail || '',
+                    contactPhone: formatPhoneE164(site.contactPhone) || site.contactPhone || '',
+                    contactPhoneDisplay: formatPhoneNational(site.contactPhone) || '',
+                    address: {
+                        street: [site.address.line1, site.address.line2].filter(Boolean).join(', '),
+                        city: site.address.city || '',
+                        state: site.address.state || '',
+                        postalCode: site.address.zip || '',
+                        country: site.address.country || ''
+                    }
+                },
+                campaign: {
+                    smsNumber: siteRow.sms_number || null,
+                    optInMethod: 'Website form',
+                    optInUrl: urls.optIn,
+                    optInDescription: describeOptInFlow({ site, urls, fields, disclosure, checkboxLabel }),
+                    optInDisclosure: disclosure,
+                    optInCheckboxLabel: checkboxLabel,
+                    doubleOptIn: site.doubleOptIn,
+                    termsUrl: urls.terms,
+                    termsVersion: versionLabel(terms),
+                    privacyPolicyUrl: urls.privacy,
+                    privacyPolicyVersion: versionLabel(privacy),
+                    sampleMessages: samples,
+                    sampleMessagesSuggested: !saved.length,
+                    embeddedLink: samples.some(containsLink),
+                    embeddedPhone: samples.some(containsPhone),
+                    keywords: {
+                        optIn: START_KEYWORDS,
+                        optOut: STOP_KEYWORDS,
+                        help: HELP_KEYWORDS
+                    },
+                    replies: {
+                        optIn: buildReply(siteRow, 'start'),
+                        optOut: buildReply(siteRow, 'stop'),
+                        help: buildReply(siteRow, 'help')
+                    }
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    readSampleMessagesInput,
+    sampleMessageSlots,
+    buildCampaignPackage
+};
@@ -0,0 +1,342 @@
+/**
+ * SMS consent audit trail.
+ * - Builds the SMS disclosure text shown on the contact form
+ * - Appends one consent_records row per submission
+ * - Rows are hash-chained per site (each hash covers the previous one),
+ *   so editing or deleting a stored row breaks verification from that point on
+ * - Double opt-in: signed confirmation tokens + confirming a pending consent
+ */
+
+const crypto = require('crypto');
+const { db } = require('../db');
+const { SESSION_SECRET } = require('../config/appConfig');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// Confirmation links stop working after this many days
+const CONFIRMATION_TTL_DAYS = 30;
+
+// Fields covered by the hash, in a fixed order.
+// Null/undefined values are left out so columns added later don't invalidate older rows.
+const HASHED_FIELDS = [
+    'site_id',
+    'site_domain',
+    'submission_id',
+    'event',
+    'phone',
+    'email',
+    'sms_consent',
+    'contact_consent',
+    'ip_address',
+    'user_agent',
+    'disclosure_text',
+    'terms_version',
+    'terms_document_id',
+    'privacy_version',
+    'privacy_document_id',
+    'page_url',
+    'created_at',
+    'locale'
+];
+
+// Disclosure in the visitor's language (locale = code from services/i18n; English by default)
+function buildSmsDisclosureText(site, locale = DEFAULT_LOCALE) {
+    const companyName = (site && site.companyName) || translate(locale, 'disclosure.fallbackCompany');
+    return translate(locale, 'disclosure.text', { company: companyName });
+}
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Same text as buildSmsDisclosureText, with the company name bolded and the policy names linked.
+ * `link` maps a path to the visitor's localized URL (res.locals.link).
+ */
+function buildSmsDisclosureHtml(site, locale = DEFAULT_LOCALE, link = (path) => path) {
+    const text = buildSmsDisclosureText(site, locale);
+    let html = escapeHtml(text);
+
+    if (site && site.companyName) {
+        html = html.replace(escapeHtml(site.companyName), '<strong>' + escapeHtml(site.companyName) + '</strong>');
+    }
+
+    const termsName = escapeHtml(translate(locale, 'disclosure.termsName'));
+    const privacyName = escapeHtml(translate(locale, 'disclosure.privacyName'));
+
+    return html
+        .replace(termsName, `<a href="${escapeHtml(link('/sms-terms'))}" target="_blank">${termsName}</a>`)
+        .replace(privacyName, `<a href="${escapeHtml(link('/privacy-policy'))}" target="_blank">${privacyName}</a>`);
+}
+
+function computeRecordHash(record, prevHash) {
+    const payload = {};
+    HASHED_FIELDS.forEach((field) => {
+        const value = record[field];
+        if (value !== null && value !== undefined) payload[field] = value;
+    });
+    payload.prev_hash = prevHash || '';
+
+    return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+// Appends are serialized so two submissions for the same site can't both chain off the same row.
+let appendQueue = Promise.resolve();
+
+function appendConsentRecord(record, cb) {
+    const done = typeof cb === 'function' ? cb : () => { };
+
+    appendQueue = appendQueue.then(
+        () =>
+            new Promise((resolve) => {
+                db.get(
+                    'SELECT hash FROM consent_records WHERE site_id = ? ORDER BY id DESC LIMIT 1',
+                    [record.site_id],
+                    (err, last) => {
+                        if (err) {
+                            done(err);
+                            return resolve();
+                        }
+
+                        const prevHash = last ? last.hash : '';
+                        const hash = computeRecordHash(record, prevHash);
+
+                        db.run(
+                            `
+              INSERT INTO consent_records (
+                site_id,
+                site_domain,
+                submission_id,
+                event,
+                phone,
+                email,
+                sms_consent,
+                contact_consent,
+                ip_address,
+                user_agent,
+                disclosure_text,
+                terms_version,
+                terms_document_id,
+                privacy_version,
+                privacy_document_id,
+                page_url,
+                created_at,
+                locale,
+                prev_hash,
+                hash
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+                            [
+                                record.site_id,
+                                record.site_domain,
+                                record.submission_id,
+                                record.event,
+                                record.phone,
+                                record.email,
+                                record.sms_consent,
+                                record.contact_consent,
+                                record.ip_address,
+                                record.user_agent,
+                                record.disclosure_text,
+                                record.terms_version,
+                                record.terms_document_id,
+                                record.privacy_version,
+                                record.privacy_document_id,
+                                record.page_url,
+                                record.created_at,
+                                record.locale || null,
+                                prevHash,
+                                hash
+                            ],
+                            function (err2) {
+                                done(err2, err2 ? null : { id: this.lastID, hash });
+                                resolve();
+                            }
+                        );
+                    }
+                );
+            })
+    );
+}
+
+/**
+ * Verifies rows (all from one site, ordered by id ASC).
+ * Returns a Map of id -> true/false; once a row fails, every later row fails too.
+ */
+function verifyConsentChain(rows) {
+    const results = new Map();
+    let prevHash = '';
+    let broken = false;
+
+    rows.forEach((row) => {
+        const ok =
+            !broken &&
+            (row.prev_hash || '') === prevHash &&
+            computeRecordHash(row, prevHash) === row.hash;
+
+        if (!ok) broken = true;
+        results.set(row.id, ok);
+        prevHash = row.hash;
+    });
+
+    return results;
+}
+
+/**
+ * Loads consent records (optionally for one site), verifies each site's chain,
+ * and returns the newest `limit` rows with a `chain_ok` flag.
+ */
+function listConsentRecords({ siteId, limit = 100 }, cb) {
+    let sql = 'SELECT * FROM consent_records';
+    const params = [];
+
+    if (siteId) {
+        sql += ' WHERE site_id = ?';
+        params.push(siteId);
+    }
+
+    sql += ' ORDER BY id ASC';
+
+    db.all(sql, params, (err, rows) => {
+        if (err) return cb(err);
+
+        const bySite = new Map();
+        rows.forEach((row) => {
+            if (!bySite.has(row.site_id)) bySite.set(row.site_id, []);
+            bySite.get(row.site_id).push(row);
+        });
+
+        const verified = new Map();
+        bySite.forEach((siteRows) => {
+            verifyConsentChain(siteRows).forEach((ok, id) => verified.set(id, ok));
+        });
+
+        const records = rows
+            .map((row) => Object.assign({}, row, { chain_ok: verified.get(row.id) }))
+            .reverse()
+            .slice(0, limit);
+
+        return cb(null, {
+            records,
+            chainOk: [...verified.values()].every(Boolean)
+        });
+    });
+}
+
+// ------------------------------
+// Double opt-in
+// ------------------------------
+
+// Token = "<submissionId>.<hmac>"; the HMAC also covers email + created_at so ids can't be guessed.
+function signConfirmation(submission) {
+    return crypto
+        .createHmac('sha256', SESSION_SECRET)
+        .update(`sms-consent:${submission.id}:${submission.email}:${submission.created_at}`)
+        .digest('hex');
+}
+
+function createConfirmationToken(submission) {
+    return `${submission.id}.${signConfirmation(submission)}`;
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Confirms a pending SMS consent from a confirmation link.
+ * cb(err, { status, submission }) where status is one of:
+ * 'confirmed', 'already_confirmed', 'invalid', 'expired'
+ */
+function confirmSmsConsent({ token, site, locale, ipAddress, userAgent, pageUrl }, cb) {
+    const [idPart, signature] = String(token || '').split('.');
+    const id = parseInt(idPart, 10);
+    if (!id || !signature) return cb(null, { status: 'invalid' });
+
+    // Only the site the submission was made on can confirm it (form_submissions is keyed by domain, not site id)
+    if (!site || !site.domain) return cb(null, { status: 'invalid' });
+
+    db.get('SELECT * FROM form_submissions WHERE id = ? AND site_domain = ?', [id, site.domain], (err, submission) => {
+        if (err) return cb(err);
+        if (!submission || !safeEqual(signConfirmation(submission), signature)) {
+            return cb(null, { status: 'invalid' });
+        }
+
+        if (submission.sms_consent_status === 'confirmed') {
+            return cb(null, { status: 'already_confirmed', submission });
+        }
+        if (submission.sms_consent_status !== 'pending') {
+            return cb(null, { status: 'invalid' });
+        }
+
+        const ageMs = Date.now() - new Date(submission.created_at).getTime();
+        if (ageMs > CONFIRMATION_TTL_DAYS * 24 * 60 * 60 * 1000) {
+            return cb(null, { status: 'expired', submission });
+        }
+
+        const confirmedAt = new Date().toISOString();
+
+        db.run(
+            `
+          UPDATE form_submissions
+          SET sms_consent_status = 'confirmed', sms_consent_confirmed_at = ?, sms_consent_confirmed_ip = ?
+          WHERE id = ? AND sms_consent_status = 'pending'
+        `,
+            [confirmedAt, ipAddress || null, id],
+            function (err2) {
+                if (err2) return cb(err2);
+                // Lost a race with another click on the same link
+                if (this.changes === 0) return cb(null, { status: 'already_confirmed', submission });
+
+                const confirmed = Object.assign({}, submission, {
+                    sms_consent_status: 'confirmed',
+                    sms_consent_confirmed_at: confirmedAt,
+                    sms_consent_confirmed_ip: ipAddress || null
+                });
+
+                appendConsentRecord(
+                    {
+                        site_id: site.id,
+                        site_domain: submission.site_domain,
+                        submission_id: id,
+                        event: 'double_opt_in_confirmed',
+                        phone: submission.phone || null,
+                        email: submission.email,
+                        sms_consent: 1,
+                        contact_consent: submission.contact_consent,
+                        ip_address: ipAddress || null,
+                        user_agent: userAgent || null,
+                        disclosure_text: buildSmsDisclosureText(site, locale),
+                        terms_version: null,
+                        terms_document_id: null,
+                        privacy_version: null,
+                        privacy_document_id: null,
+                        page_url: pageUrl || null,
+                        created_at: confirmedAt,
+                        locale: locale || null
+                    },
+                    (consentErr) => {
+                        if (consentErr) console.error('Error recording double opt-in confirmation:', consentErr);
+                        return cb(null, { status: 'confirmed', submission: confirmed });
+                    }
+                );
+            }
+        );
+    });
+}
+
+module.exports = {
+    buildSmsDisclosureText,
+    buildSmsDisclosureHtml,
+    appendConsentRecord,
+    verifyConsentChain,
+    listConsentRecords,
+    createConfirmationToken,
+    confirmSmsConsent
+};
@@ -0,0 +1,166 @@
+/**
+ * Contact form submission pipeline, shared by POST /contact, the embeddable widget and the JSON API.
+ * - Reads the posted fields and validates the site's custom fields
+ * - Stores the submission (tagged with the embedding origin for widget posts)
+ * - Appends the consent audit record, sends the notification email and,
+ *   on double opt-in sites, the confirmation email
+ */
+
+const { db } = require('../db');
+const { sendContactEmail, sendConsentConfirmationEmail } = require('../mailer');
+const { buildSmsDisclosureText, appendConsentRecord, createConfirmationToken } = require('./consent');
+const { parseSchema, validateAnswers } = require('./formSchema');
+const { getLivePolicy, versionLabel } = require('./policies');
+const { translate } = require('./i18n');
+
+// Built-in fields every submission needs (the phone number is optional)
+const REQUIRED_FIELDS = ['name', 'email', 'message'];
+
+/**
+ * Reads a posted contact form.
+ * Returns { formData, missingRequired, requiredErrors, fieldErrors }; the submission is valid when
+ * missingRequired is false and fieldErrors (custom fields, by key) is empty.
+ * requiredErrors has a message per missing built-in field, in the visitor's language.
+ */
+function readContactSubmission(site, body, { host, locale, embedOrigin = null }) {
+    const { name, email, phone, message, sms_consent, consent_contact } = body;
+
+    const consentFlag = sms_consent === 'yes' ? 1 : 0;
+
+    const formData = {
+        site_domain: host,
+        name: name && String(name).trim(),
+        email: email && String(email).trim(),
+        phone: phone && String(phone).trim(),
+        message: message && String(message).trim(),
+        sms_consent: consentFlag,
+        contact_consent: consent_contact === 'yes' ? 1 : 0,
+        // Double opt-in sites: consent only counts once the emailed link is clicked
+        sms_consent_status: consentFlag && site.doubleOptIn ? 'pending' : null,
+        embed_origin: embedOrigin,
+        created_at: new Date().toISOString()
+    };
+
+    const requiredErrors = {};
+    REQUIRED_FIELDS.forEach((key) => {
+        if (formData[key]) return;
+        const label = translate(locale, `contact.${key}`).replace(/\*$/, '');
+        requiredErrors[key] = translate(locale, 'fields.required', { label });
+    });
+
+    // Extra fields from the site's form schema
+    const custom = validateAnswers(parseSchema(site.formSchemaJson), body.custom, locale);
+    formData.extra_fields = custom.values;
+
+    return {
+        formData,
+        missingRequired: Object.keys(requiredErrors).length > 0,
+        requiredErrors,
+        fieldErrors: custom.errors
+    };
+}
+
+/**
+ * Stores a validated submission and runs the follow-ups (consent record, emails).
+ * `pageUrl` is the page the visitor submitted from, for the consent record.
+ * cb(err, { submissionId, confirmationPending })
+ */
+function saveContactSubmission({ req, site, formData, pageUrl }, cb) {
+    const sql = `
+    INSERT INTO form_submissions (
+      site_domain,
+      name,
+      email,
+      phone,
+      message,
+      sms_consent,
+      contact_consent,
+      sms_consent_status,
+      extra_fields_json,
+      embed_origin,
+      created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `;
+
+    const params = [
+        formData.site_domain,
+        formData.name,
+        formData.email,
+        formData.phone,
+        formData.message,
+        formData.sms_consent,
+        formData.contact_consent,
+        formData.sms_consent_status,
+        formData.extra_fields.length ? JSON.stringify(formData.extra_fields) : null,
+        formData.embed_origin,
+        formData.created_at
+    ];
+
+    db.run(sql, params, function (err) {
+        if (err) return cb(err);
+
+        const submissionId = this.lastID;
+
+        // Audit trail: what the visitor saw and where they submitted from
+        getLivePolicy(site, 'sms-terms', req.locale, (termsErr, terms) => {
+            getLivePolicy(site, 'privacy-policy', req.locale, (privacyErr, privacy) => {
+                if (termsErr || privacyErr) {
+                    console.error('Error loading policy versions for consent record:', termsErr || privacyErr);
+                }
+
+                appendConsentRecord(
+                    {
+                        site_id: site.id,
+                        site_domain: formData.site_domain,
+                        submission_id: submissionId,
+                        event: 'form_submission',
+                        phone: formData.phone || null,
+                        email: formData.email,
+                        sms_consent: formData.sms_consent,
+                        contact_consent: formData.contact_consent,
+                        ip_address: req.ip || null,
+                        user_agent: req.get('User-Agent') || null,
+                        disclosure_text: buildSmsDisclosureText(site, req.locale),
+                        terms_version: terms ? versionLabel(terms) : null,
+                        terms_document_id: terms ? terms.id : null,
+                        privacy_version: privacy ? versionLabel(privacy) : null,
+                        privacy_document_id: privacy ? privacy.id : null,
+                        page_url: pageUrl,
+                        created_at: formData.created_at,
+                        locale: req.locale
+                    },
+                    (consentErr) => {
+                        if (consentErr) console.error('Error recording consent for submission:', consentErr);
+                    }
+                );
+            });
+        });
+
+        try {
+            sendContactEmail({ site, form: formData });
+        } catch (emailErr) {
+            console.error('Unexpected error when sending contact email:', emailErr);
+        }
+
+        const confirmationPending = formData.sms_consent_status === 'pending';
+
+        if (confirmationPending) {
+            const token = createConfirmationToken({ id: submissionId, ...formData });
+            const confirmUrl =
+                `${req.protocol}://${req.get('host')}${req.localePrefix}/contact/confirm?token=${encodeURIComponent(token)}`;
+
+            try {
+                sendConsentConfirmationEmail({ site, form: formData, confirmUrl });
+            } catch (emailErr) {
+                console.error('Unexpected error when sending consent confirmation email:', emailErr);
+            }
+        }
+
+        return cb(null, { submissionId, confirmationPending });
+    });
+}
+
+module.exports = {
+    readContactSubmission,
+    saveContactSubmission
+};
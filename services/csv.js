@@ -0,0 +1,87 @@
+/**
+ * Minimal CSV writer / reader (RFC 4180 quoting).
+ * columns: [{ key, label }]
+ * Cells that a spreadsheet would run as a formula (=, +, -, @, tab, CR first) are written with a
+ * leading ' ; unguardCell() takes it off again when our own exports are imported.
+ */
+
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (FORMULA_START_RE.test(str)) str = "'" + str;
+    return /[",\r\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+}
+
+// Undoes the formula guard added by escapeCsvValue
+function unguardCell(cell) {
+    const str = String(cell);
+    return str.startsWith("'") && FORMULA_START_RE.test(str.slice(1)) ? str.slice(1) : str;
+}
+
+function toCsv(rows, columns) {
+    const lines = [columns.map((c) => escapeCsvValue(c.label)).join(',')];
+
+    rows.forEach((row) => {
+        lines.push(columns.map((c) => escapeCsvValue(row[c.key])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Rows of cell strings. Handles quoted cells (with commas, quotes and newlines), CRLF / LF and a UTF-8 BOM.
+function parseCsv(text) {
+    const str = String(text || '').replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < str.length; i++) {
+        const ch = str[i];
+
+        if (quoted) {
+            if (ch === '"' && str[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && str[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines are skipped
+    return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+// A value (e.g. a domain) made safe to use inside a download filename
+function filenamePart(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9.-]+/g, '-')
+        .replace(/^[.-]+|[.-]+$/g, '')
+        .slice(0, 80);
+}
+
+module.exports = { toCsv, parseCsv, unguardCell, filenamePart };
@@ -2,6 +2,7 @@
  * Domain validation:
  * 1) DNS: CNAME -> expected OR A/AAAA matches expected A/AAAA (apex flattening)
  * 2) HTTPS: GET https://domain/health must return 200 and prove it's our app
+ * Used for each site's primary domain and for its aliases (site_domains).
  */
 
 const dns = require('dns').promises;
@@ -173,8 +174,49 @@ function checkHttpsHealth(domain, { retries = 2, retryDelayMs = 1500 } = {}) {
     })();
 }
 
+/**
+ * Full check for one domain: DNS first, then HTTPS /health once DNS points at us.
+ * Resolves { status, detail } where status is stored as domain_status:
+ * active | dns_error | dns_ok_ssl_error | error_generic
+ */
+async function validateDomain(domain) {
+    const host = normHost(domain);
+
+    try {
+        const dnsResult = await checkDnsTarget(host);
+        if (!dnsResult.ok) {
+            return {
+                status: 'dns_error',
+                detail: `DNS validation failed for ${host}: ${dnsResult.detail} (expected: ${EXPECTED_CNAME_TARGET})`
+            };
+        }
+
+        let httpsResult;
+        try {
+            httpsResult = await checkHttpsHealth(host);
+        } catch (httpsErr) {
+            httpsResult = { ok: false, detail: httpsErr.message || 'HTTPS /health check failed' };
+        }
+
+        return httpsResult.ok
+            ? { status: 'active', detail: `Domain ${host} is active.` }
+            : { status: 'dns_ok_ssl_error', detail: `Domain ${host} DNS is OK but HTTPS check had issues: ${httpsResult.detail}` };
+    } catch (e) {
+        console.error('Unexpected error during domain validation:', e);
+        return { status: 'error_generic', detail: `Validation failed for ${host}: ${e.message || 'Unknown validation error'}` };
+    }
+}
+
+// Flash type for a validateDomain status
+function validationFlashType(status) {
+    if (status === 'active') return 'success';
+    return status === 'dns_ok_ssl_error' ? 'warning' : 'error';
+}
+
 module.exports = {
     checkDnsTarget,
+    validateDomain,
+    validationFlashType,
     checkHttpsHealth,
     EXPECTED_CNAME_TARGET
 };
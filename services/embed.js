@@ -0,0 +1,69 @@
+/**
+ * Embeddable contact / opt-in widget.
+ * - Per-site allowlist of origins that may embed the form (sites.embed_origins, one per line)
+ * - CORS (script mode) and frame-ancestors (iframe mode) only ever name allowlisted origins;
+ *   a site with an empty allowlist can't be embedded at all
+ * - Copy-paste snippets for the site forms
+ */
+
+const { normalizeBaseUrl, siteBaseUrl } = require('./seo');
+
+const MAX_ORIGINS = 20;
+
+/**
+ * Reads the allowed origins textarea of the site forms.
+ * Returns { value, errors }; value is the newline-separated list (null when empty).
+ */
+function readEmbedOriginsInput(body) {
+    const lines = String(body.embed_origins || '')
+        .split(/[\s,]+/)
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    const errors = [];
+    const origins = [];
+
+    lines.forEach((line) => {
+        const origin = normalizeBaseUrl(line);
+        if (!origin) errors.push(`"${line}" is not a valid origin (use e.g. https://www.example.com).`);
+        else if (!origins.includes(origin)) origins.push(origin);
+    });
+
+    if (origins.length > MAX_ORIGINS) errors.push(`Enter at most ${MAX_ORIGINS} allowed origins.`);
+
+    return { value: origins.length ? origins.join('\n') : null, errors };
+}
+
+function isEmbedEnabled(site) {
+    return Boolean(site && site.embedOrigins && site.embedOrigins.length);
+}
+
+// Exact match against the allowlist (an Origin header or a full Referer URL); returns the origin or null
+function allowedOrigin(site, raw) {
+    const origin = normalizeBaseUrl(raw);
+    return origin && isEmbedEnabled(site) && site.embedOrigins.includes(origin) ? origin : null;
+}
+
+// Content-Security-Policy for widget responses: only allowlisted pages may frame them
+function frameAncestorsPolicy(site) {
+    return isEmbedEnabled(site) ? `frame-ancestors ${site.embedOrigins.join(' ')}` : "frame-ancestors 'none'";
+}
+
+// Snippets shown in the site forms (served from the site's own domain)
+function buildEmbedSnippets(site) {
+    const base = siteBaseUrl(site);
+    return {
+        script: `<div data-contact-widget></div>\n<script src="${base}/embed/widget.js" async></script>`,
+        iframe:
+            `<iframe src="${base}/embed/contact" title="Contact form" loading="lazy"\n` +
+            '  style="width:100%; min-height:760px; border:0;"></iframe>'
+    };
+}
+
+module.exports = {
+    readEmbedOriginsInput,
+    isEmbedEnabled,
+    allowedOrigin,
+    frameAncestorsPolicy,
+    buildEmbedSnippets
+};
@@ -0,0 +1,217 @@
+/**
+ * Per-site custom contact form fields (stored as JSON in sites.form_schema_json).
+ * - Name, email, phone, message and the consent boxes are always on the form;
+ *   the schema adds extra fields after them
+ * - Field types: text, email, phone, select, checkbox, textarea
+ * - Answers are validated against the schema and stored on the submission
+ *   (form_submissions.extra_fields_json) together with the label at the time of submission
+ * - Text fields can require a format from PATTERN_PRESETS; sites can't write their own regular
+ *   expressions, since those would run on the server against any visitor's input
+ */
+
+const { formatPhoneE164 } = require('../middleware/locals');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+const FIELD_TYPES = {
+    text: 'Text',
+    email: 'Email',
+    phone: 'Phone',
+    select: 'Dropdown',
+    checkbox: 'Checkbox',
+    textarea: 'Paragraph'
+};
+
+const MAX_FIELDS = 20;
+const MAX_VALUE_LENGTH = 2000;
+
+// Keys that would collide with the built-in fields
+const RESERVED_KEYS = ['name', 'email', 'phone', 'message', 'sms_consent', 'consent_contact', 'form_token'];
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Vetted formats for text fields: re is checked on the server, html goes in the input's pattern attribute
+const PATTERN_PRESETS = {
+    digits: { label: 'Digits only', re: /^[0-9]+$/, html: '[0-9]+' },
+    alphanumeric: { label: 'Letters and digits only', re: /^[A-Za-z0-9]+$/, html: '[A-Za-z0-9]+' },
+    zip: { label: 'US ZIP code (12345 or 12345-6789)', re: /^[0-9]{5}(-[0-9]{4})?$/, html: '[0-9]{5}(-[0-9]{4})?' },
+    email: { label: 'Email address', re: EMAIL_RE, html: '[^\\s@]+@[^\\s@]+\\.[^\\s@]+' },
+    phone: { label: 'Phone number', re: /^\+?[0-9 ().-]{7,20}$/, html: '\\+?[0-9 \\(\\)\\.\\-]{7,20}' }
+};
+
+function slugifyKey(label) {
+    return String(label || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 40);
+}
+
+function toInt(value) {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, MAX_VALUE_LENGTH) : null;
+}
+
+function parseOptions(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(/\r?\n|,/);
+    return list.map((o) => String(o).trim()).filter(Boolean);
+}
+
+// Preset key + its HTML pattern; anything else (e.g. a regular expression saved before presets) is dropped
+function withPattern(field) {
+    const preset = PATTERN_PRESETS[field.pattern];
+    return Object.assign({}, field, { pattern: preset ? field.pattern : '', patternHtml: preset ? preset.html : '' });
+}
+
+// Stored JSON -> field list (bad/missing JSON -> no extra fields)
+function parseSchema(json) {
+    if (!json) return [];
+    try {
+        const fields = JSON.parse(json);
+        return Array.isArray(fields) ? fields.filter((f) => f && f.key && FIELD_TYPES[f.type]).map(withPattern) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Builds a schema from the builder form (body.fields is an array of rows).
+ * Returns { fields, errors } where errors is a list of messages.
+ */
+function buildSchemaFromInput(rows) {
+    const list = Array.isArray(rows) ? rows : rows && typeof rows === 'object' ? Object.values(rows) : [];
+    const fields = [];
+    const errors = [];
+    const seen = new Set();
+
+    list.forEach((row, i) => {
+        const label = String(row.label || '').trim();
+        if (!label) return; // blank rows are ignored
+
+        const type = FIELD_TYPES[row.type] ? row.type : 'text';
+        const key = slugifyKey(row.key || label);
+        const n = i + 1;
+
+        if (!key) {
+            errors.push(`Field ${n}: could not build a key from "${label}".`);
+            return;
+        }
+        if (RESERVED_KEYS.includes(key)) {
+            errors.push(`Field ${n}: "${key}" is already used by a built-in field.`);
+            return;
+        }
+        if (seen.has(key)) {
+            errors.push(`Field ${n}: key "${key}" is used more than once.`);
+            return;
+        }
+        seen.add(key);
+
+        const field = {
+            key,
+            label,
+            type,
+            required: Boolean(row.required),
+            placeholder: String(row.placeholder || '').trim(),
+            help: String(row.help || '').trim()
+        };
+
+        if (type === 'select') {
+            field.options = parseOptions(row.options);
+            if (!field.options.length) errors.push(`Field ${n} ("${label}"): a dropdown needs at least one option.`);
+        }
+
+        if (type === 'text' || type === 'textarea') {
+            field.minLength = toInt(row.minLength);
+            field.maxLength = toInt(row.maxLength);
+            field.pattern = String(row.pattern || '').trim().slice(0, 40);
+
+            if (field.pattern && !PATTERN_PRESETS[field.pattern]) {
+                errors.push(`Field ${n} ("${label}"): choose one of the listed formats.`);
+                field.pattern = '';
+            }
+        }
+
+        fields.push(field);
+    });
+
+    if (fields.length > MAX_FIELDS) errors.push(`A form can have at most ${MAX_FIELDS} custom fields.`);
+
+    return { fields, errors };
+}
+
+/**
+ * Validates the posted answers (`answers` is body.custom) against the schema.
+ * Error messages are in `locale` (the visitor's language).
+ * Returns { values, errors }:
+ * - values: [{ key, label, type, value }] ready to store
+ * - errors: { key: message }
+ */
+function validateAnswers(schema, answers, locale = DEFAULT_LOCALE) {
+    const input = answers && typeof answers === 'object' ? answers : {};
+    const msg = (key, field, vars) => translate(locale, `fields.${key}`, Object.assign({ label: field.label }, vars));
+    const values = [];
+    const errors = {};
+
+    schema.forEach((field) => {
+        let value = input[field.key];
+        if (Array.isArray(value)) value = value[value.length - 1];
+
+        if (field.type === 'checkbox') {
+            const checked = value === 'yes' || value === 'on' || value === true;
+            if (field.required && !checked) errors[field.key] = msg('mustBeChecked', field);
+            values.push({ key: field.key, label: field.label, type: field.type, value: checked ? 'Yes' : 'No' });
+            return;
+        }
+
+        value = String(value === undefined || value === null ? '' : value).trim();
+
+        if (!value) {
+            if (field.required) errors[field.key] = msg('required', field);
+            values.push({ key: field.key, label: field.label, type: field.type, value: '' });
+            return;
+        }
+
+        if (value.length > MAX_VALUE_LENGTH) {
+            errors[field.key] = msg('tooLong', field);
+        } else if (field.type === 'email' && !EMAIL_RE.test(value)) {
+            errors[field.key] = msg('email', field);
+        } else if (field.type === 'phone') {
+            const digits = value.replace(/\D/g, '');
+            if (!formatPhoneE164(value) && (digits.length < 8 || digits.length > 15)) {
+                errors[field.key] = msg('phone', field);
+            }
+        } else if (field.type === 'select' && !(field.options || []).includes(value)) {
+            errors[field.key] = msg('select', field);
+        } else if (field.minLength && value.length < field.minLength) {
+            errors[field.key] = msg('minLength', field, { min: field.minLength });
+        } else if (field.maxLength && value.length > field.maxLength) {
+            errors[field.key] = msg('maxLength', field, { max: field.maxLength });
+        } else if (PATTERN_PRESETS[field.pattern] && !PATTERN_PRESETS[field.pattern].re.test(value)) {
+            errors[field.key] = msg('pattern', field);
+        }
+
+        values.push({ key: field.key, label: field.label, type: field.type, value });
+    });
+
+    return { values, errors };
+}
+
+// Stored answers -> list for display (skips unanswered optional fields)
+function parseAnswers(json) {
+    if (!json) return [];
+    try {
+        const list = JSON.parse(json);
+        return Array.isArray(list) ? list.filter((a) => a && a.label && a.value !== '') : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+module.exports = {
+    FIELD_TYPES,
+    PATTERN_PRESETS,
+    MAX_FIELDS,
+    parseSchema,
+    buildSchemaFromInput,
+    validateAnswers,
+    parseAnswers
+};
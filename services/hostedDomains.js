@@ -0,0 +1,74 @@
+/**
+ * Hosted hostnames under our own zone: <slug>.<CNAME_URL>
+ * - Every site gets one when it is created (sites.hosted_slug), so it is reachable before the
+ *   customer's DNS is set up, and it keeps working as a fallback once the custom domain is live
+ * - The slug is derived from the site's domain ("acme.com" -> "acme"), made unique with -2, -3, ...
+ * - Names under the zone are reserved: they can't be used as a site's domain or an alias
+ */
+
+const { CNAME_URL } = require('../config/appConfig');
+
+const SLUG_MAX_LENGTH = 40;
+
+// Labels under the zone that are never handed out to a site
+const RESERVED_SLUGS = ['www', 'api', 'admin', 'portal', 'app', 'mail', 'status'];
+
+function hostedZone() {
+    return String(CNAME_URL || '').toLowerCase().replace(/\.$/, '');
+}
+
+// "shop.acme.com" -> "shop-acme" (the TLD is dropped; a single-label domain is kept as is)
+function slugBaseFromDomain(domain) {
+    const labels = String(domain || '').toLowerCase().split('.').filter(Boolean);
+    if (labels.length > 1) labels.pop();
+
+    const base = labels
+        .join('-')
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/-+/g, '-')
+        .slice(0, SLUG_MAX_LENGTH)
+        .replace(/^-+|-+$/g, '');
+
+    return base && !RESERVED_SLUGS.includes(base) ? base : 'site';
+}
+
+/**
+ * First free slug for a domain. `taken` is a Set of slugs already in use.
+ */
+function pickHostedSlug(domain, taken) {
+    const base = slugBaseFromDomain(domain);
+    if (!taken.has(base)) return base;
+
+    for (let n = 2; ; n++) {
+        const candidate = `${base.slice(0, SLUG_MAX_LENGTH - String(n).length - 1)}-${n}`;
+        if (!taken.has(candidate)) return candidate;
+    }
+}
+
+// Full hosted hostname for a site row, or null if it has no slug yet
+function hostedHostname(row) {
+    if (!row || !row.hosted_slug) return null;
+    return `${row.hosted_slug}.${hostedZone()}`;
+}
+
+// Whether a (normalized) hostname is under the hosted zone
+function isInHostedZone(host) {
+    const zone = hostedZone();
+    return Boolean(zone) && String(host || '').endsWith(`.${zone}`);
+}
+
+// "acme.<zone>" -> "acme"; null for anything else (including deeper names like "a.b.<zone>")
+function parseHostedSlug(host) {
+    if (!isInHostedZone(host)) return null;
+
+    const slug = host.slice(0, -(hostedZone().length + 1));
+    return /^[a-z0-9-]+$/.test(slug) ? slug : null;
+}
+
+module.exports = {
+    hostedZone,
+    pickHostedSlug,
+    hostedHostname,
+    isInHostedZone,
+    parseHostedSlug
+};
@@ -0,0 +1,110 @@
+/**
+ * Translations for the public pages (catalogs live in locales/<code>.json).
+ * - A site enables one or more locales and picks a default (sites.enabled_locales / default_locale)
+ * - Missing keys fall back to English, then to the key itself
+ * - `{{name}}` placeholders are filled from the vars object
+ */
+
+const CATALOGS = {
+    en: require('../locales/en.json'),
+    es: require('../locales/es.json')
+};
+
+// Locale code -> name shown in the language switcher (in its own language)
+const LOCALES = {
+    en: 'English',
+    es: 'Español'
+};
+
+const DEFAULT_LOCALE = 'en';
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function isSupportedLocale(code) {
+    return Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
+// Raw catalog value for a dotted key (no fallback); undefined when missing
+function lookup(locale, key) {
+    return String(key)
+        .split('.')
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), CATALOGS[locale]);
+}
+
+function fill(str, vars, escape) {
+    return str.replace(/\{\{(\w+)\}\}/g, (m, name) => {
+        const value = vars && vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : '';
+        return escape ? escapeHtml(value) : value;
+    });
+}
+
+function resolve(locale, key) {
+    const own = lookup(locale, key);
+    if (typeof own === 'string') return own;
+
+    const fallback = lookup(DEFAULT_LOCALE, key);
+    return typeof fallback === 'string' ? fallback : String(key);
+}
+
+// Plain text (escape it in the view as usual)
+function translate(locale, key, vars) {
+    return fill(resolve(locale, key), vars, false);
+}
+
+// Catalog strings may contain markup (<strong>, links); vars are HTML-escaped
+function translateHtml(locale, key, vars) {
+    return fill(resolve(locale, key), vars, true);
+}
+
+/**
+ * Enabled + default locale for a site (mapRowToSite shape or a raw sites row).
+ * Unknown codes are dropped; the default is always one of the enabled locales.
+ */
+function siteLocales(site) {
+    const list = site && (site.enabledLocales || String(site.enabled_locales || '').split(','));
+    let enabled = (list || []).map((code) => String(code).trim()).filter(isSupportedLocale);
+    if (!enabled.length) enabled = [DEFAULT_LOCALE];
+
+    const wanted = site && (site.defaultLocale || site.default_locale);
+    return { enabled, defaultLocale: enabled.includes(wanted) ? wanted : enabled[0] };
+}
+
+// `code` when the site has it enabled, otherwise the site's default
+function pickSiteLocale(site, code) {
+    const { enabled, defaultLocale } = siteLocales(site);
+    return enabled.includes(code) ? code : defaultLocale;
+}
+
+// Site form (enabled_locales[] checkboxes + default_locale select) -> column values
+function readLocaleInput(body) {
+    const raw = body.enabled_locales;
+    const picked = (Array.isArray(raw) ? raw : raw ? [raw] : []).filter(isSupportedLocale);
+    const defaultLocale = isSupportedLocale(body.default_locale) ? body.default_locale : picked[0] || DEFAULT_LOCALE;
+
+    // The default locale is always enabled
+    if (!picked.includes(defaultLocale)) picked.unshift(defaultLocale);
+
+    return {
+        enabled_locales: Object.keys(LOCALES).filter((code) => picked.includes(code)).join(','),
+        default_locale: defaultLocale
+    };
+}
+
+module.exports = {
+    LOCALES,
+    DEFAULT_LOCALE,
+    isSupportedLocale,
+    lookup,
+    translate,
+    translateHtml,
+    siteLocales,
+    pickSiteLocale,
+    readLocaleInput
+};
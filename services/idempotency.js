@@ -0,0 +1,107 @@
+/**
+ * Idempotency keys for the JSON API (Idempotency-Key request header).
+ * - The first request with a key claims it; once it succeeds, its response is stored
+ *   and every retry with the same key and body gets that response back unchanged
+ * - Reusing a key with a different body, or while the first request is still running, is an error
+ * - Failed requests release the key so the client can fix the input and retry with it
+ * - Keys are scoped to the site and expire after a day
+ */
+
+const crypto = require('crypto');
+const { db } = require('../db');
+
+const KEY_MAX_LENGTH = 255;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+function hashRequest(body) {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+// Idempotency-Key header -> { key } (null when absent), or { key: null, error } when malformed
+function readIdempotencyKey(req) {
+    const raw = req.get('Idempotency-Key');
+    if (raw === undefined) return { key: null };
+
+    const key = String(raw).trim();
+    if (!key || key.length > KEY_MAX_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+        return { key: null, error: `Idempotency-Key must be 1-${KEY_MAX_LENGTH} visible ASCII characters.` };
+    }
+    return { key };
+}
+
+/**
+ * Claims `key` for a request.
+ * cb(err, result) where result.status is:
+ * - 'claimed': first use, go ahead (then call completeKey or releaseKey)
+ * - 'replay': already completed; result.response = { status, body }
+ * - 'in_progress': the first request with this key hasn't finished
+ * - 'mismatch': the key was used with a different request body
+ */
+function claimKey(siteId, key, body, cb) {
+    const requestHash = hashRequest(body);
+    const cutoff = new Date(Date.now() - KEY_TTL_MS).toISOString();
+
+    db.run('DELETE FROM api_idempotency_keys WHERE created_at < ?', [cutoff], (purgeErr) => {
+        if (purgeErr) return cb(purgeErr);
+
+        db.run(
+            `INSERT OR IGNORE INTO api_idempotency_keys (site_id, idem_key, request_hash, created_at)
+             VALUES (?, ?, ?, ?)`,
+            [siteId, key, requestHash, new Date().toISOString()],
+            function (insertErr) {
+                if (insertErr) return cb(insertErr);
+                if (this.changes) return cb(null, { status: 'claimed' });
+
+                db.get(
+                    'SELECT * FROM api_idempotency_keys WHERE site_id = ? AND idem_key = ?',
+                    [siteId, key],
+                    (err, row) => {
+                        if (err) return cb(err);
+                        if (!row) return claimKey(siteId, key, body, cb); // expired in between
+                        if (row.request_hash !== requestHash) return cb(null, { status: 'mismatch' });
+                        if (!row.response_json) return cb(null, { status: 'in_progress' });
+
+                        let responseBody = null;
+                        try {
+                            responseBody = JSON.parse(row.response_json);
+                        } catch (e) {
+                            responseBody = null;
+                        }
+
+                        return cb(null, {
+                            status: 'replay',
+                            response: { status: row.response_status, body: responseBody }
+                        });
+                    }
+                );
+            }
+        );
+    });
+}
+
+// Stores the response of a successful request for replays
+function completeKey(siteId, key, { status, body, submissionId }, cb) {
+    db.run(
+        `UPDATE api_idempotency_keys
+         SET response_status = ?, response_json = ?, submission_id = ?
+         WHERE site_id = ? AND idem_key = ?`,
+        [status, JSON.stringify(body), submissionId || null, siteId, key],
+        (err) => cb && cb(err)
+    );
+}
+
+// Frees the key after a failed request
+function releaseKey(siteId, key, cb) {
+    db.run(
+        'DELETE FROM api_idempotency_keys WHERE site_id = ? AND idem_key = ? AND response_json IS NULL',
+        [siteId, key],
+        (err) => cb && cb(err)
+    );
+}
+
+module.exports = {
+    readIdempotencyKey,
+    claimKey,
+    completeKey,
+    releaseKey
+};
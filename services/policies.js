@@ -0,0 +1,545 @@
+/**
+ * Policy documents (SMS Terms + Privacy Policy):
+ * - Default wording lives here as named sections
+ * - A site can override any section and publish it as a new numbered version
+ * - Each version has an effective date; the live version is the newest one already in effect
+ * - Published sections are frozen (tokens resolved at publish time) so /sms-terms/v/3 never changes
+ *
+ * - Versions are published per language; other languages' default wording lives in
+ *   locales/<code>.json under "policies" (English stays here)
+ *
+ * Section HTML may use these tokens:
+ *   {{companyName}}, {{contactEmailLink}}, {{contactPhoneLink}}
+ *
+ * Overrides are customer-edited: they go through the richText sanitizer when published, and stored
+ * sections are sanitized again when a version is loaded for display.
+ */
+
+const { db } = require('../db');
+const { formatPhoneE164, formatPhoneNational } = require('../middleware/locals');
+const { DEFAULT_LOCALE, lookup } = require('./i18n');
+const { sanitizeHtml } = require('./richText');
+
+const DOC_TYPES = {
+    'sms-terms': {
+        title: 'SMS Terms and Conditions',
+        pageTitle: 'SMS Terms & Conditions',
+        intro: 'Please read these terms and conditions carefully before subscribing to our SMS/MMS services.'
+    },
+    'privacy-policy': {
+        title: 'Privacy Policy',
+        pageTitle: 'Privacy Policy',
+        intro: 'This policy explains how we collect, use, and protect your information when you use our SMS/MMS services.'
+    }
+};
+
+const DEFAULT_SECTIONS = {
+    'sms-terms': [
+        {
+            key: 'consent',
+            title: 'SMS/MMS Consent and Terms',
+            html: `<p>
+  By providing your mobile phone number to <strong>{{companyName}}</strong>, you consent to
+  receive periodic SMS or MMS messages from us. These messages may include important updates,
+  information, and other communications related to our products and services.
+</p>`
+        },
+        {
+            key: 'telephone_number',
+            title: 'Providing Your Telephone Number and Notification Obligations',
+            html: `<p>
+  You affirm that the mobile number you have provided to us is accurate and current. You represent
+  that you are the authorized subscriber or owner of any telephone number you provide. If there are
+  any changes to your contact information, including changes to your telephone numbers, you agree to
+  notify us immediately by sending an email to {{contactEmailLink}} prior to the effect of the change.
+</p>`
+        },
+        {
+            key: 'automated_communications',
+            title: 'Consent to Receive Automated Communications',
+            html: `<p>
+  By voluntarily providing your telephone number(s), you explicitly consent to receive recurring
+  automated text messages from <strong>{{companyName}}</strong> regarding our products,
+  services, offers, promotions, and your relationship with us. You acknowledge that consent to
+  receive these messages is not a condition of purchase. Standard message and data rates may apply.
+</p>`
+        },
+        {
+            key: 'message_frequency',
+            title: 'Message Frequency',
+            html: `<p>Message frequency varies.</p>`
+        },
+        {
+            key: 'opt_out',
+            title: 'Opt-Out Instructions',
+            html: `<p>
+  To unsubscribe from our SMS/MMS messages at any time, you can text STOP in response to any message
+  you receive from us. Additionally, you can send an email to {{contactEmailLink}}
+  specifying that you wish to opt out of text messages. You agree to receive a final message
+  confirming your opt-out.
+</p>`
+        },
+        {
+            key: 'privacy',
+            title: 'Privacy Assurance',
+            html: `<p>
+  Your personal information and phone number will not be shared or sold to third parties. We are
+  committed to safeguarding your privacy and ensuring the confidentiality of your data. Any
+  information collected will be used solely for the purpose of providing you with relevant updates
+  and offers. Your trust is paramount to us, and we take every measure to protect your privacy.
+</p>`
+        },
+        {
+            key: 'help',
+            title: 'Assistance',
+            html: `<p>
+  For help, text "HELP" to the number from which you're receiving messages or email {{contactEmailLink}}.
+</p>`
+        },
+        {
+            key: 'carriers',
+            title: 'Carrier Participation',
+            html: `<p>
+  Participating carriers in the United States include AT&amp;T, T-Mobile®, Verizon Wireless, Sprint,
+  Boost, U.S. Cellular®, MetroPCS®, InterOp, Cellcom, C Spire Wireless, Cricket, Virgin Mobile,
+  among others. Not all carriers may support our SMS/MMS service. T-Mobile is not liable for delayed
+  or undelivered messages.
+</p>`
+        },
+        {
+            key: 'data_collection',
+            title: 'Data Collection and Use',
+            html: `<p>
+  In connection with this SMS service, we may collect your mobile phone number, carrier's name, and
+  the date, time, and content of your messages among other information you provide. This information
+  may be used to contact you and to deliver the services you have requested from us.
+</p>`
+        },
+        {
+            key: 'modifications',
+            title: 'Service Modifications and Termination',
+            html: `<p>
+  By subscribing or using the service, you acknowledge our right to modify or discontinue the service,
+  with or without notice, at any time.
+</p>`
+        },
+        {
+            key: 'indemnification',
+            title: 'Indemnification',
+            html: `<p>
+  You agree to indemnify <strong>{{companyName}}</strong> against any claims, including
+  privacy, tort, or others, arising from your voluntary provision of a telephone number not owned by
+  you, failure to notify us of changes in your telephone number, or related to the Federal Telephone
+  Consumer Protection Act or state law equivalents. You agree to defend and hold us harmless from any
+  claims, losses, liabilities, costs, and expenses (including reasonable attorneys' fees) arising
+  from such issues.
+</p>`
+        },
+        {
+            key: 'participation',
+            title: 'Participation Requirements',
+            html: `<p>
+  By participating in this Service, you affirm that you are at least eighteen (18) years of age,
+  possess a wireless device capable of two-way messaging, are a customer of a participating wireless
+  carrier, and have a text messaging service. Compatibility of cell phone models with the service,
+  text messaging capabilities, and service availability may vary by carrier.
+</p>`
+        },
+        {
+            key: 'miscellaneous',
+            title: 'Miscellaneous',
+            html: `<p>
+  You warrant and represent that you possess all necessary rights, powers, and authority to agree to
+  these terms and perform your obligations hereunder, and that doing so does not conflict with any
+  other agreement to which you are bound. If any provision of these terms is found to be unenforceable
+  or invalid, that provision shall be limited or eliminated to the minimum extent necessary so that
+  these terms shall otherwise remain in full force and effect.
+</p>`
+        },
+        {
+            key: 'additional',
+            title: 'Additional Terms',
+            html: ''
+        },
+        {
+            key: 'contact',
+            title: '',
+            html: `<p>
+  For questions or concerns, please contact {{companyName}} at {{contactEmailLink}}
+  or by phone at {{contactPhoneLink}}.
+</p>
+
+<p>
+  Note: While {{companyName}} does not charge for text messages you receive, your mobile
+  provider's standard rates for text and data may apply. Contact your wireless provider for
+  information about your text and data plan.
+</p>`
+        }
+    ],
+
+    'privacy-policy': [
+        {
+            key: 'information_collected',
+            title: '1. Information We Collect',
+            html: `<p>We collect the following types of information when you interact with our SMS/MMS services:</p>
+<ul>
+  <li>Mobile phone number</li>
+  <li>Date, time, and content of messages</li>
+  <li>Any information you voluntarily provide when responding to messages</li>
+</ul>`
+        },
+        {
+            key: 'collection_methods',
+            title: '2. How We Collect and/or Obtain Information',
+            html: `<p>We collect information when you:</p>
+<ul>
+  <li>
+    Send the first message to our listed phone numbers from our website, print ads, yard signs,
+    business cards, or other marketing materials. Upon receiving your message, we send a consent
+    request, including our terms and opt-out instructions.
+  </li>
+  <li>Send a message containing the 'START' keyword to opt in.</li>
+  <li>
+    Complete an online form on our website, explicitly consenting to receive messages.
+  </li>
+</ul>`
+        },
+        {
+            key: 'use',
+            title: '3. How We Use Information',
+            html: `<p>We use the collected information to:</p>
+<ul>
+  <li>Send important updates, and service-related communications</li>
+  <li>Provide customer support and respond to inquiries</li>
+  <li>Improve our messaging services</li>
+  <li>Ensure compliance with legal and regulatory obligations</li>
+</ul>`
+        },
+        {
+            key: 'sharing',
+            title: '4. Information We Share',
+            html: `<p>
+  We do not sell, share, or exchange your Personally Identifiable Information (PII) with third parties
+  for marketing purposes. We may disclose your information only when required by law, in response to
+  legal processes, or to protect our rights.
+</p>`
+        },
+        {
+            key: 'cookies',
+            title: '5. Cookies &amp; Other Technologies',
+            html: `<p>
+  Our SMS/MMS services do not use cookies or other tracking technologies. However, if you visit our
+  website, we may use cookies in accordance with our website privacy policy.
+</p>`
+        },
+        {
+            key: 'security',
+            title: '6. Information Security and Data Retention',
+            html: `<p>
+  We implement industry-standard security measures to protect your information from unauthorized
+  access, disclosure, or misuse. We retain your data only as long as necessary to fulfill the
+  purposes outlined in this policy or as required by law.
+</p>`
+        },
+        {
+            key: 'links',
+            title: '7. Links and Websites',
+            html: `<p>
+  Our SMS/MMS messages may contain links to third-party websites. We are not responsible for the
+  privacy practices of these external sites. Please review their privacy policies before providing
+  any personal information.
+</p>`
+        },
+        {
+            key: 'choices',
+            title: '8. Your Choices &amp; Controls',
+            html: `<p>
+  You have control over the information you provide and can opt out of SMS/MMS communications at any
+  time by replying "STOP." For assistance, reply "HELP" or contact us at {{contactEmailLink}}.
+</p>`
+        },
+        {
+            key: 'mobile_sharing',
+            title: '9. How Do We Share Your Mobile Information?',
+            html: `<p>
+  "No mobile information will be obtained from and/or shared with third parties or affiliates for
+  marketing or promotional purposes. All the above categories exclude text messaging originator
+  opt-in data and consent; this information will not be shared with any third parties. You can
+  always decline or stop receiving messages by responding 'STOP' at any time. For more information,
+  reply 'HELP'. Message and data rates may apply. Message frequency varies."
+</p>`
+        },
+        {
+            key: 'additional',
+            title: 'Additional Data Sharing Terms',
+            html: ''
+        },
+        {
+            key: 'contact',
+            title: '',
+            html: `<p>
+  For any questions or concerns regarding this Privacy Policy, please contact us at
+  {{contactEmailLink}} or at {{contactPhoneLink}}.
+</p>`
+        }
+    ]
+};
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// site = mapRowToSite() shape or a raw sites row
+function interpolateTokens(html, site) {
+    const companyName = (site && (site.companyName || site.company_name)) || '';
+    const contactEmail = (site && (site.contactEmail || site.contact_email)) || '';
+    const contactPhone = (site && (site.contactPhone || site.contact_phone)) || '';
+
+    const emailLink = contactEmail
+        ? `<a href="mailto:${escapeHtml(contactEmail)}">${escapeHtml(contactEmail)}</a>`
+        : '';
+
+    const tel = formatPhoneE164(contactPhone);
+    const phoneLink = tel
+        ? `<a href="tel:${tel}">${escapeHtml(formatPhoneNational(contactPhone))}</a>`
+        : escapeHtml(contactPhone);
+
+    return String(html || '')
+        .replace(/\{\{companyName\}\}/g, escapeHtml(companyName))
+        .replace(/\{\{contactEmailLink\}\}/g, emailLink)
+        .replace(/\{\{contactPhoneLink\}\}/g, phoneLink);
+}
+
+function isValidDocType(docType) {
+    return Object.prototype.hasOwnProperty.call(DOC_TYPES, docType);
+}
+
+// Title/intro for a document in the given language
+function getDocInfo(docType, locale = DEFAULT_LOCALE) {
+    const translated = lookup(locale, `policies.${docType}`) || {};
+    const info = Object.assign({}, DOC_TYPES[docType]);
+
+    ['title', 'pageTitle', 'intro'].forEach((field) => {
+        if (translated[field]) info[field] = translated[field];
+    });
+    return info;
+}
+
+// Default sections in the given language (untranslated sections keep the English wording)
+function getDefaultSections(docType, locale = DEFAULT_LOCALE) {
+    const translated = lookup(locale, `policies.${docType}.sections`) || {};
+
+    return DEFAULT_SECTIONS[docType].map((section) => {
+        const t = translated[section.key] || {};
+        return {
+            key: section.key,
+            title: typeof t.title === 'string' ? t.title : section.title,
+            html: typeof t.html === 'string' ? t.html : section.html
+        };
+    });
+}
+
+// Default sections merged with overrides (key -> html); empty override = use default.
+function resolveSections(docType, site, overrides, locale = DEFAULT_LOCALE) {
+    const map = overrides || {};
+
+    return getDefaultSections(docType, locale)
+        .map((section) => {
+            const override = typeof map[section.key] === 'string' ? map[section.key].trim() : '';
+            return {
+                key: section.key,
+                title: section.title,
+                html: sanitizeHtml(interpolateTokens(override || section.html, site))
+            };
+        })
+        .filter((section) => section.html.trim() !== '');
+}
+
+function parseJson(value, fallback) {
+    try {
+        return value ? JSON.parse(value) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function mapRowToPolicy(row) {
+    return {
+        id: row.id,
+        siteId: row.site_id,
+        docType: row.doc_type,
+        version: row.version,
+        overrides: parseJson(row.overrides_json, {}),
+        // Versions published before overrides were sanitized may still hold unsafe markup
+        sections: parseJson(row.sections_json, []).map((section) =>
+            Object.assign({}, section, { html: sanitizeHtml(section.html || '') })
+        ),
+        effectiveAt: row.effective_at,
+        createdAt: row.created_at,
+        createdBy: row.created_by,
+        locale: row.locale || DEFAULT_LOCALE
+    };
+}
+
+// Unpublished sites render the default wording as an unnumbered "default" version.
+function defaultPolicy(docType, site, locale) {
+    return {
+        id: null,
+        siteId: site ? site.id : null,
+        docType,
+        version: null,
+        overrides: {},
+        sections: resolveSections(docType, site, {}, locale),
+        effectiveAt: null,
+        createdAt: null,
+        createdBy: null,
+        locale: locale || DEFAULT_LOCALE
+    };
+}
+
+// Label stored on consent records and shown on the public page.
+function versionLabel(policy) {
+    return policy && policy.version ? String(policy.version) : 'default';
+}
+
+// Newest version in effect for that language (none published yet -> that language's default wording)
+function getLivePolicy(site, docType, locale, cb) {
+    db.get(
+        `
+      SELECT * FROM policy_documents
+      WHERE site_id = ? AND doc_type = ? AND locale = ? AND effective_at <= ?
+      ORDER BY version DESC
+      LIMIT 1
+    `,
+        [site.id, docType, locale, new Date().toISOString()],
+        (err, row) => {
+            if (err) return cb(err);
+            return cb(null, row ? mapRowToPolicy(row) : defaultPolicy(docType, site, locale));
+        }
+    );
+}
+
+function getPolicyVersion(siteId, docType, version, cb) {
+    db.get(
+        'SELECT * FROM policy_documents WHERE site_id = ? AND doc_type = ? AND version = ?',
+        [siteId, docType, version],
+        (err, row) => {
+            if (err) return cb(err);
+            return cb(null, row ? mapRowToPolicy(row) : null);
+        }
+    );
+}
+
+// Version numbers are shared by all languages of a document; this lists one language's versions
+function listPolicyVersions(siteId, docType, locale, cb) {
+    db.all(
+        'SELECT * FROM policy_documents WHERE site_id = ? AND doc_type = ? AND locale = ? ORDER BY version DESC',
+        [siteId, docType, locale],
+        (err, rows) => {
+            if (err) return cb(err);
+            return cb(null, rows.map(mapRowToPolicy));
+        }
+    );
+}
+
+// "YYYY-MM-DD" from the editor form -> ISO timestamp (start of that day, UTC); blank/invalid -> null (now).
+function parseEffectiveDate(value) {
+    const str = String(value || '').trim();
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return null;
+
+    const date = new Date(str + 'T00:00:00.000Z');
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Publishes a new version. effectiveAt is an ISO timestamp; anything in the past means "now".
+ * siteRow is a raw sites row (used to freeze company name/contact details into the text).
+ */
+function publishPolicyVersion({ siteRow, docType, locale = DEFAULT_LOCALE, overrides, effectiveAt, createdBy }, cb) {
+    const now = new Date().toISOString();
+    const effective = effectiveAt && effectiveAt > now ? effectiveAt : now;
+
+    const cleanOverrides = {};
+    DEFAULT_SECTIONS[docType].forEach((section) => {
+        const value = overrides && typeof overrides[section.key] === 'string' ? sanitizeHtml(overrides[section.key]).trim() : '';
+        if (value) cleanOverrides[section.key] = value;
+    });
+
+    const sections = resolveSections(docType, siteRow, cleanOverrides, locale);
+
+    db.get(
+        'SELECT MAX(version) AS maxVersion FROM policy_documents WHERE site_id = ? AND doc_type = ?',
+        [siteRow.id, docType],
+        (err, row) => {
+            if (err) return cb(err);
+
+            const version = ((row && row.maxVersion) || 0) + 1;
+
+            db.run(
+                `
+          INSERT INTO policy_documents (
+            site_id, doc_type, locale, version, overrides_json, sections_json, effective_at, created_at, created_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+                [
+                    siteRow.id,
+                    docType,
+                    locale,
+                    version,
+                    JSON.stringify(cleanOverrides),
+                    JSON.stringify(sections),
+                    effective,
+                    now,
+                    createdBy || null
+                ],
+                function (err2) {
+                    if (err2) return cb(err2);
+                    return cb(null, { id: this.lastID, version, locale, effectiveAt: effective });
+                }
+            );
+        }
+    );
+}
+
+// Everything the policy editor screen needs (admin + portal share the same view).
+function loadPolicyEditor(siteRow, docType, locale, cb) {
+    listPolicyVersions(siteRow.id, docType, locale, (err, versions) => {
+        if (err) return cb(err);
+
+        const now = new Date().toISOString();
+        const live = versions.find((v) => v.effectiveAt <= now);
+
+        return cb(null, {
+            docType,
+            locale,
+            docInfo: getDocInfo(docType, locale),
+            sections: getDefaultSections(docType, locale),
+            versions,
+            liveVersion: live ? live.version : null,
+            // Pre-fill with the newest version's overrides (even if it's still scheduled)
+            overrides: versions.length ? versions[0].overrides : {},
+            now,
+            today: now.slice(0, 10)
+        });
+    });
+}
+
+module.exports = {
+    DOC_TYPES,
+    DEFAULT_SECTIONS,
+    isValidDocType,
+    getDocInfo,
+    resolveSections,
+    versionLabel,
+    parseEffectiveDate,
+    getLivePolicy,
+    getPolicyVersion,
+    listPolicyVersions,
+    publishPolicyVersion,
+    loadPolicyEditor
+};
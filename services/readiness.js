@@ -0,0 +1,406 @@
+/**
+ * 10DLC readiness checker.
+ * - Rule-based review of a site before a brand / campaign is submitted to TCR
+ * - Rules look at the stored site row and at the public pages as visitors get them
+ *   (fetched from this app over loopback with the site's Host header, default language)
+ * - Each finding is pass / warn / fail with a suggested fix; the score weighs findings by rule
+ * - The last report is stored on the site (readiness_* columns) for the sites list and portal
+ */
+
+const http = require('http');
+
+const { db } = require('../db');
+const { PORT } = require('../config/appConfig');
+const { formatPhoneE164, formatPhoneNational } = require('../middleware/locals');
+const { siteLocales } = require('./i18n');
+
+const FETCH_TIMEOUT_MS = 8000;
+
+const FREE_EMAIL_DOMAINS = ['gmail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'aol.com', 'icloud.com', 'live.com', 'msn.com'];
+
+// Public pages the rules read
+const PAGES = {
+    contact: '/contact',
+    privacy: '/privacy-policy',
+    terms: '/sms-terms'
+};
+
+const STATUS_LABELS = {
+    pass: 'Ready',
+    warn: 'Needs review',
+    fail: 'Not ready'
+};
+
+// ------------------------------
+// Page fetching
+// ------------------------------
+
+function fetchPage(host, path, locale) {
+    return new Promise((resolve) => {
+        const req = http.get(
+            {
+                host: '127.0.0.1',
+                port: PORT,
+                path,
+                headers: { Host: host, 'Accept-Language': locale, 'User-Agent': 'readiness-check' },
+                timeout: FETCH_TIMEOUT_MS
+            },
+            (res) => {
+                let html = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    html += chunk;
+                });
+                res.on('end', () => resolve({ status: res.statusCode, html }));
+            }
+        );
+
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', (err) => resolve({ status: 0, html: '', error: err.message }));
+    });
+}
+
+function pageText(html) {
+    return String(html || '')
+        .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+        .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function pageOk(page) {
+    return page && page.status === 200;
+}
+
+// ------------------------------
+// Rules
+// Each rule: { id, title, weight, check(ctx) -> { status, detail, fix } }
+// ------------------------------
+
+function pass(detail) {
+    return { status: 'pass', detail, fix: null };
+}
+
+function warn(detail, fix) {
+    return { status: 'warn', detail, fix };
+}
+
+function fail(detail, fix) {
+    return { status: 'fail', detail, fix };
+}
+
+function missingPage(ctx, key, fix) {
+    const page = ctx.pages[key];
+    return fail(
+        `${PAGES[key]} could not be loaded (${page.error || 'HTTP ' + page.status}).`,
+        fix || `Make sure ${PAGES[key]} is reachable on ${ctx.site.domain}.`
+    );
+}
+
+const RULES = [
+    {
+        id: 'company_name',
+        title: 'Company name',
+        weight: 1,
+        check({ site }) {
+            return String(site.company_name || '').trim()
+                ? pass(`Shown as "${site.company_name}".`)
+                : fail('No company name is set.', 'Enter the legal business name exactly as registered with TCR.');
+        }
+    },
+    {
+        id: 'business_address',
+        title: 'Business address',
+        weight: 2,
+        check({ site }) {
+            const parts = { 'street address': site.address_line1, city: site.city, state: site.state, ZIP: site.zip };
+            const missing = Object.keys(parts).filter((k) => !String(parts[k] || '').trim());
+
+            if (!missing.length) return pass('Street, city, state and ZIP are all set.');
+            if (missing.length === Object.keys(parts).length) {
+                return fail('No business address is set.', 'Add the business address; it must match the brand registration.');
+            }
+            return warn(`Missing: ${missing.join(', ')}.`, 'Complete the business address so it matches the brand registration.');
+        }
+    },
+    {
+        id: 'contact_email',
+        title: 'Contact email',
+        weight: 2,
+        check({ site }) {
+            const email = String(site.contact_email || '').trim().toLowerCase();
+            if (!email) return fail('No contact email is set.', 'Add a contact email address.');
+
+            const emailDomain = email.split('@')[1] || '';
+            const siteDomain = String(site.domain || '').toLowerCase().replace(/^www\./, '');
+
+            if (emailDomain === siteDomain || emailDomain.endsWith('.' + siteDomain)) {
+                return pass(`${email} matches the website domain.`);
+            }
+            if (FREE_EMAIL_DOMAINS.includes(emailDomain)) {
+                return warn(
+                    `${email} is a free email address.`,
+                    `Use an address at ${siteDomain}; reviewers check that the email matches the website.`
+                );
+            }
+            return warn(
+                `${email} does not match the website domain (${siteDomain}).`,
+                `Use an address at ${siteDomain}, or make sure the brand registration uses the same email.`
+            );
+        }
+    },
+    {
+        id: 'contact_phone',
+        title: 'Contact phone',
+        weight: 2,
+        check({ site }) {
+            const phone = String(site.contact_phone || '').trim();
+            if (!phone) return fail('No contact phone is set.', 'Add a contact phone number.');
+            return formatPhoneE164(phone)
+                ? pass(`${formatPhoneNational(phone)}.`)
+                : warn(`"${phone}" is not a valid US number.`, 'Enter a 10-digit US phone number.');
+        }
+    },
+    {
+        id: 'contact_on_policies',
+        title: 'Contact details match the policies',
+        weight: 2,
+        check(ctx) {
+            const { site, pages } = ctx;
+            if (!pageOk(pages.privacy)) return missingPage(ctx, 'privacy');
+            if (!pageOk(pages.terms)) return missingPage(ctx, 'terms');
+
+            const text = (pageText(pages.privacy.html) + ' ' + pageText(pages.terms.html)).toLowerCase();
+            const digits = text.replace(/\D/g, '');
+            const problems = [];
+
+            const email = String(site.contact_email || '').trim().toLowerCase();
+            if (email && !text.includes(email)) problems.push(`email ${email}`);
+
+            const phone = formatPhoneE164(site.contact_phone);
+            if (phone && !digits.includes(phone.slice(2))) problems.push(`phone ${formatPhoneNational(site.contact_phone)}`);
+
+            if (!email && !phone) return warn('No contact email or phone to compare.', 'Add contact details first.');
+            return problems.length
+                ? warn(
+                    `The SMS Terms and Privacy Policy don't show the site's ${problems.join(' or ')}.`,
+                    'Remove contact details overridden in the policy editor, or update them to match the site settings.'
+                )
+                : pass('The SMS Terms and Privacy Policy show the site contact details.');
+        }
+    },
+    {
+        id: 'privacy_no_sharing',
+        title: 'Privacy policy: no sharing of mobile data',
+        weight: 3,
+        check(ctx) {
+            if (!pageOk(ctx.pages.privacy)) return missingPage(ctx, 'privacy');
+
+            const text = pageText(ctx.pages.privacy.html).toLowerCase();
+            const mentionsMobile = /mobile (information|data|phone number|number)|sms opt-in|text messag/.test(text);
+            const noSharing =
+                /no mobile information will be (obtained from and\/or )?shared/.test(text) ||
+                /(will not|won't|never) be (shared|sold|transferred)/.test(text) ||
+                /(do not|don't|never) (share|sell|transfer)/.test(text);
+
+            if (mentionsMobile && noSharing) return pass('States that mobile information is not shared with third parties.');
+            return fail(
+                'The privacy policy does not say that mobile information is not shared with third parties.',
+                'Add: "No mobile information will be shared with third parties or affiliates for marketing or promotional purposes." (or restore the default SMS section in the policy editor).'
+            );
+        }
+    },
+    {
+        id: 'terms_opt_out',
+        title: 'SMS Terms: opt-out (STOP) wording',
+        weight: 3,
+        check(ctx) {
+            if (!pageOk(ctx.pages.terms)) return missingPage(ctx, 'terms');
+            return /\bSTOP\b/.test(pageText(ctx.pages.terms.html))
+                ? pass('Explains how to opt out with STOP.')
+                : fail('The SMS Terms never mention replying STOP.', 'Add: "You can cancel at any time by replying STOP."');
+        }
+    },
+    {
+        id: 'terms_help',
+        title: 'SMS Terms: HELP wording',
+        weight: 2,
+        check(ctx) {
+            if (!pageOk(ctx.pages.terms)) return missingPage(ctx, 'terms');
+            return /\bHELP\b/.test(pageText(ctx.pages.terms.html))
+                ? pass('Explains how to get help with HELP.')
+                : fail('The SMS Terms never mention replying HELP.', 'Add: "For help, reply HELP or contact us at <email>."');
+        }
+    },
+    {
+        id: 'terms_rates',
+        title: 'SMS Terms: rates and frequency',
+        weight: 1,
+        check(ctx) {
+            if (!pageOk(ctx.pages.terms)) return missingPage(ctx, 'terms');
+
+            const text = pageText(ctx.pages.terms.html).toLowerCase();
+            const missing = [];
+            if (!/(message|msg) (&|and) data rates may apply/.test(text)) missing.push('"Message and data rates may apply"');
+            if (!/(message|msg) frequency/.test(text)) missing.push('message frequency');
+
+            return missing.length
+                ? warn(`Missing: ${missing.join(' and ')}.`, 'Add "Message and data rates may apply. Message frequency varies."')
+                : pass('Mentions message and data rates and message frequency.');
+        }
+    },
+    {
+        id: 'form_disclosure',
+        title: 'Contact form: SMS disclosure',
+        weight: 3,
+        check(ctx) {
+            const page = ctx.pages.contact;
+            if (!pageOk(page)) return missingPage(ctx, 'contact');
+
+            const text = pageText(page.html);
+            const missing = [];
+            if (!/\bSTOP\b/.test(text)) missing.push('STOP opt-out');
+            if (!/\bHELP\b/.test(text)) missing.push('HELP');
+            if (!/rates may apply/i.test(text)) missing.push('"rates may apply"');
+            if (!/href="[^"]*\/sms-terms"/.test(page.html)) missing.push('link to the SMS Terms');
+            if (!/href="[^"]*\/privacy-policy"/.test(page.html)) missing.push('link to the Privacy Policy');
+
+            return missing.length
+                ? fail(`The disclosure next to the SMS checkbox is missing: ${missing.join(', ')}.`, 'Restore the standard SMS disclosure on the contact page.')
+                : pass('Shows the SMS disclosure with STOP/HELP, rates and policy links.');
+        }
+    },
+    {
+        id: 'consent_unticked',
+        title: 'Contact form: optional, unticked SMS consent checkbox',
+        weight: 3,
+        check(ctx) {
+            const page = ctx.pages.contact;
+            if (!pageOk(page)) return missingPage(ctx, 'contact');
+
+            const input = (page.html.match(/<input[^>]*name="sms_consent"[^>]*>/) || [])[0];
+            if (!input) {
+                return fail('The contact form has no SMS consent checkbox.', 'Restore the SMS consent checkbox on the contact form.');
+            }
+            if (/\schecked\b/.test(input)) {
+                return fail('The SMS consent checkbox is ticked by default.', 'Consent must be opt-in: leave the checkbox unticked.');
+            }
+            if (/\srequired\b/.test(input)) {
+                return fail('The SMS consent checkbox is required to send the form.', 'SMS consent must be optional to submit the form.');
+            }
+            return pass('Separate, optional and unticked by default.');
+        }
+    },
+    {
+        id: 'help_reply',
+        title: 'HELP keyword reply',
+        weight: 1,
+        check({ site }) {
+            if (!String(site.sms_number || '').trim()) {
+                return warn('No SMS number is configured, so STOP/HELP replies are not sent.', 'Ask us to connect the site to its SMS number.');
+            }
+
+            const reply = String(site.help_reply || '').trim();
+            if (!reply) return pass('Uses the default HELP reply (company name, contact details, STOP).');
+
+            const problems = [];
+            if (site.company_name && !reply.toLowerCase().includes(String(site.company_name).toLowerCase())) problems.push('company name');
+            if (!/\bSTOP\b/i.test(reply)) problems.push('STOP opt-out');
+            if (!/@|\d{3}/.test(reply)) problems.push('contact email or phone');
+
+            return problems.length
+                ? warn(`The custom HELP reply is missing: ${problems.join(', ')}.`, 'Include the company name, a way to reach you and "Reply STOP to opt out".')
+                : pass('Custom HELP reply names the company, gives contact details and mentions STOP.');
+        }
+    },
+    {
+        id: 'domain_active',
+        title: 'Domain validated',
+        weight: 1,
+        check({ site }) {
+            return site.domain_status === 'active'
+                ? pass(`${site.domain} resolves to this app over HTTPS.`)
+                : warn(
+                    `Domain status is "${site.domain_status || 'not validated'}".`,
+                    'Point the domain at us and run Validate DNS; reviewers must be able to open the website.'
+                );
+        }
+    }
+];
+
+const POINTS = { pass: 1, warn: 0.5, fail: 0 };
+
+/**
+ * Runs every rule for a sites row. Resolves to
+ * { status, score, checkedAt, counts: { pass, warn, fail }, findings: [{ id, title, status, detail, fix }] }
+ */
+async function runReadinessCheck(siteRow) {
+    const { defaultLocale } = siteLocales(siteRow);
+
+    const pages = {};
+    for (const key of Object.keys(PAGES)) {
+        pages[key] = await fetchPage(siteRow.domain, PAGES[key], defaultLocale);
+    }
+
+    const ctx = { site: siteRow, pages };
+    const counts = { pass: 0, warn: 0, fail: 0 };
+    let earned = 0;
+    let total = 0;
+
+    const findings = RULES.map((rule) => {
+        let result;
+        try {
+            result = rule.check(ctx);
+        } catch (err) {
+            console.error(`Readiness rule ${rule.id} failed:`, err);
+            result = warn('This check could not be completed.', 'Run the check again.');
+        }
+
+        counts[result.status] += 1;
+        earned += POINTS[result.status] * rule.weight;
+        total += rule.weight;
+
+        return { id: rule.id, title: rule.title, weight: rule.weight, ...result };
+    });
+
+    return {
+        status: counts.fail ? 'fail' : counts.warn ? 'warn' : 'pass',
+        score: Math.round((earned / total) * 100),
+        checkedAt: new Date().toISOString(),
+        counts,
+        findings
+    };
+}
+
+function saveReadinessReport(siteId, report, cb) {
+    db.run(
+        `UPDATE sites
+         SET readiness_status = ?, readiness_score = ?, readiness_checked_at = ?, readiness_json = ?
+         WHERE id = ?`,
+        [report.status, report.score, report.checkedAt, JSON.stringify(report), siteId],
+        cb
+    );
+}
+
+// Stored report from a sites row, or null when the site was never checked
+function loadReadinessReport(siteRow) {
+    if (!siteRow || !siteRow.readiness_json) return null;
+    try {
+        return JSON.parse(siteRow.readiness_json);
+    } catch (e) {
+        console.error('Error parsing readiness_json:', e.message);
+        return null;
+    }
+}
+
+module.exports = {
+    STATUS_LABELS,
+    runReadinessCheck,
+    saveReadinessReport,
+    loadReadinessReport
+};
@@ -0,0 +1,224 @@
+/**
+ * Rich text for customer-edited content (custom pages).
+ * - sanitizeHtml: allowlist-based HTML cleaner (no scripts, event handlers or javascript: URLs)
+ * - renderMarkdown: small Markdown subset -> HTML (headings, lists, quotes, code, links, images, emphasis)
+ * - renderBody: picks the right one for a stored body + format, always returning sanitized HTML
+ */
+
+const ALLOWED_TAGS = {
+    p: [], br: [], hr: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], b: [], em: [], i: [], u: [], s: [], small: [], sub: [], sup: [],
+    blockquote: [], code: [], pre: [],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+    div: [], span: [], figure: [], figcaption: []
+};
+
+// Allowed on every tag
+const GLOBAL_ATTRS = ['class'];
+
+const VOID_TAGS = ['br', 'hr', 'img'];
+
+// Removed together with everything inside them
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'xmp', 'svg', 'math'];
+
+const URL_ATTRS = ['href', 'src'];
+
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function decodeEntities(str) {
+    return String(str)
+        .replace(/&#x([0-9a-f]+);?/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function isSafeUrl(value) {
+    // Browsers ignore whitespace/control chars inside the scheme ("java\tscript:")
+    const compact = value.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/);
+    if (!scheme) return true; // relative URL, fragment, or path
+    return ['http', 'https', 'mailto', 'tel'].includes(scheme[1]);
+}
+
+function cleanAttributes(tag, rawAttrs) {
+    const allowed = ALLOWED_TAGS[tag].concat(GLOBAL_ATTRS);
+    const attrs = [];
+    const attrRe = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+    let match;
+
+    while ((match = attrRe.exec(rawAttrs))) {
+        const name = match[1].toLowerCase();
+        if (!allowed.includes(name)) continue;
+
+        const value = decodeEntities(match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '');
+        if (URL_ATTRS.includes(name) && !isSafeUrl(value)) continue;
+
+        attrs.push([name, value]);
+    }
+
+    if (tag === 'a' && attrs.some(([name, value]) => name === 'target' && value === '_blank')) {
+        attrs.push(['rel', 'noopener noreferrer']);
+    }
+
+    return attrs.map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+function sanitizeHtml(input) {
+    let html = String(input || '');
+
+    // Drop comments and dangerous elements with their content
+    html = html.replace(/<!--[\s\S]*?(-->|$)/g, '');
+    DROP_WITH_CONTENT.forEach((tag) => {
+        html = html.replace(new RegExp(`<${tag}\\b[\\s\\S]*?(<\\/${tag}\\s*>|$)`, 'gi'), '');
+    });
+
+    const out = [];
+    const stack = [];
+    const tagRe = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b((?:"[^"]*"|'[^']*'|[^'">])*)>/g;
+    let last = 0;
+    let match;
+
+    const text = (str) => str.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    while ((match = tagRe.exec(html))) {
+        out.push(text(html.slice(last, match.index)));
+        last = tagRe.lastIndex;
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+        if (!ALLOWED_TAGS[tag]) continue;
+
+        if (closing) {
+            const idx = stack.lastIndexOf(tag);
+            if (idx === -1) continue;
+            // Close anything left open inside it
+            while (stack.length > idx) out.push(`</${stack.pop()}>`);
+            continue;
+        }
+
+        out.push(`<${tag}${cleanAttributes(tag, match[3])}>`);
+        if (!VOID_TAGS.includes(tag)) stack.push(tag);
+    }
+
+    out.push(text(html.slice(last)));
+    while (stack.length) out.push(`</${stack.pop()}>`);
+
+    return out.join('');
+}
+
+// ------------------------------
+// Markdown (subset)
+// ------------------------------
+function renderInline(str) {
+    const codeSpans = [];
+
+    let html = escapeHtml(str).replace(/`([^`]+)`/g, (m, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    html = html
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (m, alt, src, title) =>
+            `<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''}>`
+        )
+        .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;([^&]*)&quot;)?\)/g, (m, label, href, title) =>
+            `<a href="${href}"${title ? ` title="${title}"` : ''}>${label}</a>`
+        )
+        .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (m, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*([^*]+)\*|\b_([^_]+)_\b/g, (m, a, b) => `<em>${a || b}</em>`)
+        .replace(/ {2,}$/gm, '<br>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (m, i) => codeSpans[i]);
+}
+
+function renderMarkdown(input) {
+    const lines = String(input || '').replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    let i = 0;
+
+    const isBlockStart = (line) =>
+        /^(#{1,6})\s/.test(line) || /^```/.test(line) || /^>\s?/.test(line) ||
+        /^\s*([-*+]|\d+\.)\s+/.test(line) || /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code block
+        if (/^```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+            i++;
+            out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (/^>\s?/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^>\s?/.test(lines[i])) quote.push(lines[i++].replace(/^>\s?/, ''));
+            out.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        const listItem = line.match(/^\s*([-*+]|\d+\.)\s+/);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[1]);
+            const itemRe = ordered ? /^\s*\d+\.\s+(.*)$/ : /^\s*[-*+]\s+(.*)$/;
+            const items = [];
+            while (i < lines.length && itemRe.test(lines[i])) items.push(lines[i++].match(itemRe)[1]);
+            const tag = ordered ? 'ol' : 'ul';
+            out.push(`<${tag}>${items.map((item) => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        const para = [];
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) para.push(lines[i++]);
+        out.push(`<p>${renderInline(para.join('\n'))}</p>`);
+    }
+
+    return out.join('\n');
+}
+
+function renderBody(body, format) {
+    return sanitizeHtml(format === 'markdown' ? renderMarkdown(body) : body);
+}
+
+module.exports = {
+    sanitizeHtml,
+    renderMarkdown,
+    renderBody
+};
@@ -0,0 +1,243 @@
+/**
+ * Per-site SEO.
+ * - Meta description, Open Graph image (defaults to the logo), canonical base URL and noindex flag per site
+ * - Head tags for the current page (canonical + hreflang alternates use the canonical base URL)
+ * - robots.txt and sitemap.xml bodies for a resolved site host
+ * - schema.org LocalBusiness JSON-LD for the home page
+ */
+
+const { listPublishedPages } = require('./sitePages');
+const { siteLocales } = require('./i18n');
+const { schemaOpeningHours } = require('./businessHours');
+const { formatPhoneE164 } = require('../middleware/locals');
+
+const DESCRIPTION_MAX = 160;
+
+// Built-in public pages listed in the sitemap
+const SITEMAP_PATHS = ['/', '/contact', '/privacy-policy', '/sms-terms'];
+
+// Never worth crawling, even on indexable sites
+const PRIVATE_PREFIXES = ['/admin', '/portal', '/login', '/logout', '/forgot-password', '/reset-password', '/preview', '/embed', '/api'];
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// "https://Example.com/" -> "https://example.com"; anything that isn't an http(s) origin -> null
+function normalizeBaseUrl(raw) {
+    const str = String(raw || '').trim();
+    if (!str) return null;
+
+    try {
+        const url = new URL(str);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        return `${url.protocol}//${url.host}`;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Site-relative path ("/uploads/og.png") or absolute http(s) URL; anything else -> null
+function normalizeImageUrl(raw) {
+    const str = String(raw || '').trim();
+    if (!str) return null;
+    if (str.startsWith('/') && !str.startsWith('//')) return str;
+    return /^https?:\/\/[^\s]+$/i.test(str) ? str : null;
+}
+
+/**
+ * Reads the SEO block of the site forms.
+ * Returns { values, errors } where values map to the sites columns.
+ */
+function readSeoInput(body) {
+    const errors = [];
+    const rawBase = String(body.seo_canonical_url || '').trim();
+    const rawImage = String(body.og_image_url || '').trim();
+
+    const values = {
+        seo_description: String(body.seo_description || '').trim().slice(0, 300) || null,
+        og_image_url: normalizeImageUrl(rawImage),
+        seo_canonical_url: normalizeBaseUrl(rawBase),
+        seo_noindex: body.seo_noindex ? 1 : 0
+    };
+
+    if (rawBase && !values.seo_canonical_url) errors.push('Canonical URL must start with http:// or https://.');
+    if (rawImage && !values.og_image_url) errors.push('Open Graph image must be a path (/uploads/...) or an http(s) URL.');
+
+    return { values, errors };
+}
+
+function siteBaseUrl(site) {
+    return (site.seo && site.seo.canonicalUrl) || `https://${site.domain}`;
+}
+
+function absoluteUrl(site, url) {
+    if (!url) return null;
+    return /^https?:\/\//i.test(url) ? url : siteBaseUrl(site) + url;
+}
+
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Site description, or the start of the company details
+function siteDescription(site) {
+    const text = (site.seo && site.seo.description) || stripHtml(site.companyDetails);
+    if (text.length <= DESCRIPTION_MAX) return text;
+    return text.slice(0, DESCRIPTION_MAX - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+function isPrivatePath(path) {
+    return PRIVATE_PREFIXES.some((prefix) => path === prefix || path.startsWith(prefix + '/'));
+}
+
+// "/contact" with a locale prefix ("/es/contact"); no prefix -> path as is
+function prefixedPath(prefix, path) {
+    return prefix ? prefix + (path === '/' ? '' : path) : path;
+}
+
+// hreflang alternates: every enabled locale with its prefix, plus the unprefixed URL as x-default
+function alternateLinks(site, path) {
+    const { enabled } = siteLocales(site);
+    if (enabled.length < 2) return [];
+
+    const base = siteBaseUrl(site);
+    return enabled
+        .map((code) => ({ locale: code, url: base + prefixedPath(`/${code}`, path) }))
+        .concat([{ locale: 'x-default', url: base + path }]);
+}
+
+/**
+ * schema.org LocalBusiness for the site: name, description, contact details, address,
+ * logo and opening hours. Empty values are left out.
+ */
+function buildLocalBusinessJsonLd(site, brand) {
+    const base = siteBaseUrl(site);
+    const address = site.address || {};
+    const logo = absoluteUrl(site, brand && brand.logoUrl);
+
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'LocalBusiness',
+        '@id': `${base}/#business`,
+        name: site.companyName || site.domain,
+        description: siteDescription(site) || undefined,
+        url: `${base}/`,
+        telephone: formatPhoneE164(site.contactPhone) || site.contactPhone || undefined,
+        email: site.contactEmail || undefined,
+        logo: logo || undefined,
+        image: absoluteUrl(site, (site.seo && site.seo.ogImageUrl) || (brand && brand.logoUrl)) || undefined
+    };
+
+    if (address.line1) {
+        data.address = {
+            '@type': 'PostalAddress',
+            streetAddress: [address.line1, address.line2].filter(Boolean).join(', '),
+            addressLocality: address.city || undefined,
+            addressRegion: address.state || undefined,
+            postalCode: address.zip || undefined,
+            addressCountry: address.country || undefined
+        };
+    }
+
+    const hours = schemaOpeningHours(site);
+    if (hours) {
+        if (hours.openingHoursSpecification.length) data.openingHoursSpecification = hours.openingHoursSpecification;
+        if (hours.specialOpeningHoursSpecification.length) {
+            data.specialOpeningHoursSpecification = hours.specialOpeningHoursSpecification;
+        }
+    }
+
+    // Safe inside <script>: no "</script>" or "<!--" can close the block early
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Head tags for one page. `path` is the route path and `prefix` the locale prefix the page was
+ * requested with (req.localePrefix); brand is res.locals.brand (theme-resolved logo).
+ */
+function buildPageSeo({ site, brand, prefix, path }) {
+    const logo = brand && brand.logoUrl;
+
+    return {
+        description: siteDescription(site),
+        canonicalUrl: siteBaseUrl(site) + prefixedPath(prefix, path),
+        ogImage: absoluteUrl(site, (site.seo && site.seo.ogImageUrl) || logo),
+        noindex: Boolean(site.seo && site.seo.noindex) || isPrivatePath(path),
+        alternates: alternateLinks(site, path),
+        jsonLd: path === '/' ? buildLocalBusinessJsonLd(site, brand) : null
+    };
+}
+
+function buildRobotsTxt(site) {
+    if (site.seo && site.seo.noindex) {
+        return 'User-agent: *\nDisallow: /\n';
+    }
+
+    return [
+        'User-agent: *',
+        ...PRIVATE_PREFIXES.map((prefix) => `Disallow: ${prefix}`),
+        '',
+        `Sitemap: ${siteBaseUrl(site)}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+// cb(err, xml); noindex sites get an empty urlset
+function buildSitemapXml(site, cb) {
+    const base = siteBaseUrl(site);
+
+    const render = (entries) => {
+        const urls = entries.map(({ path, lastmod }) => {
+            const alternates = alternateLinks(site, path)
+                .map((alt) => `    <xhtml:link rel="alternate" hreflang="${alt.locale}" href="${escapeXml(alt.url)}"/>\n`)
+                .join('');
+
+            return (
+                '  <url>\n' +
+                `    <loc>${escapeXml(base + path)}</loc>\n` +
+                (lastmod ? `    <lastmod>${escapeXml(lastmod.slice(0, 10))}</lastmod>\n` : '') +
+                alternates +
+                '  </url>'
+            );
+        });
+
+        return (
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">\n' +
+            urls.join('\n') +
+            (urls.length ? '\n' : '') +
+            '</urlset>\n'
+        );
+    };
+
+    if (site.seo && site.seo.noindex) return cb(null, render([]));
+
+    listPublishedPages(site.id, (err, pages) => {
+        if (err) return cb(err);
+
+        const entries = SITEMAP_PATHS.map((path) => ({ path }));
+        pages.forEach((page) => entries.push({ path: `/${page.slug}`, lastmod: page.updated_at }));
+
+        return cb(null, render(entries));
+    });
+}
+
+module.exports = {
+    normalizeBaseUrl,
+    readSeoInput,
+    siteBaseUrl,
+    buildPageSeo,
+    buildRobotsTxt,
+    buildSitemapXml
+};
@@ -0,0 +1,197 @@
+/**
+ * Deleting sites (soft delete, restore, purge).
+ * - Deleting a site only marks it (sites.deleted_at): its hostnames stop resolving (they are treated
+ *   as unknown hosts) but stay reserved, so the site can be restored as it was
+ * - The site's active users are deactivated (users.disabled_with_site) and its form submissions
+ *   archived (form_submissions.archived_at); restoring brings back exactly those
+ * - SITE_RETENTION_DAYS after deletion the site is purged: every row that belongs to it and its
+ *   uploaded files are removed for good (startPurgeJob, or "Delete permanently" in the admin)
+ */
+
+const { db, runInTransaction } = require('../db');
+const { SITE_RETENTION_DAYS } = require('../config/appConfig');
+const { removeOwnerUploads } = require('./upload');
+
+const DAY = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL = 60 * 60 * 1000;
+
+const DELETED_LOGIN_MESSAGE =
+    'This site has been deleted, so the portal is unavailable. Please contact your provider if this is a mistake.';
+
+// Rows keyed by site_id, removed when a site is purged
+const SITE_TABLES = [
+    'site_pages',
+    'site_domains',
+    'site_drafts',
+    'site_revisions',
+    'policy_documents',
+    'sms_suppressions',
+    'spam_rejections',
+    'api_idempotency_keys'
+];
+
+// When a site deleted at `deletedAt` gets purged (ISO string)
+function purgeDate(deletedAt) {
+    return new Date(Date.parse(deletedAt) + SITE_RETENTION_DAYS * DAY).toISOString();
+}
+
+/**
+ * Soft-deletes a site: marks it, deactivates its users and archives its submissions.
+ * cb(err, deleted) — deleted is false when the site doesn't exist or is already deleted.
+ */
+function softDeleteSite(siteId, user, cb) {
+    db.get('SELECT id, domain, deleted_at FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row || row.deleted_at) return cb(null, false);
+
+        const now = new Date().toISOString();
+
+        runInTransaction(
+            [
+                ['UPDATE sites SET deleted_at = ?, deleted_by = ? WHERE id = ?', [now, user ? user.email : null, siteId]],
+                [
+                    `UPDATE users SET is_active = 0, disabled_with_site = 1
+                     WHERE site_id = ? AND role != 'admin' AND is_active = 1`,
+                    [siteId]
+                ],
+                // Pending invites / password resets can't be used while the site is deleted
+                [
+                    `UPDATE users SET reset_token = NULL, reset_token_expires_at = NULL
+                     WHERE site_id = ? AND role != 'admin'`,
+                    [siteId]
+                ],
+                [
+                    'UPDATE form_submissions SET archived_at = ? WHERE site_domain = ? AND archived_at IS NULL',
+                    [now, row.domain]
+                ]
+            ],
+            (txErr) => cb(txErr, !txErr)
+        );
+    });
+}
+
+/**
+ * Undoes softDeleteSite: the users and submissions it changed are reactivated / unarchived.
+ * cb(err, restored)
+ */
+function restoreSite(siteId, cb) {
+    db.get('SELECT id, domain, deleted_at FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row || !row.deleted_at) return cb(null, false);
+
+        runInTransaction(
+            [
+                ['UPDATE sites SET deleted_at = NULL, deleted_by = NULL WHERE id = ?', [siteId]],
+                [
+                    'UPDATE users SET is_active = 1, disabled_with_site = 0 WHERE site_id = ? AND disabled_with_site = 1',
+                    [siteId]
+                ],
+                // Submissions archived by this deletion share its timestamp
+                [
+                    'UPDATE form_submissions SET archived_at = NULL WHERE site_domain = ? AND archived_at = ?',
+                    [row.domain, row.deleted_at]
+                ]
+            ],
+            (txErr) => cb(txErr, !txErr)
+        );
+    });
+}
+
+// Deleted sites, most recently deleted first, with what restoring them brings back. cb(err, sites)
+function listDeletedSites(cb) {
+    db.all(
+        `
+      SELECT s.id, s.domain, s.company_name, s.deleted_at, s.deleted_by,
+             (SELECT COUNT(*) FROM users u WHERE u.site_id = s.id AND u.disabled_with_site = 1) AS disabled_users,
+             (SELECT COUNT(*) FROM form_submissions f
+              WHERE f.site_domain = s.domain AND f.archived_at = s.deleted_at) AS archived_submissions
+      FROM sites s
+      WHERE s.deleted_at IS NOT NULL
+      ORDER BY s.deleted_at DESC
+    `,
+        [],
+        (err, rows) => {
+            if (err) return cb(err);
+            return cb(
+                null,
+                rows.map((row) => Object.assign(row, { purge_at: purgeDate(row.deleted_at) }))
+            );
+        }
+    );
+}
+
+/**
+ * Permanently removes a deleted site: its rows in every table, its users, its submissions and
+ * consent records, and its uploaded files. Sites that aren't deleted are left alone.
+ * cb(err, purged)
+ */
+function purgeSite(siteId, cb) {
+    db.get('SELECT id, domain, deleted_at FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row || !row.deleted_at) return cb(null, false);
+
+        const statements = SITE_TABLES.map((table) => [`DELETE FROM ${table} WHERE site_id = ?`, [siteId]]).concat([
+            ['DELETE FROM consent_records WHERE site_id = ? OR site_domain = ?', [siteId, row.domain]],
+            ['DELETE FROM form_submissions WHERE site_domain = ?', [row.domain]],
+            [`DELETE FROM users WHERE site_id = ? AND role != 'admin'`, [siteId]],
+            ['UPDATE site_templates SET source_site_id = NULL WHERE source_site_id = ?', [siteId]],
+            ['DELETE FROM sites WHERE id = ?', [siteId]]
+        ]);
+
+        runInTransaction(statements, (txErr) => {
+            if (txErr) return cb(txErr);
+
+            // The rows are gone either way; a file that couldn't be removed is only logged
+            removeOwnerUploads(`site-${siteId}`, (fileErr) => {
+                if (fileErr) console.error(`Error removing uploads of purged site ${siteId}:`, fileErr);
+                return cb(null, true);
+            });
+        });
+    });
+}
+
+// Purges every site deleted more than SITE_RETENTION_DAYS ago. cb(err, purgedCount)
+function purgeExpiredSites(cb) {
+    const cutoff = new Date(Date.now() - SITE_RETENTION_DAYS * DAY).toISOString();
+
+    db.all('SELECT id FROM sites WHERE deleted_at IS NOT NULL AND deleted_at <= ?', [cutoff], (err, rows) => {
+        if (err) return cb(err);
+
+        const queue = rows.map((row) => row.id);
+        let purged = 0;
+
+        const next = (purgeErr, done) => {
+            if (purgeErr) return cb(purgeErr, purged);
+            if (done) purged += 1;
+            const siteId = queue.shift();
+            if (!siteId) return cb(null, purged);
+            return purgeSite(siteId, next);
+        };
+
+        next(null, false);
+    });
+}
+
+// Runs purgeExpiredSites shortly after startup, then every hour
+function startPurgeJob() {
+    const run = () =>
+        purgeExpiredSites((err, purged) => {
+            if (err) return console.error('Error purging deleted sites:', err);
+            if (purged) console.log(`Purged ${purged} deleted site(s) past the ${SITE_RETENTION_DAYS}-day retention window.`);
+        });
+
+    setTimeout(run, 60 * 1000).unref();
+    setInterval(run, PURGE_INTERVAL).unref();
+}
+
+module.exports = {
+    SITE_RETENTION_DAYS,
+    DELETED_LOGIN_MESSAGE,
+    purgeDate,
+    softDeleteSite,
+    restoreSite,
+    listDeletedSites,
+    purgeSite,
+    purgeExpiredSites,
+    startPurgeJob
+};
@@ -0,0 +1,217 @@
+/**
+ * Domain aliases per site (site_domains).
+ * - Extra hostnames (a .net next to the .com, an old brand name) that serve the same site
+ * - Stored normalized like sites.domain (lowercase, no port / trailing dot / leading www.)
+ * - A hostname is either one site's primary domain or one alias, never both
+ * - The primary domain itself can be changed from the admin site form (checkPrimaryDomain)
+ * - Each alias has its own DNS/HTTPS validation status (services/domainValidation.js)
+ * - Sites can ask for alias hits to be 301-redirected to the primary domain (sites.redirect_aliases)
+ * - Hosted hostnames (<hosted_slug>.<CNAME_URL>, services/hostedDomains.js) resolve last and never redirect
+ */
+
+const { db } = require('../db');
+const { normalizeHost } = require('../middleware/locals');
+const { hostedZone, pickHostedSlug, isInHostedZone, parseHostedSlug } = require('./hostedDomains');
+
+const MAX_ALIASES = 20;
+
+const HOST_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function listSiteDomains(siteId, cb) {
+    db.all('SELECT * FROM site_domains WHERE site_id = ? ORDER BY domain ASC', [siteId], cb);
+}
+
+function getSiteDomain(siteId, aliasId, cb) {
+    db.get('SELECT * FROM site_domains WHERE id = ? AND site_id = ?', [aliasId, siteId], cb);
+}
+
+// Whether a hostname is already taken by a site, an alias or a hosted hostname.
+// Deleted sites keep their hostnames until they are purged, so restoring one never clashes.
+// cb(err, { kind: 'site' | 'alias' | 'hosted', site_id } | undefined)
+function findDomainOwner(domain, cb) {
+    db.get(
+        `
+      SELECT 'site' AS kind, id AS site_id FROM sites WHERE domain = ?
+      UNION ALL
+      SELECT 'alias' AS kind, site_id FROM site_domains WHERE domain = ?
+      UNION ALL
+      SELECT 'hosted' AS kind, id AS site_id FROM sites WHERE hosted_slug = ?
+      LIMIT 1
+    `,
+        [domain, domain, parseHostedSlug(domain)],
+        cb
+    );
+}
+
+function isValidHostname(domain) {
+    return HOST_RE.test(domain);
+}
+
+// Error message when a hostname can't be a site's domain or an alias (null when it can)
+function reservedDomainError(domain) {
+    if (isInHostedZone(domain) || domain === hostedZone()) {
+        return `Addresses under ${hostedZone()} are reserved for hosted sites.`;
+    }
+    return null;
+}
+
+// Free hosted slug for a new site with this domain. cb(err, slug)
+function nextHostedSlug(domain, cb) {
+    db.all('SELECT hosted_slug FROM sites WHERE hosted_slug IS NOT NULL', [], (err, rows) => {
+        if (err) return cb(err);
+        return cb(null, pickHostedSlug(domain, new Set(rows.map((r) => r.hosted_slug))));
+    });
+}
+
+/**
+ * Adds an alias. cb(err, { errors, alias }) — errors are user-facing validation messages.
+ */
+function addSiteDomain(siteId, rawDomain, cb) {
+    const domain = normalizeHost(rawDomain);
+
+    if (!domain) return cb(null, { errors: ['Enter a domain name.'] });
+    if (!HOST_RE.test(domain)) return cb(null, { errors: [`"${rawDomain}" is not a valid domain name.`] });
+    if (reservedDomainError(domain)) return cb(null, { errors: [reservedDomainError(domain)] });
+
+    findDomainOwner(domain, (err, owner) => {
+        if (err) return cb(err);
+        if (owner) {
+            return cb(null, {
+                errors: [
+                    owner.site_id === siteId
+                        ? `${domain} is already a domain of this site.`
+                        : `${domain} is already used by another site.`
+                ]
+            });
+        }
+
+        db.get('SELECT COUNT(*) AS count FROM site_domains WHERE site_id = ?', [siteId], (countErr, row) => {
+            if (countErr) return cb(countErr);
+            if (row.count >= MAX_ALIASES) return cb(null, { errors: [`A site can have at most ${MAX_ALIASES} aliases.`] });
+
+            const createdAt = new Date().toISOString();
+            db.run(
+                `INSERT INTO site_domains (site_id, domain, domain_status, created_at) VALUES (?, ?, 'pending', ?)`,
+                [siteId, domain, createdAt],
+                function (insertErr) {
+                    if (insertErr) return cb(insertErr);
+                    return cb(null, { errors: [], alias: { id: this.lastID, site_id: siteId, domain } });
+                }
+            );
+        });
+    });
+}
+
+/**
+ * Checks a new primary domain for a site, without writing anything.
+ * cb(err, { errors, domain }) — domain is null when it doesn't change; errors are user-facing messages.
+ */
+function checkPrimaryDomain(siteRow, rawDomain, cb) {
+    const domain = normalizeHost(rawDomain);
+
+    if (!domain) return cb(null, { errors: ['Domain is required.'], domain: null });
+    if (domain === siteRow.domain) return cb(null, { errors: [], domain: null });
+    if (!HOST_RE.test(domain)) return cb(null, { errors: [`"${rawDomain}" is not a valid domain name.`], domain: null });
+    if (reservedDomainError(domain)) return cb(null, { errors: [reservedDomainError(domain)], domain: null });
+
+    findDomainOwner(domain, (err, owner) => {
+        if (err) return cb(err);
+        if (owner) {
+            return cb(null, {
+                errors: [
+                    owner.site_id === siteRow.id
+                        ? `${domain} is already an alias of this site. Remove the alias first.`
+                        : `${domain} is already used by another site${owner.kind === 'alias' ? ' (as an alias)' : ''}.`
+                ],
+                domain: null
+            });
+        }
+        return cb(null, { errors: [], domain });
+    });
+}
+
+/**
+ * [sql, params] statements that change a site's primary domain (run them in one transaction).
+ * The new domain needs its DNS validated again, and the site's form submissions move with it.
+ */
+function primaryDomainStatements(siteRow, domain) {
+    return [
+        [
+            `UPDATE sites SET domain = ?, domain_status = 'pending', domain_last_checked_at = NULL WHERE id = ?`,
+            [domain, siteRow.id]
+        ],
+        ['UPDATE form_submissions SET site_domain = ? WHERE site_domain = ?', [domain, siteRow.domain]]
+    ];
+}
+
+function removeSiteDomain(siteId, aliasId, cb) {
+    db.run('DELETE FROM site_domains WHERE id = ? AND site_id = ?', [aliasId, siteId], function (err) {
+        if (err) return cb(err);
+        return cb(null, this.changes > 0);
+    });
+}
+
+// Stores a validateDomain() result on the alias
+function saveAliasValidation(aliasId, result, cb) {
+    db.run(
+        'UPDATE site_domains SET domain_status = ?, domain_check_detail = ?, domain_last_checked_at = ? WHERE id = ?',
+        [result.status, result.detail, new Date().toISOString(), aliasId],
+        cb
+    );
+}
+
+/**
+ * Resolves a normalized hostname to its site row: primary domain first, then aliases, then hosted hostnames.
+ * Deleted sites don't resolve.
+ * cb(err, { row, alias, hosted } | null) — alias is the matched site_domains row (null otherwise),
+ * hosted is true when the hostname is the site's <hosted_slug>.<CNAME_URL>.
+ */
+function findSiteByHost(host, cb) {
+    db.get('SELECT * FROM sites WHERE domain = ? AND deleted_at IS NULL', [host], (err, row) => {
+        if (err) return cb(err);
+        if (row) return cb(null, { row, alias: null, hosted: false });
+
+        db.get(
+            `
+          SELECT s.*, d.id AS alias_id, d.domain AS alias_domain
+          FROM site_domains d
+          JOIN sites s ON s.id = d.site_id
+          WHERE d.domain = ? AND s.deleted_at IS NULL
+        `,
+            [host],
+            (aliasErr, aliasRow) => {
+                if (aliasErr) return cb(aliasErr);
+
+                if (aliasRow) {
+                    const alias = { id: aliasRow.alias_id, domain: aliasRow.alias_domain };
+                    delete aliasRow.alias_id;
+                    delete aliasRow.alias_domain;
+                    return cb(null, { row: aliasRow, alias, hosted: false });
+                }
+
+                const slug = parseHostedSlug(host);
+                if (!slug) return cb(null, null);
+
+                db.get('SELECT * FROM sites WHERE hosted_slug = ? AND deleted_at IS NULL', [slug], (hostedErr, hostedRow) => {
+                    if (hostedErr) return cb(hostedErr);
+                    return cb(null, hostedRow ? { row: hostedRow, alias: null, hosted: true } : null);
+                });
+            }
+        );
+    });
+}
+
+module.exports = {
+    isValidHostname,
+    listSiteDomains,
+    getSiteDomain,
+    addSiteDomain,
+    checkPrimaryDomain,
+    primaryDomainStatements,
+    removeSiteDomain,
+    saveAliasValidation,
+    findSiteByHost,
+    findDomainOwner,
+    reservedDomainError,
+    nextHostedSlug
+};
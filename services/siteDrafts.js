@@ -0,0 +1,197 @@
+/**
+ * Draft / publish workflow for site settings (site_drafts, one draft per site).
+ * - The admin and portal site forms save into the draft; the live sites row only changes on publish
+ * - A draft remembers a hash of the live values it was based on; if the live row changes
+ *   underneath it (another publish, a restore, an import), the draft is discarded
+ * - Sites flagged publish_requires_review: account users submit the draft and an admin
+ *   approves (publishes) or sends it back with a note
+ * - Logo / favicon uploads and the domain are not part of drafts; they change the live row directly
+ */
+
+const crypto = require('crypto');
+const { db } = require('../db');
+
+// Columns a draft can hold (everything the site forms edit except uploads and the domain)
+const DRAFT_FIELDS = [
+    'company_name',
+    'company_details',
+    'contact_phone',
+    'contact_email',
+    'address_line1',
+    'address_line2',
+    'city',
+    'state',
+    'zip',
+    'country',
+    'business_hours',
+    'primary_color',
+    'secondary_color',
+    'dark_color',
+    'light_color',
+    'sms_number',
+    'help_reply',
+    'double_opt_in',
+    'spam_protection',
+    'enabled_locales',
+    'default_locale',
+    'theme',
+    'seo_description',
+    'og_image_url',
+    'seo_canonical_url',
+    'seo_noindex',
+    'hours_json',
+    'sample_messages_json',
+    'embed_origins'
+];
+
+const STATUS_LABELS = {
+    draft: 'Draft',
+    pending_review: 'Awaiting approval'
+};
+
+function liveHash(row) {
+    const values = DRAFT_FIELDS.map((field) => (row[field] === undefined ? null : row[field]));
+    return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+function parseDraft(draftRow) {
+    let values = {};
+    try {
+        values = JSON.parse(draftRow.values_json) || {};
+    } catch (e) {
+        values = {};
+    }
+    return Object.assign({}, draftRow, { values });
+}
+
+/**
+ * The site's draft, checked against the live row.
+ * cb(err, { draft, discarded }) — draft is null when there is none; discarded is true when a
+ * stale draft was just thrown away because the live row changed.
+ */
+function loadDraft(siteRow, cb) {
+    db.get('SELECT * FROM site_drafts WHERE site_id = ?', [siteRow.id], (err, draftRow) => {
+        if (err) return cb(err);
+        if (!draftRow) return cb(null, { draft: null, discarded: false });
+
+        if (draftRow.base_hash !== liveHash(siteRow)) {
+            return discardDraft(siteRow.id, (delErr) => {
+                if (delErr) return cb(delErr);
+                return cb(null, { draft: null, discarded: true });
+            });
+        }
+
+        return cb(null, { draft: parseDraft(draftRow), discarded: false });
+    });
+}
+
+// Live row with the draft's values on top (for the forms and the draft preview)
+function applyDraft(siteRow, draft) {
+    return draft ? Object.assign({}, siteRow, draft.values) : siteRow;
+}
+
+/**
+ * [sql, params] that saves form values (column -> value, DRAFT_FIELDS only) as the site's draft,
+ * replacing any earlier one. Saving always resets the draft to 'draft' (a submitted draft has to be
+ * resubmitted). For saving the draft inside a transaction; saveDraft runs it on its own.
+ */
+function saveDraftStatement(siteRow, values, user) {
+    const draftValues = {};
+    DRAFT_FIELDS.forEach((field) => {
+        if (values[field] !== undefined) draftValues[field] = values[field];
+    });
+
+    const now = new Date().toISOString();
+
+    return [
+        `
+      INSERT INTO site_drafts (site_id, values_json, base_hash, status, review_note, updated_by, created_at, updated_at)
+      VALUES (?, ?, ?, 'draft', NULL, ?, ?, ?)
+      ON CONFLICT(site_id) DO UPDATE SET
+        values_json = excluded.values_json,
+        base_hash = excluded.base_hash,
+        status = 'draft',
+        review_note = NULL,
+        submitted_at = NULL,
+        updated_by = excluded.updated_by,
+        updated_at = excluded.updated_at
+    `,
+        [siteRow.id, JSON.stringify(draftValues), liveHash(siteRow), user ? user.email : null, now, now]
+    ];
+}
+
+function saveDraft(siteRow, values, user, cb) {
+    const [sql, params] = saveDraftStatement(siteRow, values, user);
+    db.run(sql, params, (err) => cb(err));
+}
+
+/**
+ * Copies the draft onto the live row and deletes it.
+ * cb(err, { published, stale }) — stale means the live row had changed, so the draft was discarded instead.
+ */
+function publishDraft(siteId, cb) {
+    db.get('SELECT * FROM sites WHERE id = ?', [siteId], (err, siteRow) => {
+        if (err) return cb(err);
+        if (!siteRow) return cb(null, { published: false, stale: false });
+
+        loadDraft(siteRow, (draftErr, { draft, discarded } = {}) => {
+            if (draftErr) return cb(draftErr);
+            if (!draft) return cb(null, { published: false, stale: discarded });
+
+            const fields = Object.keys(draft.values);
+            if (!fields.length) {
+                return discardDraft(siteId, (delErr) => cb(delErr, { published: false, stale: false }));
+            }
+
+            db.run(
+                `UPDATE sites SET ${fields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+                fields.map((field) => draft.values[field]).concat(siteId),
+                (updateErr) => {
+                    if (updateErr) return cb(updateErr);
+                    return discardDraft(siteId, (delErr) => cb(delErr, { published: true, stale: false }));
+                }
+            );
+        });
+    });
+}
+
+function discardDraft(siteId, cb) {
+    db.run('DELETE FROM site_drafts WHERE site_id = ?', [siteId], (err) => cb && cb(err));
+}
+
+// Account users on sites that need review: hand the draft to an admin. cb(err, submitted)
+function submitDraftForReview(siteId, cb) {
+    db.run(
+        `UPDATE site_drafts SET status = 'pending_review', review_note = NULL, submitted_at = ? WHERE site_id = ? AND status = 'draft'`,
+        [new Date().toISOString(), siteId],
+        function (err) {
+            if (err) return cb(err);
+            return cb(null, this.changes > 0);
+        }
+    );
+}
+
+// Admin sends a submitted draft back to the account with a note. cb(err, rejected)
+function rejectDraft(siteId, note, cb) {
+    db.run(
+        `UPDATE site_drafts SET status = 'draft', review_note = ? WHERE site_id = ? AND status = 'pending_review'`,
+        [note || null, siteId],
+        function (err) {
+            if (err) return cb(err);
+            return cb(null, this.changes > 0);
+        }
+    );
+}
+
+module.exports = {
+    DRAFT_FIELDS,
+    STATUS_LABELS,
+    loadDraft,
+    applyDraft,
+    saveDraftStatement,
+    saveDraft,
+    publishDraft,
+    discardDraft,
+    submitDraftForReview,
+    rejectDraft
+};
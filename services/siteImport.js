@@ -0,0 +1,505 @@
+/**
+ * Bulk CSV export / import of sites.
+ * - Export: one row per site with the columns below, plus read-only id / hosted_address / domain_status /
+ *   business_hours (ignored when the file is imported again; hours are edited in the site form)
+ * - Import is planned first (dry run): every row is validated and matched by domain to "create" or "update"
+ * - Updates only touch the columns present in the file; new sites need the company fields
+ * - Applying runs in one transaction: if any row fails, nothing is written
+ * - Optional admin_email / admin_name columns create the site's account_admin, who gets an invite email
+ */
+
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { db, withTransaction } = require('../db');
+const { generateToken, sendUserInviteEmail } = require('../mailer');
+const { normalizeHost } = require('../middleware/locals');
+const { isValidHostname, reservedDomainError } = require('./siteDomains');
+const { hostedHostname, pickHostedSlug } = require('./hostedDomains');
+const { normalizeSmsNumber } = require('./smsKeywords');
+const { LEVELS } = require('./spamGuard');
+const { LOCALES, isSupportedLocale } = require('./i18n');
+const { listThemes } = require('./themes');
+const { recordRevision, ensureBaseline } = require('./siteRevisions');
+const { toCsv, parseCsv, unguardCell } = require('./csv');
+
+const MAX_ROWS = 500;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const REQUIRED_FIELDS = ['company_name', 'company_details', 'contact_phone', 'contact_email'];
+
+const DEFAULTS = {
+    logo_url: '/assets/logo.png',
+    favicon_url: '/assets/favicon.png',
+    primary_color: '#1b1464',
+    secondary_color: '#007dc5',
+    dark_color: '#282829',
+    light_color: '#f1f2f2'
+};
+
+// Site columns in the file, in export order
+const SITE_COLUMNS = [
+    'domain',
+    'company_name',
+    'company_details',
+    'contact_phone',
+    'contact_email',
+    'address_line1',
+    'address_line2',
+    'city',
+    'state',
+    'zip',
+    'country',
+    'primary_color',
+    'secondary_color',
+    'dark_color',
+    'light_color',
+    'logo_url',
+    'favicon_url',
+    'sms_number',
+    'help_reply',
+    'double_opt_in',
+    'spam_protection',
+    'enabled_locales',
+    'default_locale',
+    'theme',
+    'seo_description'
+];
+
+const ADMIN_COLUMNS = ['admin_email', 'admin_name'];
+
+// business_hours is the text summary of the structured schedule (sites.hours_json), which the file can't express
+const EXPORT_ONLY_COLUMNS = ['id', 'hosted_address', 'domain_status', 'business_hours'];
+
+/**
+ * Cell -> column value. Returns { value } or { error }.
+ */
+function normalizeField(field, raw) {
+    const str = String(raw === undefined || raw === null ? '' : raw).trim();
+
+    switch (field) {
+        case 'primary_color':
+        case 'secondary_color':
+        case 'dark_color':
+        case 'light_color':
+            if (!str) return { value: DEFAULTS[field] };
+            return COLOR_RE.test(str) ? { value: str.toLowerCase() } : { error: `${field} "${str}" is not a hex colour like #1b1464.` };
+        case 'logo_url':
+        case 'favicon_url':
+            if (!str) return { value: DEFAULTS[field] };
+            return /^(https?:\/\/|\/)/.test(str) ? { value: str } : { error: `${field} must be a full URL or a path starting with /.` };
+        case 'contact_email':
+            if (str && !EMAIL_RE.test(str)) return { error: `contact_email "${str}" is not a valid email address.` };
+            return { value: str };
+        case 'sms_number':
+            return { value: normalizeSmsNumber(str) };
+        case 'help_reply':
+            return { value: str || null };
+        case 'double_opt_in':
+            if (!str || /^(0|no|false|n)$/i.test(str)) return { value: 0 };
+            if (/^(1|yes|true|y)$/i.test(str)) return { value: 1 };
+            return { error: 'double_opt_in must be yes or no.' };
+        case 'spam_protection':
+            if (!str) return { value: 'standard' };
+            return LEVELS[str.toLowerCase()]
+                ? { value: str.toLowerCase() }
+                : { error: `spam_protection must be one of: ${Object.keys(LEVELS).join(', ')}.` };
+        case 'enabled_locales': {
+            const codes = str ? str.toLowerCase().split(/[\s,;]+/).filter(Boolean) : ['en'];
+            const unknown = codes.filter((code) => !isSupportedLocale(code));
+            if (unknown.length) return { error: `Unknown language code(s): ${unknown.join(', ')}.` };
+            return { value: Object.keys(LOCALES).filter((code) => codes.includes(code)).join(',') };
+        }
+        case 'default_locale':
+            if (!str) return { value: null };
+            return isSupportedLocale(str.toLowerCase()) ? { value: str.toLowerCase() } : { error: `Unknown default_locale "${str}".` };
+        case 'theme': {
+            if (!str) return { value: 'classic' };
+            const theme = listThemes().find((t) => t.id === str.toLowerCase());
+            return theme ? { value: theme.id } : { error: `Unknown theme "${str}".` };
+        }
+        case 'seo_description':
+            return str.length > 160 ? { error: 'seo_description must be 160 characters or less.' } : { value: str || null };
+        default:
+            return { value: str };
+    }
+}
+
+// ------------------------------
+// Export
+// ------------------------------
+function exportSitesCsv(cb) {
+    db.all(
+        `
+      SELECT s.*,
+             (SELECT email FROM users WHERE site_id = s.id AND role = 'account_admin' ORDER BY id LIMIT 1) AS admin_email,
+             (SELECT name FROM users WHERE site_id = s.id AND role = 'account_admin' ORDER BY id LIMIT 1) AS admin_name
+      FROM sites s
+      WHERE s.deleted_at IS NULL
+      ORDER BY s.domain ASC
+    `,
+        [],
+        (err, rows) => {
+            if (err) return cb(err);
+
+            const columns = EXPORT_ONLY_COLUMNS.concat(SITE_COLUMNS, ADMIN_COLUMNS).map((key) => ({ key, label: key }));
+            const data = rows.map((row) =>
+                Object.assign({}, row, {
+                    hosted_address: hostedHostname(row),
+                    double_opt_in: row.double_opt_in ? 'yes' : 'no'
+                })
+            );
+
+            return cb(null, toCsv(data, columns));
+        }
+    );
+}
+
+// ------------------------------
+// Import: dry run
+// ------------------------------
+
+// Everything the plan is checked against, loaded once. cb(err, { sitesByDomain, aliasOwners, smsOwners, usersByEmail })
+function loadExisting(cb) {
+    db.all('SELECT id, domain, deleted_at, sms_number, default_locale FROM sites', [], (err, sites) => {
+        if (err) return cb(err);
+
+        db.all(
+            'SELECT d.domain, s.domain AS site_domain FROM site_domains d JOIN sites s ON s.id = d.site_id',
+            [],
+            (aliasErr, aliases) => {
+                if (aliasErr) return cb(aliasErr);
+
+                db.all('SELECT id, email, role, site_id FROM users', [], (userErr, users) => {
+                    if (userErr) return cb(userErr);
+
+                    return cb(null, {
+                        sitesByDomain: new Map(sites.map((s) => [s.domain, s])),
+                        aliasOwners: new Map(aliases.map((a) => [a.domain, a.site_domain])),
+                        smsOwners: new Map(sites.filter((s) => s.sms_number).map((s) => [s.sms_number, s.domain])),
+                        usersByEmail: new Map(users.map((u) => [String(u.email).toLowerCase(), u]))
+                    });
+                });
+            }
+        );
+    });
+}
+
+function readHeader(cells) {
+    const errors = [];
+    const header = cells.map((cell) => cell.trim().toLowerCase());
+    const known = SITE_COLUMNS.concat(ADMIN_COLUMNS, EXPORT_ONLY_COLUMNS);
+
+    header.forEach((column, index) => {
+        if (!column) errors.push(`Column ${index + 1} has no name.`);
+        else if (!known.includes(column)) errors.push(`Unknown column "${column}".`);
+        else if (header.indexOf(column) !== index) errors.push(`Column "${column}" appears twice.`);
+    });
+    if (!header.includes('domain')) errors.push('The file needs a "domain" column.');
+
+    return { header, errors };
+}
+
+/**
+ * Validates a CSV file and decides what each row would do, without writing anything.
+ * options: { createAdmins } — whether admin_email creates users
+ * cb(err, { ok, errors, columns, rows: [{ line, domain, action, siteId, values, admin, errors }], summary })
+ */
+function planImport(text, { createAdmins = false } = {}, cb) {
+    const plan = { ok: false, errors: [], columns: [], rows: [], createAdmins, summary: { create: 0, update: 0, invalid: 0, admins: 0 } };
+
+    const records = parseCsv(text);
+    if (!records.length) {
+        plan.errors.push('The file is empty.');
+        return cb(null, plan);
+    }
+
+    const { header, errors: headerErrors } = readHeader(records[0]);
+    plan.columns = header.filter((column) => SITE_COLUMNS.includes(column));
+    plan.errors = headerErrors;
+
+    if (records.length === 1) plan.errors.push('The file has a header but no sites.');
+    if (records.length - 1 > MAX_ROWS) plan.errors.push(`At most ${MAX_ROWS} sites can be imported at once.`);
+    if (plan.errors.length) return cb(null, plan);
+
+    loadExisting((err, existing) => {
+        if (err) return cb(err);
+
+        const domainLines = new Map();
+        const adminLines = new Map();
+        const smsLines = new Map();
+
+        plan.rows = records.slice(1).map((cells, index) => {
+            const line = index + 2;
+            const raw = {};
+            header.forEach((column, i) => {
+                raw[column] = cells[i] === undefined ? '' : unguardCell(cells[i]);
+            });
+
+            const row = { line, domain: normalizeHost(raw.domain), action: null, siteId: null, values: {}, admin: null, errors: [] };
+
+            const site = existing.sitesByDomain.get(row.domain);
+            row.action = site ? 'update' : 'create';
+            row.siteId = site ? site.id : null;
+
+            // Domain: valid (existing sites may predate the check, e.g. localhost), not reserved,
+            // not a deleted site's, not repeated, not someone's alias
+            if (!row.domain) {
+                row.errors.push('Domain is missing.');
+            } else if (site && site.deleted_at) {
+                row.errors.push(`${row.domain} belongs to a deleted site. Restore it from Deleted sites first.`);
+            } else if (!site && !isValidHostname(row.domain)) {
+                row.errors.push(`"${raw.domain.trim()}" is not a valid domain name.`);
+            } else if (!site && reservedDomainError(row.domain)) {
+                row.errors.push(reservedDomainError(row.domain));
+            } else if (domainLines.has(row.domain)) {
+                row.errors.push(`Duplicate domain (also on line ${domainLines.get(row.domain)}).`);
+            } else if (existing.aliasOwners.has(row.domain)) {
+                row.errors.push(`${row.domain} is already an alias of ${existing.aliasOwners.get(row.domain)}.`);
+            }
+            if (row.domain && !domainLines.has(row.domain)) domainLines.set(row.domain, line);
+
+            plan.columns.forEach((column) => {
+                if (column === 'domain') return;
+                const result = normalizeField(column, raw[column]);
+                if (result.error) row.errors.push(result.error);
+                else row.values[column] = result.value;
+            });
+
+            // One site per SMS number
+            const smsNumber = row.values.sms_number;
+            if (smsNumber) {
+                const owner = existing.smsOwners.get(smsNumber);
+                if (owner && owner !== row.domain) row.errors.push(`SMS number ${smsNumber} is already used by ${owner}.`);
+                else if (smsLines.has(smsNumber)) row.errors.push(`SMS number ${smsNumber} is also used on line ${smsLines.get(smsNumber)}.`);
+                else smsLines.set(smsNumber, line);
+            }
+
+            // New sites need the company fields; updates can't blank them
+            REQUIRED_FIELDS.forEach((field) => {
+                const present = plan.columns.includes(field);
+                if ((row.action === 'create' && !present) || (present && !row.values[field])) {
+                    row.errors.push(`${field} is required.`);
+                }
+            });
+
+            // The default language is always enabled. Without one, new sites default to the first enabled
+            // language; existing sites keep theirs unless the file no longer enables it.
+            const defaultLocale = row.values.default_locale;
+            if (!defaultLocale) delete row.values.default_locale;
+
+            const enabled = row.values.enabled_locales
+                ? row.values.enabled_locales.split(',')
+                : row.action === 'create' && defaultLocale
+                ? ['en']
+                : null;
+            if (enabled) {
+                if (defaultLocale && !enabled.includes(defaultLocale)) enabled.push(defaultLocale);
+                row.values.enabled_locales = Object.keys(LOCALES).filter((code) => enabled.includes(code)).join(',');
+                if (!defaultLocale && (row.action === 'create' || !enabled.includes(site.default_locale))) {
+                    row.values.default_locale = enabled[0];
+                }
+            }
+
+            // Account admin: new login, or the site's existing one
+            const adminEmail = String(raw.admin_email || '').trim().toLowerCase();
+            if (createAdmins && adminEmail) {
+                const user = existing.usersByEmail.get(adminEmail);
+                row.admin = { email: adminEmail, name: String(raw.admin_name || '').trim() || null, action: 'create' };
+
+                if (!EMAIL_RE.test(adminEmail)) {
+                    row.errors.push(`admin_email "${adminEmail}" is not a valid email address.`);
+                } else if (adminLines.has(adminEmail)) {
+                    row.errors.push(`admin_email is also used on line ${adminLines.get(adminEmail)}.`);
+                } else if (user && user.site_id === row.siteId && row.siteId) {
+                    row.admin.action = 'exists';
+                } else if (user) {
+                    row.errors.push(`${adminEmail} already has a login${user.role === 'admin' ? ' (reseller staff)' : ' for another site'}.`);
+                }
+                adminLines.set(adminEmail, adminLines.get(adminEmail) || line);
+            }
+
+            if (row.errors.length) plan.summary.invalid += 1;
+            else plan.summary[row.action] += 1;
+            if (!row.errors.length && row.admin && row.admin.action === 'create') plan.summary.admins += 1;
+
+            return row;
+        });
+
+        plan.ok = !plan.errors.length && plan.summary.invalid === 0;
+        return cb(null, plan);
+    });
+}
+
+// ------------------------------
+// Import: apply (all-or-nothing)
+// ------------------------------
+function eachSeries(items, fn, cb) {
+    const queue = items.slice();
+
+    const next = (err) => {
+        if (err) return cb(err);
+        const item = queue.shift();
+        if (!item) return cb(null);
+        return fn(item, next);
+    };
+
+    next(null);
+}
+
+// Statements go through the import's transaction (tx); takenSlugs holds the hosted slugs in use
+function writeSite(tx, row, takenSlugs, cb) {
+    const fields = Object.keys(row.values);
+
+    if (row.action === 'update') {
+        if (!fields.length) return cb(null);
+        return tx.run(
+            `UPDATE sites SET ${fields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+            fields.map((field) => row.values[field]).concat(row.siteId),
+            cb
+        );
+    }
+
+    const hostedSlug = pickHostedSlug(row.domain, takenSlugs);
+    takenSlugs.add(hostedSlug);
+
+    const values = Object.assign({}, DEFAULTS, row.values, {
+        domain: row.domain,
+        domain_status: 'pending',
+        hosted_slug: hostedSlug
+    });
+    const columns = Object.keys(values);
+
+    tx.run(
+        `INSERT INTO sites (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((column) => values[column]),
+        function (err) {
+            if (err) return cb(err);
+            row.siteId = this.lastID;
+            return cb(null);
+        }
+    );
+}
+
+// Random password and invite token for a new account admin, prepared before the transaction
+// starts (hashing is slow and would hold the write lock). cb(err)
+function prepareAdmin(row, cb) {
+    if (!row.admin || row.admin.action !== 'create') return cb(null);
+
+    bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10, (err, passwordHash) => {
+        if (err) return cb(err);
+        row.admin.passwordHash = passwordHash;
+        row.admin.token = generateToken();
+        return cb(null);
+    });
+}
+
+// Inactive until the invite link is used (same as admin-created account users)
+function writeAdmin(tx, row, cb) {
+    if (!row.admin || row.admin.action !== 'create') return cb(null);
+
+    tx.run(
+        `
+      INSERT INTO users (email, password_hash, name, role, created_at, site_id, is_active, reset_token, reset_token_expires_at)
+      VALUES (?, ?, ?, 'account_admin', ?, ?, 0, ?, ?)
+    `,
+        [
+            row.admin.email,
+            row.admin.passwordHash,
+            row.admin.name,
+            new Date().toISOString(),
+            row.siteId,
+            row.admin.token,
+            new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        ],
+        function (err) {
+            if (err) return cb(err);
+            row.admin.id = this.lastID;
+            return cb(null);
+        }
+    );
+}
+
+function sendInvites(rows) {
+    rows.forEach((row) => {
+        if (!row.admin || !row.admin.id) return;
+
+        db.get('SELECT * FROM sites WHERE id = ?', [row.siteId], (err, siteRow) => {
+            if (err) console.error('Error loading site for imported account admin invite:', err);
+            sendUserInviteEmail({
+                user: { id: row.admin.id, email: row.admin.email, name: row.admin.name || '', role: 'account_admin' },
+                site: siteRow || null,
+                token: row.admin.token,
+                isReseller: false
+            });
+        });
+    });
+}
+
+/**
+ * Writes a plan from planImport (which must be ok) in one transaction, then records revisions
+ * and sends the invites. cb(err, { created, updated, invited })
+ */
+function applyImport(plan, user, cb) {
+    if (!plan.ok) return cb(new Error('Import plan has errors.'));
+
+    const rows = plan.rows;
+    const updates = rows.filter((row) => row.action === 'update');
+
+    // Sites without history get their pre-import state stored, so the import can be undone per site
+    eachSeries(updates, (row, next) => ensureBaseline(row.siteId, next), (baseErr) => {
+        if (baseErr) console.error('Error storing baseline revisions before import:', baseErr);
+
+        eachSeries(rows, prepareAdmin, (prepErr) => {
+            if (prepErr) return cb(prepErr);
+
+            withTransaction(
+                (tx, done) =>
+                    tx.all('SELECT hosted_slug FROM sites WHERE hosted_slug IS NOT NULL', [], (slugErr, slugRows) => {
+                        if (slugErr) return done(slugErr);
+
+                        const takenSlugs = new Set(slugRows.map((r) => r.hosted_slug));
+                        eachSeries(
+                            rows,
+                            (row, next) =>
+                                writeSite(tx, row, takenSlugs, (err) => {
+                                    if (err) return next(err);
+                                    return writeAdmin(tx, row, next);
+                                }),
+                            done
+                        );
+                    }),
+                (err) => {
+                    if (err) return cb(err);
+
+                    sendInvites(rows);
+
+                    eachSeries(
+                        rows,
+                        (row, next) =>
+                            recordRevision(row.siteId, { action: row.action === 'create' ? 'created' : 'imported', user }, (revErr) => {
+                                if (revErr) console.error('Error recording site revision after import:', revErr);
+                                return next(null);
+                            }),
+                        () =>
+                            cb(null, {
+                                created: rows.length - updates.length,
+                                updated: updates.length,
+                                invited: rows.filter((row) => row.admin && row.admin.id).length
+                            })
+                    );
+                }
+            );
+        });
+    });
+}
+
+module.exports = {
+    SITE_COLUMNS,
+    ADMIN_COLUMNS,
+    MAX_ROWS,
+    exportSitesCsv,
+    planImport,
+    applyImport
+};
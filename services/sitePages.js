@@ -0,0 +1,162 @@
+/**
+ * Custom content pages per site (site_pages).
+ * - Body is stored as written (HTML or Markdown) and sanitized when rendered
+ * - Published pages are served at /<slug>; pages flagged for the nav appear in the header
+ * - Shared by the admin and portal page editors
+ */
+
+const { db } = require('../db');
+const { renderBody } = require('./richText');
+
+const BODY_FORMATS = { html: 'HTML', markdown: 'Markdown' };
+
+// Slugs already used by built-in routes
+const RESERVED_SLUGS = [
+    'admin', 'portal', 'login', 'logout', 'forgot-password', 'reset-password',
+    'contact', 'privacy-policy', 'sms-terms', 'thank-you', 'health', 'caddy-ask',
+    'webhooks', 'css', 'js', 'assets', 'uploads', 'embed', 'api', 'preview'
+];
+
+function slugify(str) {
+    return String(str || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+function listPages(siteId, cb) {
+    db.all(
+        'SELECT * FROM site_pages WHERE site_id = ? ORDER BY nav_order ASC, title COLLATE NOCASE ASC',
+        [siteId],
+        cb
+    );
+}
+
+// Published pages shown in the header nav
+function listNavPages(siteId, cb) {
+    db.all(
+        `
+      SELECT slug, title FROM site_pages
+      WHERE site_id = ? AND is_published = 1 AND show_in_nav = 1
+      ORDER BY nav_order ASC, title COLLATE NOCASE ASC
+    `,
+        [siteId],
+        cb
+    );
+}
+
+// Every published page (sitemap)
+function listPublishedPages(siteId, cb) {
+    db.all(
+        'SELECT slug, title, updated_at FROM site_pages WHERE site_id = ? AND is_published = 1 ORDER BY nav_order ASC, slug ASC',
+        [siteId],
+        cb
+    );
+}
+
+function getPage(siteId, pageId, cb) {
+    db.get('SELECT * FROM site_pages WHERE id = ? AND site_id = ?', [pageId, siteId], cb);
+}
+
+function getPublishedPage(siteId, slug, cb) {
+    db.get('SELECT * FROM site_pages WHERE site_id = ? AND slug = ? AND is_published = 1', [siteId, slug], (err, row) => {
+        if (err || !row) return cb(err, null);
+        return cb(null, Object.assign(row, { body_html: renderBody(row.body, row.body_format) }));
+    });
+}
+
+/**
+ * Reads the page editor form.
+ * Returns { page, errors } (page holds the cleaned values, even when invalid, to re-fill the form).
+ */
+function readPageInput(body) {
+    const title = String(body.title || '').trim();
+    const slug = slugify(body.slug || title);
+    const errors = [];
+
+    const page = {
+        title,
+        slug,
+        body: String(body.body || ''),
+        body_format: BODY_FORMATS[body.body_format] ? body.body_format : 'html',
+        is_published: body.is_published ? 1 : 0,
+        show_in_nav: body.show_in_nav ? 1 : 0,
+        nav_order: parseInt(body.nav_order, 10) || 0
+    };
+
+    if (!title) errors.push('Title is required.');
+    if (!slug) errors.push('Slug is required (letters, numbers and dashes).');
+    if (RESERVED_SLUGS.includes(slug)) errors.push(`"/${slug}" is used by a built-in page. Please pick another slug.`);
+
+    return { page, errors };
+}
+
+// Inserts (no pageId) or updates a page. cb(err, pageId); err.code === 'SLUG_TAKEN' for duplicates.
+function savePage(siteId, pageId, page, cb) {
+    const now = new Date().toISOString();
+
+    db.get(
+        'SELECT id FROM site_pages WHERE site_id = ? AND slug = ? AND id != ?',
+        [siteId, page.slug, pageId || 0],
+        (err, clash) => {
+            if (err) return cb(err);
+            if (clash) {
+                const slugErr = new Error(`Another page already uses "/${page.slug}".`);
+                slugErr.code = 'SLUG_TAKEN';
+                return cb(slugErr);
+            }
+
+            const values = [
+                page.slug,
+                page.title,
+                page.body,
+                page.body_format,
+                page.is_published,
+                page.show_in_nav,
+                page.nav_order
+            ];
+
+            if (pageId) {
+                return db.run(
+                    `
+              UPDATE site_pages
+              SET slug = ?, title = ?, body = ?, body_format = ?, is_published = ?, show_in_nav = ?, nav_order = ?,
+                  updated_at = ?
+              WHERE id = ? AND site_id = ?
+            `,
+                    values.concat([now, pageId, siteId]),
+                    (err2) => cb(err2, pageId)
+                );
+            }
+
+            db.run(
+                `
+          INSERT INTO site_pages (
+            site_id, slug, title, body, body_format, is_published, show_in_nav, nav_order, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+                [siteId].concat(values, [now, now]),
+                function (err2) {
+                    cb(err2, err2 ? null : this.lastID);
+                }
+            );
+        }
+    );
+}
+
+function deletePage(siteId, pageId, cb) {
+    db.run('DELETE FROM site_pages WHERE id = ? AND site_id = ?', [pageId, siteId], cb);
+}
+
+module.exports = {
+    BODY_FORMATS,
+    listPages,
+    listNavPages,
+    listPublishedPages,
+    getPage,
+    getPublishedPage,
+    readPageInput,
+    savePage,
+    deletePage
+};
@@ -0,0 +1,332 @@
+/**
+ * Revision history of site settings (site_revisions).
+ * - A snapshot of the site's content columns is stored after every change made from the admin
+ *   or the portal: site created, draft published, logo / favicon uploaded, contact form fields,
+ *   pages, policy publishes, domain, status, CSV import, revision restored
+ * - Pages and policy versions live in their own tables; the snapshot holds a one-line-per-item
+ *   summary of them, so those changes show up in the history
+ * - Each revision records who made the change, when, and which fields changed since the previous one
+ * - The first tracked change of an older site also stores the state before it ("initial"),
+ *   so that change has something to diff against and can be undone
+ * - Any revision can be restored; restoring is itself recorded as a new revision. Restoring writes
+ *   the site settings back (RESTORE_FIELDS); the domain, status, pages and policies are history only,
+ *   since they have their own forms and checks. Account users can't restore the SMS number.
+ */
+
+const { db } = require('../db');
+const { DRAFT_FIELDS } = require('./siteDrafts');
+
+// Columns a restore writes back: draft fields plus the uploads and the contact form fields
+// (which change the live row directly)
+const RESTORE_FIELDS = DRAFT_FIELDS.concat(['logo_url', 'favicon_url', 'form_schema_json']);
+
+// Recorded and diffed, never restored (pages / policies are summaries built by loadSnapshot)
+const HISTORY_FIELDS = ['domain', 'status', 'status_starts_at', 'status_ends_at', 'status_message', 'pages', 'policies'];
+
+const REVISION_FIELDS = RESTORE_FIELDS.concat(HISTORY_FIELDS);
+
+// Only reseller admins change these; restores made by account users leave them alone
+const ADMIN_ONLY_FIELDS = ['sms_number'];
+
+const FIELD_LABELS = {
+    company_name: 'Company name',
+    company_details: 'Company details',
+    contact_phone: 'Contact phone',
+    contact_email: 'Contact email',
+    address_line1: 'Address line 1',
+    address_line2: 'Address line 2',
+    city: 'City',
+    state: 'State',
+    zip: 'ZIP',
+    country: 'Country',
+    business_hours: 'Business hours (summary)',
+    primary_color: 'Primary color',
+    secondary_color: 'Secondary color',
+    dark_color: 'Dark color',
+    light_color: 'Light color',
+    sms_number: 'SMS number',
+    help_reply: 'HELP reply',
+    double_opt_in: 'Double opt-in',
+    spam_protection: 'Spam protection',
+    enabled_locales: 'Languages',
+    default_locale: 'Default language',
+    theme: 'Theme',
+    seo_description: 'Meta description',
+    og_image_url: 'Share image',
+    seo_canonical_url: 'Canonical URL',
+    seo_noindex: 'Hidden from search engines',
+    hours_json: 'Business hours (schedule)',
+    sample_messages_json: 'Sample messages',
+    embed_origins: 'Widget origins',
+    logo_url: 'Logo',
+    favicon_url: 'Favicon',
+    form_schema_json: 'Contact form fields',
+    domain: 'Domain',
+    status: 'Status',
+    status_starts_at: 'Status from',
+    status_ends_at: 'Status until',
+    status_message: 'Status message',
+    pages: 'Pages',
+    policies: 'Policy versions'
+};
+
+const ACTION_LABELS = {
+    initial: 'State before the first recorded change',
+    created: 'Site created',
+    published: 'Draft published',
+    logo: 'Logo uploaded',
+    favicon: 'Favicon uploaded',
+    form: 'Contact form fields saved',
+    page_saved: 'Page saved',
+    page_deleted: 'Page deleted',
+    policy: 'Policy published',
+    domain: 'Domain changed',
+    status: 'Status changed',
+    imported: 'Updated by CSV import',
+    restored: 'Revision restored'
+};
+
+function snapshotOf(row) {
+    const snapshot = {};
+    REVISION_FIELDS.forEach((field) => {
+        snapshot[field] = row[field] === undefined ? null : row[field];
+    });
+    return snapshot;
+}
+
+// "/about: About us (published, in menu, updated 2026-10-19 14:02)" per page
+function pagesSummary(pages) {
+    return pages
+        .map((page) => {
+            const flags = [page.is_published ? 'published' : 'hidden', page.show_in_nav ? 'in menu' : null]
+                .filter(Boolean)
+                .join(', ');
+            return `/${page.slug}: ${page.title} (${flags}, updated ${String(page.updated_at).slice(0, 16).replace('T', ' ')})`;
+        })
+        .join('\n');
+}
+
+// "sms-terms (en): version 3, effective 2026-10-01" per document and language
+function policiesSummary(policies) {
+    return policies
+        .map((p) => `${p.doc_type} (${p.locale}): version ${p.version}, effective ${String(p.effective_at).slice(0, 10)}`)
+        .join('\n');
+}
+
+// The site's current snapshot, pages and policies included. cb(err, snapshot | null)
+function loadSnapshot(siteId, cb) {
+    db.get('SELECT * FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null, null);
+
+        db.all(
+            'SELECT slug, title, is_published, show_in_nav, updated_at FROM site_pages WHERE site_id = ? ORDER BY slug',
+            [siteId],
+            (pagesErr, pages) => {
+                if (pagesErr) return cb(pagesErr);
+
+                db.all(
+                    `
+              SELECT p.doc_type, p.locale, p.version, p.effective_at
+              FROM policy_documents p
+              WHERE p.site_id = ?
+                AND p.version = (SELECT MAX(version) FROM policy_documents
+                                 WHERE site_id = p.site_id AND doc_type = p.doc_type AND locale = p.locale)
+              ORDER BY p.doc_type, p.locale
+            `,
+                    [siteId],
+                    (policiesErr, policies) => {
+                        if (policiesErr) return cb(policiesErr);
+
+                        return cb(
+                            null,
+                            snapshotOf(Object.assign({}, row, { pages: pagesSummary(pages), policies: policiesSummary(policies) }))
+                        );
+                    }
+                );
+            }
+        );
+    });
+}
+
+function changedFields(before, after) {
+    return REVISION_FIELDS.filter((field) => {
+        // Revisions stored before a field was tracked don't hold it: no change to report
+        if (before && before[field] === undefined) return false;
+
+        const a = before ? before[field] : null;
+        const b = after[field];
+        return String(a === null || a === undefined ? '' : a) !== String(b === null || b === undefined ? '' : b);
+    });
+}
+
+function parseRevision(row) {
+    let snapshot = {};
+    let changed = [];
+    try {
+        snapshot = JSON.parse(row.snapshot_json) || {};
+        changed = JSON.parse(row.changed_fields_json) || [];
+    } catch (e) {
+        // keep the empty defaults
+    }
+    return Object.assign({}, row, { snapshot, changed });
+}
+
+function latestRevision(siteId, cb) {
+    db.get('SELECT * FROM site_revisions WHERE site_id = ? ORDER BY id DESC LIMIT 1', [siteId], (err, row) => {
+        if (err) return cb(err);
+        return cb(null, row ? parseRevision(row) : null);
+    });
+}
+
+function insertRevision(siteId, snapshot, changed, { action, user, restoredFrom = null }, cb) {
+    db.run(
+        `
+      INSERT INTO site_revisions (
+        site_id, action, snapshot_json, changed_fields_json, restored_from_id, user_email, user_role, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+        [
+            siteId,
+            action,
+            JSON.stringify(snapshot),
+            JSON.stringify(changed),
+            restoredFrom,
+            user ? user.email : null,
+            user ? user.role : null,
+            new Date().toISOString()
+        ],
+        (err) => cb(err)
+    );
+}
+
+/**
+ * Stores a revision for the site's current state, if anything changed since the last one.
+ * meta: { action, user, restoredFrom }. cb(err)
+ */
+function recordRevision(siteId, meta, cb) {
+    loadSnapshot(siteId, (err, snapshot) => {
+        if (err) return cb(err);
+        if (!snapshot) return cb(null);
+
+        latestRevision(siteId, (latestErr, latest) => {
+            if (latestErr) return cb(latestErr);
+
+            const changed = changedFields(latest ? latest.snapshot : null, snapshot);
+            if (latest && !changed.length) return cb(null);
+
+            return insertRevision(siteId, snapshot, changed, meta, cb);
+        });
+    });
+}
+
+// Sites without history get their current state stored first, so the next change can be diffed / undone
+function ensureBaseline(siteId, cb) {
+    latestRevision(siteId, (err, latest) => {
+        if (err) return cb(err);
+        if (latest) return cb(null);
+        return recordRevision(siteId, { action: 'initial', user: null }, cb);
+    });
+}
+
+/**
+ * Runs `change(done)` (which writes to the sites row) and records a revision afterwards.
+ * History errors are logged, never surfaced: the change itself already happened.
+ * cb receives whatever `change` passed to done.
+ */
+function trackSiteChange(siteId, meta, change, cb) {
+    ensureBaseline(siteId, (baseErr) => {
+        if (baseErr) console.error('Error storing baseline site revision:', baseErr);
+
+        change((err, ...results) => {
+            if (err) return cb(err);
+
+            recordRevision(siteId, meta, (revErr) => {
+                if (revErr) console.error('Error recording site revision:', revErr);
+                return cb(null, ...results);
+            });
+        });
+    });
+}
+
+// Newest first. cb(err, revisions)
+function listRevisions(siteId, cb) {
+    db.all('SELECT * FROM site_revisions WHERE site_id = ? ORDER BY id DESC', [siteId], (err, rows) => {
+        if (err) return cb(err);
+        return cb(null, rows.map(parseRevision));
+    });
+}
+
+/**
+ * A revision with its field-by-field diff against the revision before it.
+ * cb(err, { revision, previous, diff: [{ field, label, before, after }] } | null)
+ */
+function loadRevisionDiff(siteId, revisionId, cb) {
+    db.get('SELECT * FROM site_revisions WHERE id = ? AND site_id = ?', [revisionId, siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null, null);
+
+        const revision = parseRevision(row);
+
+        db.get(
+            'SELECT * FROM site_revisions WHERE site_id = ? AND id < ? ORDER BY id DESC LIMIT 1',
+            [siteId, revisionId],
+            (prevErr, prevRow) => {
+                if (prevErr) return cb(prevErr);
+
+                const previous = prevRow ? parseRevision(prevRow) : null;
+                const diff = changedFields(previous ? previous.snapshot : null, revision.snapshot).map((field) => ({
+                    field,
+                    label: FIELD_LABELS[field] || field,
+                    before: previous ? previous.snapshot[field] : null,
+                    after: revision.snapshot[field]
+                }));
+
+                return cb(null, { revision, previous, diff });
+            }
+        );
+    });
+}
+
+// Revision values `user` may restore, as a column -> value map (for restoring, or for loading into a draft)
+function revisionValues(revision, user) {
+    const values = {};
+    RESTORE_FIELDS.forEach((field) => {
+        if (user && user.role !== 'admin' && ADMIN_ONLY_FIELDS.includes(field)) return;
+        if (revision.snapshot[field] !== undefined) values[field] = revision.snapshot[field];
+    });
+    return values;
+}
+
+/**
+ * Writes a revision's values back to the live row and records that as a new revision. cb(err)
+ */
+function restoreRevision(siteId, revision, user, cb) {
+    const values = revisionValues(revision, user);
+    const fields = Object.keys(values);
+    if (!fields.length) return cb(null);
+
+    trackSiteChange(
+        siteId,
+        { action: 'restored', user, restoredFrom: revision.id },
+        (done) =>
+            db.run(
+                `UPDATE sites SET ${fields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+                fields.map((field) => values[field]).concat(siteId),
+                (err) => done(err)
+            ),
+        cb
+    );
+}
+
+module.exports = {
+    FIELD_LABELS,
+    ACTION_LABELS,
+    recordRevision,
+    ensureBaseline,
+    trackSiteChange,
+    listRevisions,
+    loadRevisionDiff,
+    revisionValues,
+    restoreRevision
+};
@@ -0,0 +1,173 @@
+/**
+ * Site lifecycle status (sites.status + optional schedule).
+ * - active: normal
+ * - suspended: public pages get a neutral "unavailable" page (middleware/siteResolver.js), /caddy-ask
+ *   refuses certificates and the site's account users can't sign in to the portal
+ * - maintenance: public pages get a branded notice (middleware/maintenance.js); the policy pages stay up
+ * - A status can have a start and / or end time; outside that window the site behaves as active.
+ *   Times are entered in DEFAULT_TIMEZONE and stored as UTC ISO strings
+ * The control panel (/admin, /portal, /login, ...) is never affected on the site's hostnames.
+ * Deleted sites (services/siteDeletion.js) are blocked like suspended ones in the portal and /caddy-ask.
+ */
+
+const { db } = require('../db');
+const { DEFAULT_TIMEZONE } = require('../config/appConfig');
+const { DELETED_LOGIN_MESSAGE } = require('./siteDeletion');
+
+const STATUS_LABELS = {
+    active: 'Active',
+    suspended: 'Suspended',
+    maintenance: 'Maintenance'
+};
+
+const SUSPENDED_LOGIN_MESSAGE =
+    'This site’s account is suspended, so the portal is unavailable. Please contact your provider to restore access.';
+
+// Policy pages (and their versions) stay reachable during maintenance: /privacy-policy, /es/sms-terms/v/3, ...
+const MAINTENANCE_OPEN_PATH_RE = /^(\/[a-z]{2})?\/(privacy-policy|sms-terms)(\/|$)/;
+
+function isMaintenanceOpenPath(path) {
+    return MAINTENANCE_OPEN_PATH_RE.test(path);
+}
+
+/**
+ * The status in force at `now`: the stored status inside its window, 'active' outside it.
+ */
+function effectiveStatus(row, now = new Date()) {
+    const status = STATUS_LABELS[row && row.status] ? row.status : 'active';
+    if (status === 'active') return 'active';
+
+    const time = now.getTime();
+    if (row.status_starts_at && time < Date.parse(row.status_starts_at)) return 'active';
+    if (row.status_ends_at && time >= Date.parse(row.status_ends_at)) return 'active';
+    return status;
+}
+
+// For the admin / portal: stored status, what applies now and whether it is still to come
+function describeStatus(row, now = new Date()) {
+    const status = STATUS_LABELS[row && row.status] ? row.status : 'active';
+    const effective = effectiveStatus(row, now);
+    const ended = Boolean(row.status_ends_at && now.getTime() >= Date.parse(row.status_ends_at));
+
+    return {
+        status,
+        effective,
+        label: STATUS_LABELS[effective],
+        scheduled: status !== 'active' && effective === 'active' && !ended,
+        ended: status !== 'active' && ended,
+        startsAt: row.status_starts_at || null,
+        endsAt: row.status_ends_at || null,
+        message: row.status_message || null,
+        timezone: DEFAULT_TIMEZONE
+    };
+}
+
+// Offset (ms) of `timezone` from UTC at the given instant
+function zoneOffset(timestamp, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    })
+        .formatToParts(new Date(timestamp))
+        .forEach((p) => {
+            parts[p.type] = parseInt(p.value, 10);
+        });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// "2025-03-01T09:00" (wall time in DEFAULT_TIMEZONE) -> ISO string, or null when blank / invalid
+function fromLocalInput(value) {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/);
+    if (!match) return null;
+
+    const wall = Date.UTC(+match[1], +match[2] - 1, +match[3], +match[4], +match[5]);
+    let timestamp = wall - zoneOffset(wall, DEFAULT_TIMEZONE);
+    // Second pass for times near a DST change
+    timestamp = wall - zoneOffset(timestamp, DEFAULT_TIMEZONE);
+
+    return new Date(timestamp).toISOString();
+}
+
+// ISO string -> "2025-03-01T09:00" in DEFAULT_TIMEZONE (datetime-local inputs and display)
+function toLocalInput(iso) {
+    if (!iso) return '';
+    const timestamp = Date.parse(iso);
+    if (Number.isNaN(timestamp)) return '';
+    return new Date(timestamp + zoneOffset(timestamp, DEFAULT_TIMEZONE)).toISOString().slice(0, 16);
+}
+
+// Admin status form -> column values
+function readStatusInput(body) {
+    const errors = [];
+    const status = STATUS_LABELS[body.status] ? body.status : 'active';
+    const message = (body.status_message || '').trim();
+
+    let startsAt = null;
+    let endsAt = null;
+
+    if (status !== 'active') {
+        startsAt = fromLocalInput(body.status_starts_at);
+        endsAt = fromLocalInput(body.status_ends_at);
+
+        if (body.status_starts_at && !startsAt) errors.push('Start time is not a valid date and time.');
+        if (body.status_ends_at && !endsAt) errors.push('End time is not a valid date and time.');
+        if (startsAt && endsAt && Date.parse(endsAt) <= Date.parse(startsAt)) errors.push('End time must be after the start time.');
+    }
+    if (message.length > 500) errors.push('Message must be 500 characters or less.');
+
+    return {
+        values: {
+            status,
+            status_starts_at: startsAt,
+            status_ends_at: endsAt,
+            status_message: status === 'active' ? null : message || null
+        },
+        errors
+    };
+}
+
+function saveSiteStatus(siteId, values, cb) {
+    db.run(
+        'UPDATE sites SET status = ?, status_starts_at = ?, status_ends_at = ?, status_message = ? WHERE id = ?',
+        [values.status, values.status_starts_at, values.status_ends_at, values.status_message, siteId],
+        cb
+    );
+}
+
+// Login page message per siteBlockReason()
+const BLOCKED_LOGIN_MESSAGES = {
+    suspended: SUSPENDED_LOGIN_MESSAGE,
+    deleted: DELETED_LOGIN_MESSAGE
+};
+
+// cb(err, reason) — 'deleted' or 'suspended' when the site's portal and certificates are off right now, else null
+function siteBlockReason(siteId, cb) {
+    db.get('SELECT status, status_starts_at, status_ends_at, deleted_at FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null, null);
+        if (row.deleted_at) return cb(null, 'deleted');
+        return cb(null, effectiveStatus(row) === 'suspended' ? 'suspended' : null);
+    });
+}
+
+module.exports = {
+    STATUS_LABELS,
+    SUSPENDED_LOGIN_MESSAGE,
+    BLOCKED_LOGIN_MESSAGES,
+    isMaintenanceOpenPath,
+    effectiveStatus,
+    describeStatus,
+    toLocalInput,
+    readStatusInput,
+    saveSiteStatus,
+    siteBlockReason
+};
@@ -0,0 +1,279 @@
+/**
+ * Starting points for new sites: duplicating an existing site, or named templates (site_templates).
+ * - A "blueprint" is what a new site starts from: settings (column -> value), logo / favicon,
+ *   custom pages and the custom form fields
+ * - Duplicating copies the source site's blueprint; templates store one taken from a site
+ *   without the customer-specific details (name, contact info, address, sample messages)
+ * - Uploaded logos / favicons are copied, never shared: templates keep their own copies
+ *   (template-<id>-...) and every new site gets its own (site-<id>-...)
+ * - Domain-bound settings (SMS number, canonical URL, widget origins) are never copied
+ */
+
+const { db } = require('../db');
+const { DRAFT_FIELDS } = require('./siteDrafts');
+const { listPages, savePage } = require('./sitePages');
+const { parseSchema } = require('./formSchema');
+const { copyUpload, removeUpload } = require('./upload');
+
+const NOT_COPIED = ['sms_number', 'seo_canonical_url', 'embed_origins'];
+
+// Settings copied when duplicating a site
+const CLONE_FIELDS = DRAFT_FIELDS.filter((field) => !NOT_COPIED.includes(field));
+
+// Settings kept in a template: the boilerplate, without who the customer is
+const TEMPLATE_FIELDS = CLONE_FIELDS.filter(
+    (field) =>
+        ![
+            'company_name',
+            'contact_phone',
+            'contact_email',
+            'address_line1',
+            'address_line2',
+            'city',
+            'state',
+            'zip',
+            'country',
+            'sample_messages_json'
+        ].includes(field)
+);
+
+const PAGE_FIELDS = ['slug', 'title', 'body', 'body_format', 'is_published', 'show_in_nav', 'nav_order'];
+
+function pick(row, fields) {
+    const values = {};
+    fields.forEach((field) => {
+        if (row[field] !== undefined && row[field] !== null) values[field] = row[field];
+    });
+    return values;
+}
+
+function parseJson(json, fallback) {
+    try {
+        return JSON.parse(json) || fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+// Adds the counts shown in the admin (pages, custom form fields)
+function withSummary(blueprint) {
+    return Object.assign(blueprint, {
+        pageCount: blueprint.pages.length,
+        fieldCount: parseSchema(blueprint.form_schema_json).length
+    });
+}
+
+/**
+ * The blueprint of an existing site (fields: CLONE_FIELDS or TEMPLATE_FIELDS).
+ * cb(err, { siteId, domain, settings, logo_url, favicon_url, form_schema_json, pages } | null)
+ */
+function loadSiteBlueprint(siteId, fields, cb) {
+    db.get('SELECT * FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null, null);
+
+        listPages(row.id, (pagesErr, pages) => {
+            if (pagesErr) return cb(pagesErr);
+
+            return cb(
+                null,
+                withSummary({
+                    siteId: row.id,
+                    domain: row.domain,
+                    settings: pick(row, fields),
+                    logo_url: row.logo_url,
+                    favicon_url: row.favicon_url,
+                    form_schema_json: row.form_schema_json || null,
+                    pages: pages.map((page) => pick(page, PAGE_FIELDS))
+                })
+            );
+        });
+    });
+}
+
+function parseTemplate(row) {
+    return withSummary(
+        Object.assign({}, row, {
+            settings: parseJson(row.settings_json, {}),
+            pages: parseJson(row.pages_json, [])
+        })
+    );
+}
+
+function listTemplates(cb) {
+    db.all('SELECT * FROM site_templates ORDER BY name COLLATE NOCASE ASC', [], (err, rows) => {
+        if (err) return cb(err);
+        return cb(null, rows.map(parseTemplate));
+    });
+}
+
+// cb(err, template | null); a template is a blueprint too
+function getTemplate(templateId, cb) {
+    db.get('SELECT * FROM site_templates WHERE id = ?', [templateId], (err, row) => {
+        if (err) return cb(err);
+        return cb(null, row ? parseTemplate(row) : null);
+    });
+}
+
+function readTemplateInput(body) {
+    const errors = [];
+    const name = (body.name || '').trim();
+    const description = (body.description || '').trim();
+
+    if (!name) errors.push('Template name is required.');
+    if (name.length > 80) errors.push('Template name must be 80 characters or less.');
+    if (description.length > 500) errors.push('Description must be 500 characters or less.');
+
+    return { values: { name, description: description || null }, errors };
+}
+
+// Copies the logo / favicon to the owner's own filenames. cb(err, { logo_url, favicon_url })
+function copyAssets(blueprint, owner, cb) {
+    copyUpload(blueprint.logo_url, owner, 'logo', (logoErr, logoUrl) => {
+        if (logoErr) return cb(logoErr);
+
+        copyUpload(blueprint.favicon_url, owner, 'favicon', (faviconErr, faviconUrl) => {
+            if (faviconErr) return cb(faviconErr);
+
+            return cb(null, {
+                // Non-upload paths (the default /assets images) are kept as they are
+                logo_url: logoUrl || (String(blueprint.logo_url || '').startsWith('/uploads/') ? null : blueprint.logo_url),
+                favicon_url:
+                    faviconUrl || (String(blueprint.favicon_url || '').startsWith('/uploads/') ? null : blueprint.favicon_url)
+            });
+        });
+    });
+}
+
+// Saves a site's current setup as a new template. cb(err, templateId)
+function createTemplateFromSite(siteId, { name, description }, user, cb) {
+    loadSiteBlueprint(siteId, TEMPLATE_FIELDS, (err, blueprint) => {
+        if (err) return cb(err);
+        if (!blueprint) return cb(null, null);
+
+        const now = new Date().toISOString();
+
+        db.run(
+            `
+          INSERT INTO site_templates (
+            name, description, settings_json, pages_json, form_schema_json, source_site_id, created_by, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+            [
+                name,
+                description,
+                JSON.stringify(blueprint.settings),
+                JSON.stringify(blueprint.pages),
+                blueprint.form_schema_json,
+                siteId,
+                user ? user.email : null,
+                now,
+                now
+            ],
+            function (insertErr) {
+                if (insertErr) return cb(insertErr);
+
+                const templateId = this.lastID;
+
+                copyAssets(blueprint, `template-${templateId}`, (assetErr, assets) => {
+                    if (assetErr) return cb(assetErr);
+
+                    db.run(
+                        'UPDATE site_templates SET logo_url = ?, favicon_url = ? WHERE id = ?',
+                        [assets.logo_url, assets.favicon_url, templateId],
+                        (updateErr) => cb(updateErr, templateId)
+                    );
+                });
+            }
+        );
+    });
+}
+
+function updateTemplate(templateId, { name, description }, cb) {
+    db.run(
+        'UPDATE site_templates SET name = ?, description = ?, updated_at = ? WHERE id = ?',
+        [name, description, new Date().toISOString(), templateId],
+        cb
+    );
+}
+
+// Deletes the template and its copies of the logo / favicon
+function deleteTemplate(templateId, cb) {
+    getTemplate(templateId, (err, template) => {
+        if (err) return cb(err);
+        if (!template) return cb(null);
+
+        db.run('DELETE FROM site_templates WHERE id = ?', [templateId], (delErr) => {
+            if (delErr) return cb(delErr);
+
+            removeUpload(template.logo_url, (logoErr) => {
+                if (logoErr) console.error('Error removing template logo:', logoErr);
+                removeUpload(template.favicon_url, (faviconErr) => {
+                    if (faviconErr) console.error('Error removing template favicon:', faviconErr);
+                    return cb(null);
+                });
+            });
+        });
+    });
+}
+
+function copyPages(siteId, pages, cb) {
+    const queue = pages.slice();
+
+    const next = (err) => {
+        if (err) return cb(err);
+        const page = queue.shift();
+        if (!page) return cb(null);
+        return savePage(siteId, null, pick(page, PAGE_FIELDS), next);
+    };
+
+    next(null);
+}
+
+/**
+ * Finishes a newly created site (its settings were already saved from the form):
+ * - gives it its own copies of any uploaded logo / favicon it points at
+ * - copies the blueprint's pages and custom form fields, when created from one
+ * cb(err)
+ */
+function finishNewSite(siteId, blueprint, cb) {
+    db.get('SELECT logo_url, favicon_url FROM sites WHERE id = ?', [siteId], (err, row) => {
+        if (err) return cb(err);
+        if (!row) return cb(null);
+
+        copyAssets(row, `site-${siteId}`, (assetErr, assets) => {
+            if (assetErr) return cb(assetErr);
+
+            const formSchemaJson = blueprint ? blueprint.form_schema_json : null;
+
+            db.run(
+                `
+              UPDATE sites
+              SET logo_url = COALESCE(?, '/assets/logo.png'),
+                  favicon_url = COALESCE(?, '/assets/favicon.png'),
+                  form_schema_json = COALESCE(?, form_schema_json)
+              WHERE id = ?
+            `,
+                [assets.logo_url, assets.favicon_url, formSchemaJson, siteId],
+                (updateErr) => {
+                    if (updateErr) return cb(updateErr);
+                    if (!blueprint) return cb(null);
+                    return copyPages(siteId, blueprint.pages, cb);
+                }
+            );
+        });
+    });
+}
+
+module.exports = {
+    CLONE_FIELDS,
+    TEMPLATE_FIELDS,
+    loadSiteBlueprint,
+    listTemplates,
+    getTemplate,
+    readTemplateInput,
+    createTemplateFromSite,
+    updateTemplate,
+    deleteTemplate,
+    finishNewSite
+};
@@ -0,0 +1,193 @@
+/**
+ * Inbound SMS keywords (STOP / START / HELP) + per-site suppression list.
+ * - Parses generic JSON payloads and Twilio-style form posts
+ * - Finds the site by the receiving number (sites.sms_number)
+ * - STOP-type keywords add the sender to sms_suppressions; START-type keywords remove them
+ * - Builds the reply text (HELP reply is configurable per site)
+ */
+
+const { db } = require('../db');
+const { formatPhoneE164 } = require('../middleware/locals');
+
+// CTIA standard opt-out / opt-in / help keywords
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const START_KEYWORDS = ['START', 'YES', 'UNSTOP', 'OPTIN'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+// US numbers -> +1XXXXXXXXXX, anything else -> "+" + digits
+function normalizeSmsNumber(raw) {
+    if (!raw) return null;
+    const e164 = formatPhoneE164(raw);
+    if (e164) return e164;
+
+    const digits = String(raw).replace(/\D/g, '');
+    return digits ? '+' + digits : null;
+}
+
+// Only the first word counts, so "Stop please" opts out but "don't stop" doesn't.
+function classifyKeyword(text) {
+    const word = String(text || '').trim().split(/\s+/)[0].replace(/[^a-z]/gi, '').toUpperCase();
+    if (!word) return null;
+    if (STOP_KEYWORDS.includes(word)) return 'stop';
+    if (START_KEYWORDS.includes(word)) return 'start';
+    if (HELP_KEYWORDS.includes(word)) return 'help';
+    return null;
+}
+
+/**
+ * Accepts:
+ * - Twilio-style form posts: From, To, Body
+ * - Generic JSON: { from, to, text } (also "body"/"message")
+ */
+function parseInboundPayload(req) {
+    const body = req.body || {};
+
+    if (!req.is('application/json') && (body.From || body.To || body.Body !== undefined)) {
+        return { format: 'twilio', from: body.From, to: body.To, text: body.Body };
+    }
+
+    return {
+        format: 'json',
+        from: body.from,
+        to: body.to,
+        text: body.text !== undefined ? body.text : body.body !== undefined ? body.body : body.message
+    };
+}
+
+// Deleted sites don't receive messages
+function findSiteByNumber(number, cb) {
+    db.get('SELECT * FROM sites WHERE sms_number = ? AND deleted_at IS NULL', [number], cb);
+}
+
+// Another site already on this number (deleted sites keep theirs until purged). cb(err, { id, domain } | undefined)
+function findSmsNumberOwner(number, exceptSiteId, cb) {
+    if (!number) return cb(null, undefined);
+    db.get('SELECT id, domain FROM sites WHERE sms_number = ? AND id != ?', [number, exceptSiteId || 0], cb);
+}
+
+function setSuppression({ siteId, phone, keyword, optedOut }, cb) {
+    const now = new Date().toISOString();
+
+    db.run(
+        `
+      INSERT INTO sms_suppressions (site_id, phone, status, last_keyword, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(site_id, phone) DO UPDATE SET
+        status = excluded.status,
+        last_keyword = excluded.last_keyword,
+        updated_at = excluded.updated_at
+    `,
+        [siteId, phone, optedOut ? 'opted_out' : 'opted_in', keyword, now, now],
+        cb
+    );
+}
+
+function defaultHelpReply(siteRow) {
+    const contact = [siteRow.contact_email, siteRow.contact_phone].filter(Boolean).join(' or ');
+    return (
+        `${siteRow.company_name}: For help, contact ${contact || 'us'}. ` +
+        'Msg & data rates may apply. Msg frequency varies. Reply STOP to opt out.'
+    );
+}
+
+function buildReply(siteRow, action) {
+    if (action === 'stop') {
+        return `${siteRow.company_name}: You have been unsubscribed and will not receive any more messages. Reply START to resubscribe.`;
+    }
+    if (action === 'start') {
+        return `${siteRow.company_name}: You have been resubscribed to messages. Reply HELP for help, STOP to opt out.`;
+    }
+    if (action === 'help') {
+        return (siteRow.help_reply || '').trim() || defaultHelpReply(siteRow);
+    }
+    return null;
+}
+
+/**
+ * Current opt-outs for the given sites: Map of "<siteId>:<+1phone>" -> updated_at.
+ * Pass null to load every site.
+ */
+function loadOptOuts(siteIds, cb) {
+    let sql = "SELECT site_id, phone, updated_at FROM sms_suppressions WHERE status = 'opted_out'";
+    const params = [];
+
+    if (siteIds) {
+        if (!siteIds.length) return cb(null, new Map());
+        sql += ` AND site_id IN (${siteIds.map(() => '?').join(', ')})`;
+        params.push(...siteIds);
+    }
+
+    db.all(sql, params, (err, rows) => {
+        if (err) return cb(err);
+        const map = new Map();
+        rows.forEach((r) => map.set(`${r.site_id}:${r.phone}`, r.updated_at));
+        return cb(null, map);
+    });
+}
+
+// Adds `opted_out_at` to each submission row (rows need site_id + phone).
+function annotateOptOuts(rows, optOuts) {
+    return rows.map((row) => {
+        const phone = normalizeSmsNumber(row.phone);
+        const key = `${row.site_id}:${phone}`;
+        return Object.assign({}, row, { opted_out_at: phone ? optOuts.get(key) || null : null });
+    });
+}
+
+/**
+ * Consented-contact list for exports: SMS consent given (and confirmed, for double opt-in),
+ * valid phone, not opted out.
+ * rows must be newest-first; keeps one row per site + phone.
+ */
+function filterConsentedContacts(rows, optOuts) {
+    const seen = new Set();
+    const contacts = [];
+
+    rows.forEach((row) => {
+        if (!row.sms_consent || row.sms_consent_status === 'pending') return;
+
+        const phone = normalizeSmsNumber(row.phone);
+        if (!phone) return;
+
+        const key = `${row.site_id}:${phone}`;
+        if (seen.has(key) || optOuts.has(key)) return;
+        seen.add(key);
+
+        contacts.push({
+            site_domain: row.site_domain,
+            name: row.name,
+            email: row.email,
+            phone,
+            consented_at: row.created_at,
+            submission_id: row.id
+        });
+    });
+
+    return contacts;
+}
+
+const CONSENTED_CONTACT_COLUMNS = [
+    { key: 'site_domain', label: 'Site' },
+    { key: 'name', label: 'Name' },
+    { key: 'email', label: 'Email' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'consented_at', label: 'Consented At' },
+    { key: 'submission_id', label: 'Submission ID' }
+];
+
+module.exports = {
+    STOP_KEYWORDS,
+    START_KEYWORDS,
+    HELP_KEYWORDS,
+    normalizeSmsNumber,
+    classifyKeyword,
+    parseInboundPayload,
+    findSiteByNumber,
+    findSmsNumberOwner,
+    setSuppression,
+    buildReply,
+    loadOptOuts,
+    annotateOptOuts,
+    filterConsentedContacts,
+    CONSENTED_CONTACT_COLUMNS
+};
@@ -0,0 +1,323 @@
+/**
+ * Spam / abuse protection for the public contact form (no third-party services).
+ * - Honeypot field that real visitors never see
+ * - Signed, single-use form token: rejects posts made faster than a human could fill the form
+ * - Per-IP and per-site rate limits (in-memory sliding windows)
+ * - Arithmetic challenge once a site is under load (or always, on "strict")
+ * - Rejections are counted per site / day / reason in spam_rejections
+ *
+ * Strictness is per site (sites.spam_protection): low | standard | strict.
+ */
+
+const crypto = require('crypto');
+const { db } = require('../db');
+const { SESSION_SECRET } = require('../config/appConfig');
+
+const HONEYPOT_FIELD = 'company_website';
+
+const TEN_MINUTES = 10 * 60 * 1000;
+const ONE_HOUR = 60 * 60 * 1000;
+const FORM_TOKEN_MAX_AGE = 24 * ONE_HOUR;
+
+// ipLimit: posts per IP per 10 minutes; siteLimit: posts per site per hour;
+// challengeAt: posts per site per 10 minutes before the challenge is shown (0 = always)
+const LEVELS = {
+    low: { label: 'Low', minSeconds: 2, ipLimit: 10, siteLimit: 300, challengeAt: 60 },
+    standard: { label: 'Standard', minSeconds: 3, ipLimit: 5, siteLimit: 120, challengeAt: 20 },
+    strict: { label: 'Strict', minSeconds: 5, ipLimit: 3, siteLimit: 60, challengeAt: 0 }
+};
+
+const DEFAULT_LEVEL = 'standard';
+
+const REASONS = {
+    honeypot: 'Honeypot filled',
+    too_fast: 'Submitted too fast',
+    bad_token: 'Missing / invalid form token',
+    ip_rate: 'Per-IP rate limit',
+    site_rate: 'Per-site rate limit',
+    challenge: 'Challenge failed'
+};
+
+function normalizeLevel(level) {
+    return LEVELS[level] ? level : DEFAULT_LEVEL;
+}
+
+function getLevel(site) {
+    return LEVELS[normalizeLevel(site && site.spamProtection)];
+}
+
+// ------------------------------
+// Sliding-window counters (per process)
+// ------------------------------
+const ipHits = new Map();
+const siteHits = new Map();
+
+function recentHits(map, key, windowMs) {
+    const cutoff = Date.now() - windowMs;
+    const hits = (map.get(key) || []).filter((t) => t > cutoff);
+    if (hits.length) map.set(key, hits);
+    else map.delete(key);
+    return hits;
+}
+
+function addHit(map, key) {
+    const hits = map.get(key) || [];
+    hits.push(Date.now());
+    map.set(key, hits);
+}
+
+// Drop stale keys so the maps don't grow forever
+setInterval(() => {
+    [...ipHits.keys()].forEach((key) => recentHits(ipHits, key, TEN_MINUTES));
+    [...siteHits.keys()].forEach((key) => recentHits(siteHits, key, ONE_HOUR));
+}, TEN_MINUTES).unref();
+
+function isUnderLoad(site) {
+    const level = getLevel(site);
+    if (level.challengeAt === 0) return true;
+    return recentHits(siteHits, String(site.id), TEN_MINUTES).length >= level.challengeAt;
+}
+
+// ------------------------------
+// Signed tokens
+// ------------------------------
+function sign(value) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Challenge tokens are single-use; remember the used ones until they expire
+const usedChallenges = new Map();
+
+function createChallenge(site) {
+    const a = crypto.randomInt(2, 10);
+    const b = crypto.randomInt(2, 10);
+    const issuedAt = Date.now();
+
+    return {
+        question: `What is ${a} + ${b}?`,
+        terms: [a, b],
+        token: `${issuedAt}.${sign(`challenge:${site.id}:${issuedAt}:${a + b}`)}`
+    };
+}
+
+function verifyChallenge(site, token, answer) {
+    const [issuedAt, signature] = String(token || '').split('.');
+    const issued = parseInt(issuedAt, 10);
+    const value = parseInt(String(answer || '').trim(), 10);
+
+    if (!issued || !signature || Number.isNaN(value)) return false;
+    if (Date.now() - issued > ONE_HOUR) return false;
+    if (usedChallenges.has(token)) return false;
+    if (!safeEqual(sign(`challenge:${site.id}:${issued}:${value}`), signature)) return false;
+
+    usedChallenges.set(token, issued);
+    usedChallenges.forEach((t, key) => {
+        if (Date.now() - t > ONE_HOUR) usedChallenges.delete(key);
+    });
+    return true;
+}
+
+// Form tokens are single-use too (otherwise one token could be replayed for FORM_TOKEN_MAX_AGE,
+// skipping the time-to-submit check); remember the used ones until they expire
+const usedFormTokens = new Map();
+
+setInterval(() => {
+    usedFormTokens.forEach((issued, key) => {
+        if (Date.now() - issued > FORM_TOKEN_MAX_AGE) usedFormTokens.delete(key);
+    });
+}, ONE_HOUR).unref();
+
+/**
+ * Hidden fields for a freshly rendered contact form:
+ * { honeypotField, formToken, challenge: { question, terms, token } | null }
+ */
+function buildFormGuard(site, { forceChallenge = false } = {}) {
+    const issuedAt = Date.now();
+
+    return {
+        honeypotField: HONEYPOT_FIELD,
+        formToken: `${issuedAt}.${sign(`form:${site.id}:${issuedAt}`)}`,
+        challenge: forceChallenge || isUnderLoad(site) ? createChallenge(site) : null
+    };
+}
+
+/**
+ * Runs every check against a contact form post.
+ * Returns { ok: true } or { ok: false, reason, status, message, messageKey, silent, showChallenge }.
+ * `message` is English; `messageKey` is the services/i18n key for the visitor's language.
+ * `silent` rejections (honeypot) should look like a success to the sender.
+ */
+function checkSubmission(req, site) {
+    const level = getLevel(site);
+    const body = req.body || {};
+    const ipKey = `${site.id}:${req.ip}`;
+    const siteKey = String(site.id);
+
+    const underLoad = isUnderLoad(site);
+
+    addHit(ipHits, ipKey);
+    addHit(siteHits, siteKey);
+
+    if (String(body[HONEYPOT_FIELD] || '').trim()) {
+        return { ok: false, reason: 'honeypot', status: 200, silent: true };
+    }
+
+    const [issuedAt, signature] = String(body.form_token || '').split('.');
+    const issued = parseInt(issuedAt, 10);
+    if (!issued || !signature || !safeEqual(sign(`form:${site.id}:${issued}`), signature)) {
+        return {
+            ok: false,
+            reason: 'bad_token',
+            status: 400,
+            message: 'Your form session is invalid or has expired. Please try again.',
+            messageKey: 'spam.badToken'
+        };
+    }
+
+    if (usedFormTokens.has(body.form_token)) {
+        return {
+            ok: false,
+            reason: 'bad_token',
+            status: 400,
+            message: 'This form was already sent. Please try again.',
+            messageKey: 'spam.used'
+        };
+    }
+
+    const age = Date.now() - issued;
+    if (age > FORM_TOKEN_MAX_AGE) {
+        return {
+            ok: false,
+            reason: 'bad_token',
+            status: 400,
+            message: 'This form has expired. Please try again.',
+            messageKey: 'spam.expired'
+        };
+    }
+    if (age < level.minSeconds * 1000) {
+        return {
+            ok: false,
+            reason: 'too_fast',
+            status: 400,
+            message: 'That was quick! Please take a moment to review your message and submit again.',
+            messageKey: 'spam.tooFast'
+        };
+    }
+
+    if (recentHits(ipHits, ipKey, TEN_MINUTES).length > level.ipLimit) {
+        return {
+            ok: false,
+            reason: 'ip_rate',
+            status: 429,
+            message: 'Too many messages from your connection. Please try again in a few minutes.',
+            messageKey: 'spam.ipRate'
+        };
+    }
+
+    if (recentHits(siteHits, siteKey, ONE_HOUR).length > level.siteLimit) {
+        return {
+            ok: false,
+            reason: 'site_rate',
+            status: 429,
+            message: 'We are receiving an unusual number of messages. Please try again later or contact us directly.',
+            messageKey: 'spam.siteRate'
+        };
+    }
+
+    if (underLoad && !verifyChallenge(site, body.challenge_token, body.challenge_answer)) {
+        return {
+            ok: false,
+            reason: 'challenge',
+            status: 400,
+            showChallenge: true,
+            message: 'Please answer the question below so we know you are not a bot.',
+            messageKey: 'spam.challenge'
+        };
+    }
+
+    // Only a post that passed every check uses the token up; rejected ones get a fresh form
+    usedFormTokens.set(body.form_token, issued);
+    return { ok: true };
+}
+
+// ------------------------------
+// Rejection stats
+// ------------------------------
+function recordRejection(siteId, reason) {
+    const day = new Date().toISOString().slice(0, 10);
+
+    db.run(
+        `
+      INSERT INTO spam_rejections (site_id, day, reason, count)
+      VALUES (?, ?, ?, 1)
+      ON CONFLICT(site_id, day, reason) DO UPDATE SET count = count + 1
+    `,
+        [siteId, day, reason],
+        (err) => {
+            if (err) console.error('Error recording spam rejection:', err);
+        }
+    );
+}
+
+/**
+ * Rejection totals per site for the last `days` days (today included).
+ * cb(err, [{ site_id, domain, company_name, spam_protection, total, today, byReason: { reason: count } }])
+ */
+function listRejectionStats({ days = 30 } = {}, cb) {
+    const since = new Date(Date.now() - (days - 1) * 24 * ONE_HOUR).toISOString().slice(0, 10);
+    const today = new Date().toISOString().slice(0, 10);
+
+    db.all(
+        `
+      SELECT s.id AS site_id, s.domain, s.company_name, s.spam_protection, r.day, r.reason, r.count
+      FROM sites s
+      LEFT JOIN spam_rejections r ON r.site_id = s.id AND r.day >= ?
+      WHERE s.deleted_at IS NULL
+      ORDER BY s.domain
+    `,
+        [since],
+        (err, rows) => {
+            if (err) return cb(err);
+
+            const bySite = new Map();
+            rows.forEach((row) => {
+                if (!bySite.has(row.site_id)) {
+                    bySite.set(row.site_id, {
+                        site_id: row.site_id,
+                        domain: row.domain,
+                        company_name: row.company_name,
+                        spam_protection: normalizeLevel(row.spam_protection),
+                        total: 0,
+                        today: 0,
+                        byReason: {}
+                    });
+                }
+
+                if (!row.reason) return;
+                const stats = bySite.get(row.site_id);
+                stats.total += row.count;
+                if (row.day === today) stats.today += row.count;
+                stats.byReason[row.reason] = (stats.byReason[row.reason] || 0) + row.count;
+            });
+
+            return cb(null, [...bySite.values()]);
+        }
+    );
+}
+
+module.exports = {
+    LEVELS,
+    REASONS,
+    DEFAULT_LEVEL,
+    normalizeLevel,
+    buildFormGuard,
+    checkSubmission,
+    recordRejection,
+    listRejectionStats
+};
@@ -0,0 +1,156 @@
+/**
+ * Site themes (layout templates).
+ * - Each theme is a folder under views/themes/<id>/ with a theme.json manifest and a home.ejs layout
+ * - The manifest declares which branding fields and home page content blocks the theme uses,
+ *   plus optional stylesheet and default colours for the branding fields it doesn't expose
+ * - Themes are discovered at startup, so adding one needs no route changes
+ *
+ * theme.json:
+ *   { "label": "...", "description": "...", "stylesheet": "/css/themes/<id>.css",
+ *     "branding": ["logoUrl", "primaryColor", ...], "blocks": ["logo", "heading", ...],
+ *     "defaults": { "secondaryColor": "#..." } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { mapRowToSite } = require('../db');
+const { buildHoursView } = require('./businessHours');
+
+const THEMES_DIR = path.join(__dirname, '..', 'views', 'themes');
+
+const DEFAULT_THEME = 'classic';
+
+// Branding fields a theme may use (keys of mapRowToSite().branding) -> site form input id
+const BRANDING_FIELDS = {
+    logoUrl: 'logo_url',
+    faviconUrl: 'favicon_url',
+    primaryColor: 'primary_color',
+    secondaryColor: 'secondary_color',
+    darkColor: 'dark_color',
+    lightColor: 'light_color'
+};
+
+// Home page content blocks (views/partials/blocks/<name>.ejs)
+const CONTENT_BLOCKS = {
+    logo: 'Logo',
+    heading: 'Company name',
+    openStatus: 'Open now / Closed badge',
+    details: 'Company details',
+    contactButton: 'Contact button',
+    contactCard: 'Phone, email and address',
+    hours: 'Business hours'
+};
+
+// Used for branding fields a theme leaves out and doesn't set a default for
+const FALLBACK_BRANDING = {
+    logoUrl: null,
+    faviconUrl: null,
+    primaryColor: '#1b1464',
+    secondaryColor: '#007dc5',
+    darkColor: '#282829',
+    lightColor: '#f1f2f2'
+};
+
+function readManifest(id) {
+    const dir = path.join(THEMES_DIR, id);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'theme.json'), 'utf8'));
+
+    if (!manifest.label) throw new Error('missing "label"');
+    if (!fs.existsSync(path.join(dir, 'home.ejs'))) throw new Error('missing home.ejs');
+
+    const unknownBranding = (manifest.branding || []).filter((f) => !BRANDING_FIELDS[f]);
+    const unknownBlocks = (manifest.blocks || []).filter((b) => !CONTENT_BLOCKS[b]);
+    if (unknownBranding.length) throw new Error(`unknown branding fields: ${unknownBranding.join(', ')}`);
+    if (unknownBlocks.length) throw new Error(`unknown content blocks: ${unknownBlocks.join(', ')}`);
+
+    return {
+        id,
+        label: manifest.label,
+        description: manifest.description || '',
+        stylesheet: manifest.stylesheet || null,
+        branding: manifest.branding || Object.keys(BRANDING_FIELDS),
+        blocks: manifest.blocks || [],
+        defaults: manifest.defaults || {},
+        // Relative to views/, for include() / render()
+        homeView: `themes/${id}/home`
+    };
+}
+
+function loadThemes() {
+    const themes = {};
+    let entries = [];
+
+    try {
+        entries = fs.readdirSync(THEMES_DIR, { withFileTypes: true }).filter((e) => e.isDirectory());
+    } catch (err) {
+        console.error('Error reading themes directory:', err);
+    }
+
+    entries.forEach((entry) => {
+        try {
+            themes[entry.name] = readManifest(entry.name);
+        } catch (err) {
+            // A broken theme is skipped rather than taking the app down
+            console.error(`Skipping theme "${entry.name}":`, err.message);
+        }
+    });
+
+    return themes;
+}
+
+const THEMES = loadThemes();
+
+function listThemes() {
+    return Object.values(THEMES).sort((a, b) =>
+        a.id === DEFAULT_THEME ? -1 : b.id === DEFAULT_THEME ? 1 : a.label.localeCompare(b.label)
+    );
+}
+
+function normalizeTheme(id) {
+    return THEMES[id] ? id : DEFAULT_THEME;
+}
+
+function getTheme(id) {
+    return THEMES[normalizeTheme(id)] || null;
+}
+
+// Site branding as the theme uses it: unsupported fields fall back to the theme's defaults
+function themeBranding(theme, branding) {
+    const result = {};
+    Object.keys(BRANDING_FIELDS).forEach((field) => {
+        const supported = !theme || theme.branding.includes(field);
+        const value = supported && branding ? branding[field] : null;
+        result[field] = value || (theme && theme.defaults[field]) || FALLBACK_BRANDING[field];
+    });
+    return result;
+}
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Everything the home view needs to preview a theme for a site (admin + portal site forms).
+ * `query` carries the unsaved form values: theme plus the colour inputs (primary_color, ...).
+ */
+function buildThemePreview(siteRow, query, locale) {
+    const site = mapRowToSite(siteRow);
+
+    Object.keys(BRANDING_FIELDS).forEach((field) => {
+        const value = String(query[BRANDING_FIELDS[field]] || '');
+        if (HEX_COLOR_RE.test(value)) site.branding[field] = value;
+    });
+
+    const theme = getTheme(query.theme || site.theme);
+    return { site, theme, brand: themeBranding(theme, site.branding), hours: buildHoursView(site, locale) };
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    BRANDING_FIELDS,
+    CONTENT_BLOCKS,
+    listThemes,
+    normalizeTheme,
+    getTheme,
+    themeBranding,
+    buildThemePreview
+};
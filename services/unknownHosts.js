@@ -0,0 +1,105 @@
+/**
+ * Requests for hostnames that aren't in sites (or site_domains / hosted hostnames).
+ * - How they are answered is set by UNKNOWN_HOST_MODE: a "domain not connected" parking page,
+ *   a plain 404, or a redirect to UNKNOWN_HOST_REDIRECT_URL
+ * - The control panel (login, admin, portal) and infrastructure endpoints keep working on any
+ *   hostname, with the localhost site as context
+ * - Each hostname's hits are counted so admins can spot customers whose DNS already points at us
+ */
+
+const { db } = require('../db');
+const { UNKNOWN_HOST_MODE, UNKNOWN_HOST_REDIRECT_URL } = require('../config/appConfig');
+
+const MODES = ['parking', 'not_found', 'redirect'];
+
+// Served on any hostname, unknown or not
+const PANEL_PATH_PREFIXES = [
+    '/admin',
+    '/portal',
+    '/login',
+    '/logout',
+    '/forgot-password',
+    '/reset-password',
+    '/webhooks',
+    '/health',
+    '/caddy-ask'
+];
+
+// Hits older than this are dropped from the log
+const RETENTION_DAYS = 90;
+
+// Only real-looking hostnames are logged (not bare IPs or junk Host headers)
+const LOGGABLE_HOST_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+function isPanelPath(path) {
+    return PANEL_PATH_PREFIXES.some((prefix) => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+// The configured mode; 'redirect' without a target URL falls back to the parking page
+function unknownHostMode() {
+    const mode = MODES.includes(UNKNOWN_HOST_MODE) ? UNKNOWN_HOST_MODE : 'parking';
+    if (mode === 'redirect' && !/^https?:\/\//i.test(UNKNOWN_HOST_REDIRECT_URL)) return 'parking';
+    return mode;
+}
+
+// Counts a hit for `host` (fire-and-forget)
+function recordUnknownHost(req, host) {
+    if (!LOGGABLE_HOST_RE.test(host)) return;
+
+    const now = new Date().toISOString();
+
+    db.run(
+        `
+      INSERT INTO unknown_host_hits (host, hit_count, first_seen_at, last_seen_at, last_path, last_ip, last_user_agent)
+      VALUES (?, 1, ?, ?, ?, ?, ?)
+      ON CONFLICT(host) DO UPDATE SET
+        hit_count = hit_count + 1,
+        last_seen_at = excluded.last_seen_at,
+        last_path = excluded.last_path,
+        last_ip = excluded.last_ip,
+        last_user_agent = excluded.last_user_agent
+    `,
+        [host, now, now, req.originalUrl.slice(0, 500), req.ip || null, (req.get('User-Agent') || '').slice(0, 500) || null],
+        (err) => {
+            if (err) console.error('Error recording unknown host hit:', err);
+        }
+    );
+}
+
+/**
+ * Logged hostnames, most recently seen first. Hostnames that have since been added as a site
+ * or an alias are left out, and entries past the retention window are purged.
+ * cb(err, rows)
+ */
+function listUnknownHosts(cb) {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    db.run('DELETE FROM unknown_host_hits WHERE last_seen_at < ?', [cutoff], (purgeErr) => {
+        if (purgeErr) return cb(purgeErr);
+
+        db.all(
+            `
+          SELECT * FROM unknown_host_hits
+          WHERE host NOT IN (SELECT domain FROM sites)
+            AND host NOT IN (SELECT domain FROM site_domains)
+          ORDER BY last_seen_at DESC
+          LIMIT 500
+        `,
+            [],
+            cb
+        );
+    });
+}
+
+function dismissUnknownHost(host, cb) {
+    db.run('DELETE FROM unknown_host_hits WHERE host = ?', [host], cb);
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    isPanelPath,
+    unknownHostMode,
+    recordUnknownHost,
+    listUnknownHosts,
+    dismissUnknownHost
+};
@@ -1,8 +1,12 @@
 /**
  * Multer upload config
  * - Saves in /public/uploads
- * - Filename: site-<id>-logo.ext / site-<id>-favicon.ext
+ * - Filename: site-<id>-logo-<timestamp>.ext / site-<id>-favicon-<timestamp>.ext
+ *   (earlier uploads are kept so older site revisions can be restored with their images)
  * - Limit 2MB
+ * - csvUpload: CSV files kept in memory (site import), limit 1MB
+ * - copyUpload / removeUpload: file copies for cloned sites and site templates, so no two owners share a file
+ * - removeOwnerUploads: every file of one owner (a purged site)
  */
 
 const path = require('path');
@@ -20,7 +24,7 @@ const storage = multer.diskStorage({
         const ext = path.extname(file.originalname).toLowerCase();
         const siteId = req.params.id || 'general';
         const type = file.fieldname === 'logo_file' ? 'logo' : 'favicon';
-        cb(null, `site-${siteId}-${type}${ext}`);
+        cb(null, `site-${siteId}-${type}-${Date.now()}${ext}`);
     }
 });
 
@@ -35,4 +39,66 @@ const upload = multer({
     }
 });
 
-module.exports = { upload };
+const csvUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 1024 * 1024 }, // 1MB
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() !== '.csv') return cb(new Error('Only .csv files are allowed.'));
+        cb(null, true);
+    }
+});
+
+// Only our own files: /uploads/<name> without any path tricks
+function uploadedFilePath(publicPath) {
+    const match = String(publicPath || '').match(/^\/uploads\/([A-Za-z0-9._-]+)$/);
+    if (!match || match[1].startsWith('.')) return null;
+    return path.join(uploadsDir, match[1]);
+}
+
+/**
+ * Copies an uploaded file to a new name for another owner ("site-12", "template-3").
+ * cb(err, newPublicPath) — newPublicPath is null when publicPath isn't an upload or the file is gone.
+ */
+function copyUpload(publicPath, owner, type, cb) {
+    const source = uploadedFilePath(publicPath);
+    if (!source) return cb(null, null);
+
+    const filename = `${owner}-${type}-${Date.now()}${path.extname(source).toLowerCase()}`;
+
+    fs.copyFile(source, path.join(uploadsDir, filename), (err) => {
+        if (err && err.code === 'ENOENT') return cb(null, null);
+        if (err) return cb(err);
+        return cb(null, '/uploads/' + filename);
+    });
+}
+
+// Deletes an uploaded file; missing files and non-upload paths are ignored
+function removeUpload(publicPath, cb) {
+    const file = uploadedFilePath(publicPath);
+    if (!file) return cb(null);
+
+    fs.unlink(file, (err) => cb(err && err.code !== 'ENOENT' ? err : null));
+}
+
+// Deletes every upload named <owner>-... ("site-12"). cb(err, removedCount)
+function removeOwnerUploads(owner, cb) {
+    const prefix = `${owner}-`;
+
+    fs.readdir(uploadsDir, (err, names) => {
+        if (err) return cb(err);
+
+        const queue = names.filter((name) => name.startsWith(prefix));
+        const total = queue.length;
+
+        const next = (unlinkErr) => {
+            if (unlinkErr && unlinkErr.code !== 'ENOENT') return cb(unlinkErr);
+            const name = queue.shift();
+            if (!name) return cb(null, total);
+            return fs.unlink(path.join(uploadsDir, name), next);
+        };
+
+        next(null);
+    });
+}
+
+module.exports = { upload, csvUpload, copyUpload, removeUpload, removeOwnerUploads };